@@ -6,105 +6,15 @@
  * Two modes:
  * 1. API Mode: Sends image and prompt to AI provider APIs (requires API keys)
  * 2. Redirect Mode: Copies image to clipboard and opens provider's web interface
- */
-
-// ---------------------------------------------------------------------------
-// Constants
-// ---------------------------------------------------------------------------
-
-const PROVIDERS = Object.freeze({
-  OPENAI: 'openai',
-  GROK: 'grok',
-  GEMINI: 'gemini',
-  OLLAMA_LOCAL: 'ollama',
-  OLLAMA_CLOUD: 'ollama-cloud',
-});
-
-// Redirect mode only supports ChatGPT and Grok
-const CHAT_URLS = Object.freeze({
-  openai: 'https://chat.openai.com/',
-  grok: 'https://grok.com/',
-});
-
-// Provider name mapping for settings
-const PROVIDER_NAME_MAP = Object.freeze({
-  'openai': PROVIDERS.OPENAI,
-  'grok': PROVIDERS.GROK,
-  'google-gemini': PROVIDERS.GEMINI,
-  'ollama': PROVIDERS.OLLAMA_LOCAL,
-  'ollama-cloud': PROVIDERS.OLLAMA_CLOUD,
-});
-
-const ENDPOINTS = Object.freeze({
-  openai: 'https://api.openai.com/v1',
-  grok: 'https://api.x.ai/v1',
-  gemini: 'https://generativelanguage.googleapis.com/v1beta',
-});
-
-/**
- * Known multimodal capabilities per provider.
- * Prefer exact-match sets over substring heuristics so new model
- * releases don't silently get mis-classified.
- */
-const MULTIMODAL_MODEL_IDS = Object.freeze({
-  [PROVIDERS.OPENAI]: new Set(['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo']),
-  [PROVIDERS.GROK]: new Set(['grok-2-vision-1212']),
-  [PROVIDERS.GEMINI]: new Set(['gemini-2.0-flash-exp', 'gemini-1.5-pro', 'gemini-1.5-flash']),
-  // Ollama models are user-installed; use a suffix allowlist instead.
-  [PROVIDERS.OLLAMA_LOCAL]: null,
-  [PROVIDERS.OLLAMA_CLOUD]: null,
-});
-
-/**
- * Capability cache backed by chrome.storage.session.
- *
- * chrome.storage.session persists across Manifest V3 service worker
- * restarts (within the same browser session) unlike module-level
- * variables, which are wiped whenever the worker is suspended.
  *
- * Key format: "ollama_cap::<baseUrl>::<modelId>"
- * Value: true | false
+ * Providers come from ProviderRegistry (provider-*.js) and requests go out
+ * through AIService.chat; ai-service.js is loaded before this file.
  */
-const CACHE_KEY_PREFIX = 'ollama_cap::';
-
-async function getCachedCapability(baseUrl, modelId) {
-  const key = `${CACHE_KEY_PREFIX}${baseUrl}::${modelId}`;
-  try {
-    const result = await chrome.storage.session.get(key);
-    // Returns {} if key absent; undefined means not cached yet.
-    return Object.prototype.hasOwnProperty.call(result, key)
-      ? result[key]
-      : undefined;
-  } catch {
-    // Storage API unavailable (e.g. unit test environment).
-    return undefined;
-  }
-}
-
-async function setCachedCapability(baseUrl, modelId, value) {
-  const key = `${CACHE_KEY_PREFIX}${baseUrl}::${modelId}`;
-  try {
-    await chrome.storage.session.set({ [key]: value });
-  } catch {
-    // Non-fatal — next call will just re-query.
-  }
-}
-
 
 // ---------------------------------------------------------------------------
 // Image normalisation helpers
 // ---------------------------------------------------------------------------
 
-/**
- * Return a bare base64 string (no data-URI prefix).
- * Accepts both "data:image/png;base64,<data>" and raw base64.
- */
-function stripDataUri(input) {
-  if (typeof input !== 'string') throw new TypeError('Image must be a string');
-  const idx = input.indexOf(',');
-  return idx !== -1 ? input.slice(idx + 1) : input;
-}
-
 /**
  * Return a full data-URI string.
  * Accepts both data-URI and raw base64; defaults to image/png.
@@ -115,186 +25,10 @@ function ensureDataUri(input, mimeType = 'image/png') {
 }
 
 /**
- * Extract the mime type from a data-URI, defaulting to image/png.
- */
-function mimeTypeFromDataUri(input) {
-  const match = input.match(/^data:([^;]+);base64,/);
-  return match ? match[1] : 'image/png';
-}
-
-
-// ---------------------------------------------------------------------------
-// HTTP helpers
-// ---------------------------------------------------------------------------
-
-function buildHeaders(provider, apiKey) {
-  const common = { 'Content-Type': 'application/json' };
-  switch (provider) {
-    case PROVIDERS.OPENAI:
-    case PROVIDERS.GROK:
-      return { ...common, Authorization: `Bearer ${apiKey}` };
-    case PROVIDERS.OLLAMA_LOCAL:
-    case PROVIDERS.OLLAMA_CLOUD:
-      return apiKey ? { ...common, Authorization: `Bearer ${apiKey}` } : common;
-    default:
-      return common;
-  }
-}
-
-function getOllamaBaseUrl(provider, settings) {
-  if (provider === PROVIDERS.OLLAMA_CLOUD) {
-    return settings.ollamaCloudUrl || 'https://your-cloud-ollama-host';
-  }
-  return settings.ollamaLocalUrl || 'http://localhost:11434';
-}
-
-/**
- * Centralised fetch wrapper — surfaces HTTP errors with body text
- * rather than swallowing them or returning an undefined-riddled object.
- */
-async function apiFetch(url, options) {
-  let response;
-  try {
-    response = await fetch(url, options);
-  } catch (networkError) {
-    throw new Error(`Network error reaching ${url}: ${networkError.message}`);
-  }
-
-  if (!response.ok) {
-    const body = await response.text().catch(() => '(unreadable body)');
-    throw new Error(`HTTP ${response.status} from ${url}: ${body}`);
-  }
-
-  return response.json();
-}
-
-
-// ---------------------------------------------------------------------------
-// Provider implementations (API mode)
-// ---------------------------------------------------------------------------
-
-/**
- * Each function:
- *   - accepts (base64Image, prompt, settings)
- *   - returns Promise<string>  (the model's text response)
- *   - throws a descriptive Error on failure
+ * Normalise one image or a list of images to an array.
  */
-
-async function analyzeOpenAI(base64Image, prompt, settings) {
-  const { unifiedModel = 'gpt-4o', openaiApiKey } = settings;
-
-  const data = await apiFetch(`${ENDPOINTS.openai}/chat/completions`, {
-    method: 'POST',
-    headers: buildHeaders(PROVIDERS.OPENAI, openaiApiKey),
-    body: JSON.stringify({
-      model: unifiedModel,
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'image_url', image_url: { url: ensureDataUri(base64Image) } },
-          { type: 'text', text: prompt },
-        ],
-      }],
-      max_tokens: 8192,
-    }),
-  });
-
-  const text = data?.choices?.[0]?.message?.content;
-  if (typeof text !== 'string') {
-    throw new Error(`Unexpected OpenAI response shape: ${JSON.stringify(data)}`);
-  }
-  return text;
-}
-
-async function analyzeGrok(base64Image, prompt, settings) {
-  const { unifiedModel = 'grok-2-vision-1212', grokApiKey } = settings;
-
-  const data = await apiFetch(`${ENDPOINTS.grok}/chat/completions`, {
-    method: 'POST',
-    headers: buildHeaders(PROVIDERS.GROK, grokApiKey),
-    body: JSON.stringify({
-      model: unifiedModel,
-      max_tokens: 4096,
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'text', text: prompt },
-          { type: 'image_url', image_url: { url: ensureDataUri(base64Image) } },
-        ],
-      }],
-    }),
-  });
-
-  const text = data?.choices?.[0]?.message?.content;
-  if (typeof text !== 'string') {
-    throw new Error(`Unexpected Grok response shape: ${JSON.stringify(data)}`);
-  }
-  return text;
-}
-
-async function analyzeGemini(base64Image, prompt, settings) {
-  const { unifiedModel = 'gemini-2.0-flash-exp', geminiApiKey } = settings;
-  const bare = stripDataUri(base64Image);
-  const mime = mimeTypeFromDataUri(base64Image);
-
-  const url = `${ENDPOINTS.gemini}/models/${unifiedModel}:generateContent?key=${geminiApiKey}`;
-
-  const data = await apiFetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{
-        parts: [
-          { text: prompt },
-          { inline_data: { mime_type: mime, data: bare } },
-        ],
-      }],
-    }),
-  });
-
-  // Gemini can return multiple candidate parts; grab the first text block.
-  const parts = data?.candidates?.[0]?.content?.parts;
-  const text = Array.isArray(parts)
-    ? parts.find(p => typeof p.text === 'string')?.text
-    : undefined;
-
-  if (typeof text !== 'string') {
-    // Surface finish reason (e.g. SAFETY, RECITATION) if available.
-    const reason = data?.candidates?.[0]?.finishReason;
-    throw new Error(
-      reason
-        ? `Gemini returned no text (finishReason: ${reason})`
-        : `Unexpected Gemini response shape: ${JSON.stringify(data)}`
-    );
-  }
-  return text;
-}
-
-async function analyzeOllama(base64Image, prompt, settings) {
-  const { unifiedApiProvider, unifiedModel, ollamaApiKey } = settings;
-  const baseUrl = getOllamaBaseUrl(unifiedApiProvider, settings);
-
-  const data = await apiFetch(`${baseUrl}/v1/chat/completions`, {
-    method: 'POST',
-    headers: buildHeaders(unifiedApiProvider, ollamaApiKey),
-    body: JSON.stringify({
-      model: unifiedModel,
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'image_url', image_url: { url: ensureDataUri(base64Image) } },
-          { type: 'text', text: prompt },
-        ],
-      }],
-      stream: false,
-    }),
-  });
-
-  const text = data?.choices?.[0]?.message?.content;
-  if (typeof text !== 'string') {
-    throw new Error(`Unexpected Ollama response shape: ${JSON.stringify(data)}`);
-  }
-  return text;
+function toImageList(input) {
+  return Array.isArray(input) ? input : [input];
 }
 
 
@@ -312,25 +46,15 @@ async function analyzeOllama(base64Image, prompt, settings) {
  * @returns {Promise<string>} Message indicating redirect happened
  */
 async function redirectToProviderChat(base64Image, prompt, settings) {
-  // Redirect mode supports ChatGPT and Grok.
+  // Redirect mode supports the providers with a web chat (ChatGPT and Grok).
   // Use the vision/text API provider to determine redirect destination.
   // Never infer from visionApiProvider/textApiProvider — those control API mode, not redirect mode.
   const apiProvider = settings.visionApiProvider || settings.textApiProvider || 'openai';
 
-  // Map the API provider to the redirect provider
-  // Only OpenAI and Grok support redirect mode
-  const providerKey = (apiProvider === 'openai' || apiProvider === 'grok')
-    ? apiProvider
-    : 'openai'; // Default to OpenAI if provider doesn't support redirect
-
-  const provider = PROVIDER_NAME_MAP[providerKey];
-
-  if (!provider || !CHAT_URLS[provider]) {
-    throw new Error(
-      `Redirect mode only supports "openai" (ChatGPT) and "grok" (Grok). ` +
-      `Got: "${providerKey}". Please select OpenAI or Grok as your API provider.`
-    );
-  }
+  // Default to OpenAI if provider doesn't support redirect
+  const configured = ProviderRegistry.get(apiProvider);
+  const provider = configured?.redirect ? configured.id : 'openai';
+  const { redirect } = ProviderRegistry.require(provider);
 
   // Ensure we have a data URI
   const dataUri = ensureDataUri(base64Image);
@@ -361,7 +85,7 @@ async function redirectToProviderChat(base64Image, prompt, settings) {
   }
 
   // Open the provider's chat URL
-  const newTab = await chrome.tabs.create({ url: CHAT_URLS[provider] });
+  const newTab = await chrome.tabs.create({ url: redirect.url });
   const tabId = newTab.id;
 
   // Fetch blob in extension context (avoids CORS issues when fetching data URIs from external sites)
@@ -600,21 +324,15 @@ async function redirectToProviderChat(base64Image, prompt, settings) {
     if (tId === tabId && info.status === 'complete') {
       chrome.tabs.onUpdated.removeListener(listener);
       // Longer delay for Grok to ensure it's fully interactive
-      const delay = provider === PROVIDERS.GROK ? 2000 : 1000;
-      setTimeout(injectAutoPaste, delay);
+      setTimeout(injectAutoPaste, redirect.pasteDelay);
     }
   });
 
   // Show notification with instructions
-  const providerNames = {
-    [PROVIDERS.OPENAI]: 'ChatGPT',
-    [PROVIDERS.GROK]: 'Grok',
-  };
-
   chrome.notifications.create({
     type: 'basic',
     iconUrl: chrome.runtime.getURL('icon128.png'),
-    title: '📋 Image Ready - ' + providerNames[provider],
+    title: '📋 Image Ready - ' + redirect.name,
     message: 'Image copied! Attempting auto-paste... If image doesn\'t appear, click in the chat box and press Ctrl+V to paste manually.',
     priority: 2,
   }).catch(() => {
@@ -622,7 +340,7 @@ async function redirectToProviderChat(base64Image, prompt, settings) {
     console.log('[ScreenGrab] Image in clipboard - Click in the chat and press Ctrl+V to paste');
   });
 
-  return `Redirected to ${providerNames[provider]}. Image is in your clipboard - click in the chat box and press Ctrl+V if auto-paste doesn't work.`;
+  return `Redirected to ${redirect.name}. Image is in your clipboard - click in the chat box and press Ctrl+V if auto-paste doesn't work.`;
 }
 
 
@@ -639,182 +357,39 @@ async function redirectToProviderChat(base64Image, prompt, settings) {
  * The caller decides what the prompt says — this function does NOT
  * inject an OCR step or impose any output structure.
  *
- * @param {string}   base64Image  Raw base64 or data-URI encoded image.
+ * @param {string|string[]} base64Image  Raw base64 or data-URI encoded image(s).
  * @param {string}   prompt       The question or task for the model.
  * @param {object}   settings     Provider credentials and model selection.
+ * @param {object}   [options]
+ * @param {AbortSignal} [options.signal]  Aborts the HTTP request (job cancelled).
+ * @param {function} [options.onProgress]  (textSoFar, totalChars) => void, as the answer streams in.
+ * @param {function} [options.onRetry]  ({ reason, delayMs, attempt, maxAttempts }) => void, while waiting to retry.
  * @returns {Promise<string>}
  */
-async function analyzeImage(base64Image, prompt, settings) {
-  if (!base64Image) throw new Error('base64Image is required');
+async function analyzeImage(base64Image, prompt, settings, options = {}) {
+  if (!base64Image || toImageList(base64Image).length === 0) throw new Error('base64Image is required');
   if (!prompt) throw new Error('prompt is required');
 
-  const provider = settings?.unifiedApiProvider;
-  if (!provider) throw new Error('settings.unifiedApiProvider is required');
-
-  switch (provider) {
-    case PROVIDERS.OPENAI: return analyzeOpenAI(base64Image, prompt, settings);
-    case PROVIDERS.GROK: return analyzeGrok(base64Image, prompt, settings);
-    case PROVIDERS.GEMINI: return analyzeGemini(base64Image, prompt, settings);
-    case PROVIDERS.OLLAMA_LOCAL:
-    case PROVIDERS.OLLAMA_CLOUD: return analyzeOllama(base64Image, prompt, settings);
-    default:
-      throw new Error(
-        `Unknown provider "${provider}". Valid providers: ${Object.values(PROVIDERS).join(', ')}`
-      );
-  }
-}
-
-/**
- * isMultimodalModel
- *
- * Returns true if the given model ID supports image input for the
- * given provider. Used to filter model dropdowns in the UI.
- *
- * For cloud providers this is a synchronous allowlist check.
- * For Ollama use queryOllamaModelIsMultimodal() instead — it asks
- * the running Ollama instance directly so arbitrary local models
- * (qwen3.5, future releases, custom fine-tunes) are handled correctly
- * without any name-pattern maintenance.
- *
- * @param {string} provider
- * @param {string} modelId
- * @returns {boolean}
- */
-function isMultimodalModel(provider, modelId) {
-  const allowlist = MULTIMODAL_MODEL_IDS[provider];
-  if (allowlist === undefined) {
-    throw new Error(`Unknown provider "${provider}"`);
-  }
-  if (allowlist === null) {
-    // Ollama — caller must use queryOllamaModelIsMultimodal() for
-    // authoritative capability detection.
-    throw new Error(
-      `Use queryOllamaModelIsMultimodal() for Ollama provider. ` +
-      `Name-based heuristics cannot reliably identify vision models.`
-    );
-  }
-  return allowlist.has((modelId || '').toLowerCase());
-}
-
-/**
- * queryOllamaModelIsMultimodal
- *
- * Asks the Ollama /api/show endpoint whether a model has vision
- * capability. Caches the result for the lifetime of the service worker.
- *
- * Ollama reports capabilities in two ways depending on version:
- *   - Newer (>=0.3):  response.capabilities array contains "vision"
- *   - Older:          response.details.families array contains a family
- *                     like "clip" which signals multimodal support
- *
- * @param {string}  modelId   e.g. "qwen2.5-vl:7b", "qwen3.5:latest"
- * @param {string}  baseUrl   e.g. "http://localhost:11434"
- * @param {string}  [apiKey]
- * @returns {Promise<boolean>}
- */
-async function queryOllamaModelIsMultimodal(modelId, baseUrl, apiKey) {
-  const cached = await getCachedCapability(baseUrl, modelId);
-  if (cached !== undefined) return cached;
-
-  let data;
-  try {
-    data = await apiFetch(`${baseUrl}/api/show`, {
-      method: 'POST',
-      headers: apiKey
-        ? { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` }
-        : { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name: modelId }),
-    });
-  } catch {
-    // If Ollama is unreachable, assume text-only — don't crash the UI.
-    await setCachedCapability(baseUrl, modelId, false);
-    return false;
-  }
-
-  // Newer Ollama: explicit capabilities array.
-  const hasVisionCapability =
-    Array.isArray(data?.capabilities) &&
-    data.capabilities.includes('vision');
-
-  // Older Ollama: presence of a CLIP projector in the model families
-  // indicates multimodal (image encoder) support.
-  const hasClipFamily =
-    Array.isArray(data?.details?.families) &&
-    data.details.families.some(f => typeof f === 'string' && f.toLowerCase().includes('clip'));
-
-  const result = hasVisionCapability || hasClipFamily;
-  await setCachedCapability(baseUrl, modelId, result);
-  return result;
-}
-
-/**
- * categorizeOllamaModels
- *
- * Async version of categorizeModels specifically for Ollama, since
- * capability detection requires a network call per model.
- *
- * @param {Array<{id: string, name?: string}>} models
- * @param {string}  baseUrl  e.g. "http://localhost:11434"
- * @param {string}  [apiKey]
- * @returns {Promise<{ multimodal: Array, textOnly: Array }>}
- */
-async function categorizeOllamaModels(models, baseUrl, apiKey) {
-  const results = await Promise.allSettled(
-    models.map(model =>
-      queryOllamaModelIsMultimodal(model.id, baseUrl, apiKey)
-        .then(isVision => ({ model, isVision }))
-    )
-  );
-
-  const multimodal = [];
-  const textOnly = [];
-
-  for (const result of results) {
-    if (result.status === 'fulfilled') {
-      const { model, isVision } = result.value;
-      (isVision ? multimodal : textOnly).push(model);
-    }
-    // Rejected means the /api/show call threw unexpectedly after our
-    // try/catch — treat as text-only rather than dropping the model.
-    else {
-      const idx = results.indexOf(result);
-      textOnly.push(models[idx]);
-    }
-  }
-
-  return { multimodal, textOnly };
-}
+  const providerId = settings?.unifiedApiProvider;
+  if (!providerId) throw new Error('settings.unifiedApiProvider is required');
 
-/**
- * categorizeModels
- *
- * Splits a flat list of model objects into { multimodal, textOnly }
- * for cloud providers (synchronous allowlist check).
- *
- * For Ollama use categorizeOllamaModels() — it queries the running
- * instance so arbitrary local models are handled correctly.
- *
- * @param {Array<{id: string, name?: string}>} models
- * @param {string} provider  Must not be an Ollama provider.
- * @returns {{ multimodal: Array, textOnly: Array }}
- */
-function categorizeModels(models, provider) {
-  if (provider === PROVIDERS.OLLAMA_LOCAL || provider === PROVIDERS.OLLAMA_CLOUD) {
-    throw new Error('Use categorizeOllamaModels() for Ollama providers.');
+  const provider = ProviderRegistry.require(providerId);
+  if (!ProviderRegistry.supports(provider, 'multimodal')) {
+    throw new Error(`${provider.name} can't analyze images with a prompt. Choose a multimodal provider.`);
   }
+  AIService.validateRequiredKey(provider.id, settings);
 
-  const multimodal = [];
-  const textOnly = [];
+  const text = await AIService.chat(provider.id, {
+    model: settings.unifiedModel || provider.defaultModels.vision,
+    messages: [{ role: 'user', content: prompt, images: toImageList(base64Image).map(image => ensureDataUri(image)) }],
+    stream: true,
+    maxTokens: 8192,
+  }, settings, { signal: options.signal, onProgress: options.onProgress, onRetry: options.onRetry, label: 'analysis' });
 
-  for (const model of models) {
-    if (isMultimodalModel(provider, model.id)) {
-      multimodal.push(model);
-    } else {
-      textOnly.push(model);
-    }
+  if (!text && !AIService.isStreamStopped(options.signal)) {
+    throw new Error(`${provider.name} returned no text`);
   }
-
-  return { multimodal, textOnly };
+  return text;
 }
 
 
@@ -839,13 +414,60 @@ function categorizeModels(models, provider) {
  * 3. Dual-model fallback (legacy): Two-step pipeline (OCR → text analysis)
  *    Returns: HTML string formatted by formatResult()
  *
- * @param {string}   base64Image
+ * Oversized captures arrive as several images (parts of one page). Redirect mode
+ * uses the first part, unified mode analyses each part and joins the results,
+ * and the dual-model path runs OCR per part before a single text analysis.
+ *
+ * With options.regions the images are separate regions of a multi-region
+ * capture instead: unified mode sends them all in one request with a prompt
+ * naming each region, and the dual-model path labels each region's OCR text.
+ *
+ * Long analyses can be resumed: finished steps are reported to
+ * options.onCheckpoint, and passing them back as options.checkpoint skips them
+ * (per-part OCR text, the joined OCR text, per-part unified results).
+ *
+ * Each step tries its fallback providers (AIService.withFallback) when the
+ * configured one can't be reached, is rate limited or times out; the result
+ * then starts with a note naming the provider that answered.
+ *
+ * @param {string|string[]} base64Image  One image, or the parts of a split capture
  * @param {object}   settings
  * @param {string}   tabId
  * @param {function} updateProgress  (step, pct, label, detail) => void
+ * @param {object}   [options]
+ * @param {boolean}  [options.regions]  Images are separate regions, not parts
+ * @param {object}   [options.checkpoint]  Steps already done by an earlier run
+ * @param {function} [options.onCheckpoint]  async (changes) => void, called after each step
+ * @param {AbortSignal} [options.signal]  Aborts the in-flight provider request (job cancelled)
+ * @param {function} [options.onStream]  (textSoFar) => void, the answer as it streams in
  * @returns {Promise<string>}  Final result text for display.
  */
-async function analyzeScreenshot(base64Image, settings, tabId, updateProgress) {
+async function analyzeScreenshot(base64Image, settings, tabId, updateProgress, options = {}) {
+  const images = toImageList(base64Image);
+  const partCount = images.length;
+  const checkpoint = options.checkpoint || {};
+  const saveCheckpoint = options.onCheckpoint || (async () => {});
+  const signal = options.signal;
+  const onStream = options.onStream || (() => {});
+  // Answer text of the step running now; kept if the user stops it
+  let stepText = '';
+  // Progress callback for a streamed answer; `shown` is text already on screen
+  // above it. Partial text is redacted like the final result before it is shown.
+  const streamProgress = (step, from, shown = '') => (text, totalChars) => {
+    stepText = text;
+    updateProgress(tabId, step, from + (totalChars / 1000) * 15, 'Analyzing', `${totalChars.toLocaleString()} chars`);
+    onStream(sanitizeSensitiveData(shown + text));
+  };
+  // Progress callback for a provider call waiting to be retried
+  const retryProgress = (step, percent) => ({ reason, delayMs, attempt, maxAttempts }) => {
+    updateProgress(tabId, step, percent, `${reason}, retrying in ${Math.ceil(delayMs / 1000)}s`, `Attempt ${attempt} of ${maxAttempts}`);
+  };
+  const isRegionBatch = !!options.regions && partCount > 1;
+  // DOM text/links/labels from the captured area - redacted before it leaves the device
+  const pageText = options.pageText ? sanitizeSensitiveData(options.pageText) : '';
+  const pageTextNote = pageText
+    ? `\n\nPage text context (taken from the page's DOM inside the captured area; use it to read small or unclear text, code and links exactly):\n"""\n${pageText}\n"""`
+    : '';
   const {
     useRedirectMode,
     visionApiProvider,
@@ -866,13 +488,38 @@ async function analyzeScreenshot(base64Image, settings, tabId, updateProgress) {
     hasAIService: typeof AIService !== 'undefined'
   });
 
+  // Which provider answered each step, for the note on fallbacks
+  const fallbackNotes = new Set();
+  // A step stopped by the user resolves to the text it streamed so far
+  const runStep = async (step, run) => {
+    stepText = '';
+    let outcome;
+    try {
+      outcome = await AIService.withFallback(step, settings, run, signal);
+    } catch (error) {
+      if (AIService.isStreamStopped(signal)) return stepText;
+      throw error;
+    }
+    const note = AIService.describeFallback(outcome);
+    if (note) fallbackNotes.add(note);
+    return outcome.result;
+  };
+  // Unified answers are markdown, so their note is too; the dual-model
+  // result is HTML
+  const noteMarkdown = () => [...fallbackNotes].map(note => `*${note}*\n\n`).join('');
+  const noteHtml = () => [...fallbackNotes].map(note => `<p><em>${escapeHtml(note)}</em></p>`).join('');
+
   // Redirect mode: Open provider website with image copied to clipboard
   if (useRedirectMode) {
+    if (settings.neverSendToCloud) {
+      throw new Error('Redirect mode opens a cloud chat site, which "Never send to cloud" blocks. Turn one of them off in Settings.');
+    }
     await updateProgress(tabId, 1, 50, 'Opening AI Provider', 'Copying image to clipboard...');
 
     const prompt = captureGoal?.trim() || 'Describe what you see in this image and highlight anything noteworthy.';
 
-    const result = await redirectToProviderChat(base64Image, prompt, settings);
+    // Only one image fits in the clipboard - send the top part of a split capture
+    const result = await redirectToProviderChat(images[0], prompt, settings);
 
     await updateProgress(tabId, 1, 100, 'Done', 'Opened provider website');
 
@@ -900,16 +547,58 @@ async function analyzeScreenshot(base64Image, settings, tabId, updateProgress) {
 
   // API mode with unified model
   if (useUnifiedModel && unifiedApiProvider && unifiedModel) {
-    const prompt = captureGoal?.trim()
-      || 'Describe what you see in this image and highlight anything noteworthy.';
+    const prompt = (captureGoal?.trim()
+      || 'Describe what you see in this image and highlight anything noteworthy.') + pageTextNote;
+
+    await updateProgress(tabId, 1, 10, 'Analysing', isRegionBatch ? `Sending ${partCount} regions to model…` : 'Sending to model…');
+
+    if (isRegionBatch) {
+      const regionList = images.map((_, i) => `Image ${i + 1} is Region ${i + 1}`).join('; ');
+      const regionPrompt = `${prompt}\n\nYou are given ${partCount} images, each a separate region selected from the same page, in this order: ${regionList}. Consider them together and refer to each as "Region N" when it matters which one you mean.`;
+      const result = await runStep('unified', stepSettings =>
+        analyzeImage(images, regionPrompt, stepSettings, { signal, onProgress: streamProgress(1, 10), onRetry: retryProgress(1, 10) })
+      );
+
+      await updateProgress(tabId, 1, 100, 'Done', `${result.length.toLocaleString()} chars`);
+
+      return noteMarkdown() + sanitizeSensitiveData(result);
+    }
+
+    if (partCount === 1) {
+      const result = await runStep('unified', stepSettings =>
+        analyzeImage(images[0], prompt, stepSettings, { signal, onProgress: streamProgress(1, 10), onRetry: retryProgress(1, 10) })
+      );
+
+      await updateProgress(tabId, 1, 100, 'Done', `${result.length.toLocaleString()} chars`);
+
+      return noteMarkdown() + sanitizeSensitiveData(result);
+    }
 
-    await updateProgress(tabId, 1, 10, 'Analysing', 'Sending to model…');
+    const partResults = (checkpoint.partResults || []).slice();
+    for (let i = partResults.length; i < partCount; i++) {
+      // Stopped while an earlier part streamed: keep what is there
+      if (AIService.isStreamStopped(signal)) break;
+
+      await updateProgress(tabId, 1, 10 + (i / partCount) * 85, 'Analysing', `Part ${i + 1} of ${partCount}…`);
+      const partPrompt = `${prompt}\n\n(This image is part ${i + 1} of ${partCount} of one long capture, in top-to-bottom order.)`;
+      const heading = `Part ${i + 1} of ${partCount}\n\n`;
+      const shown = partResults.map(part => `${part}\n\n---\n\n`).join('') + heading;
+      const partResult = await runStep('unified', stepSettings => analyzeImage(images[i], partPrompt, stepSettings, {
+        signal,
+        onProgress: streamProgress(1, 10 + (i / partCount) * 85, shown),
+        onRetry: retryProgress(1, 10 + (i / partCount) * 85)
+      }));
+      // Stopped before this part had any text: the earlier parts are the result
+      if (!partResult && AIService.isStreamStopped(signal)) break;
+      partResults.push(`${heading}${sanitizeSensitiveData(partResult)}`);
+      await saveCheckpoint({ partResults });
+    }
 
-    const result = await analyzeImage(base64Image, prompt, settings);
+    const result = partResults.join('\n\n---\n\n');
 
     await updateProgress(tabId, 1, 100, 'Done', `${result.length.toLocaleString()} chars`);
 
-    return sanitizeSensitiveData(result);
+    return noteMarkdown() + sanitizeSensitiveData(result);
   }
 
   // Dual-model fallback — legacy pipeline using AIService from ai-service.js
@@ -918,42 +607,72 @@ async function analyzeScreenshot(base64Image, settings, tabId, updateProgress) {
   if (typeof AIService !== 'undefined') {
     console.log('[analyzeScreenshot] Using dual-model fallback with AIService');
 
-    // Vision OCR
-    let imageDescription;
-    try {
-      await updateProgress(tabId, 1, 33, 'Analyzing', 'Vision Analysis');
-      console.log('[analyzeScreenshot] Starting vision analysis with provider:', visionApiProvider);
-      imageDescription = await AIService.describeImage(base64Image, settings, (chunk, totalChars) => {
-        updateProgress(tabId, 1, 33 + (totalChars / 1000) * 10, 'Analyzing', `${totalChars.toLocaleString()} chars`);
-      });
-      console.log('[analyzeScreenshot] Vision analysis complete, length:', imageDescription?.length);
-    } catch (visionError) {
-      console.error('[analyzeScreenshot] Vision analysis failed:', visionError);
-      throw new Error(`Vision analysis failed: ${visionError.message}`);
+    // Vision OCR (skipped when resuming after it finished)
+    let imageDescription = checkpoint.imageDescription;
+    if (imageDescription) {
+      await updateProgress(tabId, 1, 60, 'Analyzing', 'Vision Analysis already done');
+    } else {
+      try {
+        const descriptions = (checkpoint.descriptions || []).slice();
+        for (let i = descriptions.length; i < partCount; i++) {
+          // Stopped while an earlier part was read: keep what is there
+          if (AIService.isStreamStopped(signal)) break;
+          const unit = isRegionBatch ? 'region' : 'part';
+          const label = partCount > 1 ? `Vision Analysis (${unit} ${i + 1} of ${partCount})` : 'Vision Analysis';
+          await updateProgress(tabId, 1, 33, 'Analyzing', label);
+          console.log('[analyzeScreenshot] Starting vision analysis with provider:', visionApiProvider, 'part:', i + 1, '/', partCount);
+          const description = await runStep('vision', stepSettings =>
+            AIService.describeImage(images[i], stepSettings, (chunk, totalChars) => {
+              stepText = chunk;
+              updateProgress(tabId, 1, 33 + (totalChars / 1000) * 10, 'Analyzing', `${totalChars.toLocaleString()} chars`);
+            }, signal, retryProgress(1, 33))
+          );
+          // Stored text is redacted like the final OCR text
+          const safeDescription = sanitizeSensitiveData(description);
+          if (isRegionBatch) {
+            descriptions.push(`## Region ${i + 1}\n\n${safeDescription}`);
+          } else {
+            descriptions.push(partCount > 1 ? `## Part ${i + 1} of ${partCount}\n\n${safeDescription}` : safeDescription);
+          }
+          await saveCheckpoint({ descriptions });
+        }
+        imageDescription = sanitizeSensitiveData(descriptions.join('\n\n'));
+        console.log('[analyzeScreenshot] Vision analysis complete, length:', imageDescription?.length);
+        await saveCheckpoint({ imageDescription, descriptions: null });
+      } catch (visionError) {
+        if (signal?.aborted) throw visionError;
+        console.error('[analyzeScreenshot] Vision analysis failed:', visionError);
+        throw new Error(`Vision analysis failed: ${visionError.message}`);
+      }
     }
 
-    imageDescription = sanitizeSensitiveData(imageDescription);
-
     // Check if cancelled before text analysis
     // Note: We'd need access to CaptureQueue for this, but for now we'll skip it
     // since this is the fallback path
 
     // Text Analysis
-    let deepAnalysis;
-    try {
-      await updateProgress(tabId, 2, 66, 'Analyzing', 'Deep Analysis');
-      console.log('[analyzeScreenshot] Starting text analysis with provider:', textApiProvider);
-      deepAnalysis = await AIService.analyzeText(imageDescription, settings, (chunk, totalChars) => {
-        updateProgress(tabId, 2, 66 + (totalChars / 1000) * 15, 'Analyzing', `${totalChars.toLocaleString()} chars`);
-      });
-      console.log('[analyzeScreenshot] Text analysis complete, length:', deepAnalysis?.length);
-      deepAnalysis = sanitizeSensitiveData(deepAnalysis);
-    } catch (error) {
-      console.error('[analyzeScreenshot] Text analysis failed:', error);
-      deepAnalysis = `Analysis unavailable: ${error.message}`;
+    let deepAnalysis = '';
+    // Stopped during the vision step: show the text read so far, unanalyzed
+    if (!AIService.isStreamStopped(signal)) {
+      try {
+        await updateProgress(tabId, 2, 66, 'Analyzing', 'Deep Analysis');
+        console.log('[analyzeScreenshot] Starting text analysis with provider:', textApiProvider);
+        const analysisInput = pageText
+          ? `${imageDescription}\n\n## Page Text Context\n\n${pageText}`
+          : imageDescription;
+        deepAnalysis = await runStep('text', stepSettings =>
+          AIService.analyzeText(analysisInput, stepSettings, streamProgress(2, 66), signal, retryProgress(2, 66))
+        );
+        console.log('[analyzeScreenshot] Text analysis complete, length:', deepAnalysis?.length);
+        deepAnalysis = sanitizeSensitiveData(deepAnalysis);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error('[analyzeScreenshot] Text analysis failed:', error);
+        deepAnalysis = `Analysis unavailable: ${error.message}`;
+      }
     }
 
-    const result = formatResult(imageDescription, deepAnalysis);
+    const result = noteHtml() + formatResult(imageDescription, deepAnalysis);
     console.log('[analyzeScreenshot] Dual-model analysis complete, result length:', result?.length);
     return result;
   }
@@ -971,6 +690,49 @@ async function analyzeScreenshot(base64Image, settings, tabId, updateProgress) {
   throw new Error('No valid analysis mode configured. Please enable redirect mode or configure API keys.');
 }
 
+/**
+ * Text-only analysis for text read straight from the page DOM (a selection or
+ * the text inside an area). Runs only the text step of the dual-model
+ * pipeline above - no screenshot, no describeImage/OCR.
+ *
+ * @param {string} text - Page text to analyze
+ * @param {Object} settings - Merged settings (CaptureQueue.getSettings)
+ * @param {number} tabId - Tab that shows the progress indicator
+ * @param {Function} updateProgress - (tabId, step, percent, status, stats)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the provider request (job cancelled)
+ * @param {Function} [options.onStream] - (textSoFar) => void, the answer as it streams in
+ * @returns {Promise<string>} Formatted HTML result
+ */
+async function analyzeTextContent(text, settings, tabId, updateProgress, options = {}) {
+  if (typeof AIService === 'undefined') {
+    throw new Error('Text analysis is not available.');
+  }
+
+  // Same redaction the OCR text gets before it reaches the text model
+  const pageText = sanitizeSensitiveData(text.trim());
+
+  await updateProgress(tabId, 1, 20, 'Analyzing', `${pageText.length.toLocaleString()} chars of page text`);
+  console.log('[analyzeTextContent] Starting text analysis with provider:', settings.textApiProvider);
+
+  // Falls back to the next text provider on connection errors, rate limits and timeouts
+  const outcome = await AIService.withFallback('text', settings, stepSettings =>
+    AIService.analyzeText(pageText, stepSettings, (partial, totalChars) => {
+      updateProgress(tabId, 1, 20 + (totalChars / 1000) * 15, 'Analyzing', `${totalChars.toLocaleString()} chars`);
+      if (options.onStream) options.onStream(sanitizeSensitiveData(partial));
+    }, options.signal, ({ reason, delayMs, attempt, maxAttempts }) => {
+      updateProgress(tabId, 1, 20, `${reason}, retrying in ${Math.ceil(delayMs / 1000)}s`, `Attempt ${attempt} of ${maxAttempts}`);
+    }),
+    options.signal
+  );
+  const analysis = sanitizeSensitiveData(outcome.result || 'No analysis generated');
+  const note = AIService.describeFallback(outcome);
+
+  await updateProgress(tabId, 1, 100, 'Done', `${analysis.length.toLocaleString()} chars`);
+
+  return formatResult(`# Page Text\n\n${pageText}`, `# Analysis\n\n${note ? `*${note}*\n\n` : ''}${analysis}`);
+}
+
 /**
  * Format the final result from dual-model mode.
  *
@@ -1005,20 +767,13 @@ if (typeof module !== 'undefined') {
   module.exports = {
     analyzeImage,
     analyzeScreenshot,
-    isMultimodalModel,
-    categorizeModels,
-    categorizeOllamaModels,
-    queryOllamaModelIsMultimodal,
+    analyzeTextContent,
     redirectToProviderChat,
-    PROVIDERS,
   };
 }
 
 // ES module (commented out, uncomment if using ES modules)
 // export {
-//   analyzeImage, analyzeScreenshot,
-//   isMultimodalModel, categorizeModels,
-//   categorizeOllamaModels, queryOllamaModelIsMultimodal,
+//   analyzeImage, analyzeScreenshot, analyzeTextContent,
 //   redirectToProviderChat,
-//   PROVIDERS,
 // };
@@ -1,46 +1,30 @@
 /**
- * Ollama Service - Centralized API client for Ollama Local and Cloud
- *
- * Endpoints:
- * - Local: http://localhost:11434/api (HTTP only)
- * - Cloud: https://ollama.com/api (HTTPS)
- * - Google Vision: https://vision.googleapis.com/v1/images:annotate
+ * AI Service - sends vision, text and follow-up requests to the configured
+ * provider. Providers are defined in provider-*.js and looked up through
+ * ProviderRegistry (provider-registry.js, loaded before this file); this
+ * file holds what they share: auth headers, timeouts, streaming and the
+ * model cache.
  */
 
 const AIService = {
-    // LLM Providers
-    // Note: These IDs must match ai-service-multimodal.js PROVIDERS
+    // LLM Providers - canonical IDs of the definitions in ProviderRegistry
     PROVIDERS: {
         OLLAMA_LOCAL: 'ollama_local',         // Changed from 'ollama' for consistency
         OLLAMA_CLOUD: 'ollama_cloud',         // Changed from 'ollama-cloud' for consistency
         GOOGLE_VISION: 'google-vision',
         OPENAI: 'openai',
         GROK: 'grok',
-        GOOGLE_GEMINI: 'google-gemini'
+        GOOGLE_GEMINI: 'google-gemini',
+        OPENAI_COMPATIBLE: 'openai-compatible'
     },
 
-    // Legacy provider ID mappings for backward compatibility
-    // Maps old IDs to new standardized IDs
-    PROVIDER_ALIASES: {
-        'ollama': 'ollama_local',
-        'ollama-cloud': 'ollama_cloud'
-    },
+    OCR_PROMPT: 'Extract ALL visible text from this image. Return only the extracted text content with no explanations or descriptions.',
 
     /**
-     * Normalize provider ID to handle legacy aliases
+     * Normalize provider ID to handle legacy aliases ('ollama', 'ollama-cloud')
      */
     normalizeProviderId(provider) {
-        return this.PROVIDER_ALIASES[provider] || provider;
-    },
-
-    // API endpoints
-    ENDPOINTS: {
-        local: 'http://localhost:11434',
-        cloud: 'https://ollama.com',
-        googleVision: 'https://vision.googleapis.com/v1',
-        openai: 'https://api.openai.com/v1',
-        grok: 'https://api.x.ai/v1',
-        googleGemini: 'https://generativelanguage.googleapis.com/v1beta'
+        return ProviderRegistry.get(provider)?.id || provider;
     },
 
     // Model Cache - uses chrome.storage.session to persist across service worker restarts
@@ -87,25 +71,32 @@ const AIService = {
     TIMEOUT_MS: 120000,
 
     /**
-     * Get the base URL for the given provider
+     * Get the base URL for the given provider. Self-hosted providers read
+     * their host from settings (e.g. a GPU box on the LAN).
      */
-    getBaseUrl(provider) {
-        if (provider === this.PROVIDERS.OLLAMA_CLOUD) return this.ENDPOINTS.cloud;
-        if (provider === this.PROVIDERS.GOOGLE_VISION) return this.ENDPOINTS.googleVision;
-        if (provider === this.PROVIDERS.OPENAI) return this.ENDPOINTS.openai;
-        if (provider === this.PROVIDERS.GROK) return this.ENDPOINTS.grok;
-        if (provider === this.PROVIDERS.GOOGLE_GEMINI) return this.ENDPOINTS.googleGemini;
-        return this.ENDPOINTS.local;
+    getBaseUrl(provider, settings = {}) {
+        return ProviderRegistry.require(provider).baseUrl(settings);
     },
 
     /**
-     * Get available models from the provider
+     * Get available models from the provider, cached for an hour per
+     * provider, host and key
      */
-    async getModels(provider, apiKey) {
-        // Normalize provider ID to handle legacy aliases
-        provider = this.normalizeProviderId(provider);
+    async getModels(provider, apiKey, settings = {}) {
+        const definition = ProviderRegistry.require(provider);
+        if (!ProviderRegistry.supports(definition, 'models')) {
+            throw new Error(`${definition.name} does not list models`);
+        }
+        if (definition.auth.required && !apiKey) {
+            throw new Error('API Key is required for this provider');
+        }
+
+        const requestSettings = definition.auth.keyName
+            ? { ...settings, [definition.auth.keyName]: apiKey }
+            : settings;
+        definition.validate?.(requestSettings);
 
-        const cacheKey = `${provider}-${apiKey || 'no-key'}`;
+        const cacheKey = `${definition.id}-${definition.baseUrl(requestSettings)}-${apiKey || 'no-key'}`;
 
         // Return cached models if valid (1 hour cache)
         const cachedModels = await this.CACHE.getModels(cacheKey);
@@ -113,77 +104,39 @@ const AIService = {
             return cachedModels;
         }
 
-        let models = [];
-        if (
-            (provider === this.PROVIDERS.OPENAI ||
-                provider === this.PROVIDERS.GROK ||
-                provider === this.PROVIDERS.GOOGLE_GEMINI ||
-                provider === this.PROVIDERS.OLLAMA_CLOUD) &&
-            !apiKey
-        ) {
-            throw new Error('API Key is required for this provider');
-        }
-
         try {
-            if (provider === this.PROVIDERS.OLLAMA_LOCAL || provider === this.PROVIDERS.OLLAMA_CLOUD) {
-                // Keep existing Ollama logic but standardized
-                const localModels = await this.getLocalModels();
-                models = localModels.map(m => ({ id: m.name, name: m.name }));
-            } else if (provider === this.PROVIDERS.OPENAI) {
-                const response = await fetch(`${this.ENDPOINTS.openai}/models`, {
-                    headers: { 'Authorization': `Bearer ${apiKey}` }
-                });
-                if (!response.ok) throw new Error('Failed to fetch OpenAI models');
-                const data = await response.json();
-                models = data.data
-                    .filter(m => m.id.includes('gpt'))
-                    .map(m => ({ id: m.id, name: m.id }));
-            } else if (provider === this.PROVIDERS.GROK) {
-                const response = await fetch(`${this.ENDPOINTS.grok}/models`, {
-                    headers: { 'Authorization': `Bearer ${apiKey}` }
-                });
-                if (!response.ok) throw new Error('Failed to fetch Grok models');
-                const data = await response.json();
-                models = data.data
-                    .filter(m => m.id.includes('grok'))
-                    .map(m => ({ id: m.id, name: m.id }));
-            } else if (provider === this.PROVIDERS.GOOGLE_GEMINI) {
-                const response = await fetch(`${this.ENDPOINTS.googleGemini}/models?key=${apiKey}`);
-                if (!response.ok) throw new Error('Failed to fetch Gemini models');
-                const data = await response.json();
-                models = data.models
-                    .filter(m => m.name.includes('gemini'))
-                    .map(m => {
-                        const id = m.name.replace('models/', '');
-                        return { id: id, name: m.displayName || id };
-                    });
-            }
+            const models = await definition.listModels(requestSettings);
 
             // Cache results using chrome.storage.session (persists across service worker restarts)
             await this.CACHE.setModels(cacheKey, models, 3600000); // 1 hour TTL
 
             return models;
         } catch (error) {
-            console.error(`[AIService] Error fetching models for ${provider}:`, error);
+            console.error(`[AIService] Error fetching models for ${definition.id}:`, error);
             throw error;
         }
     },
 
     /**
-     * Check if Ollama local server is running
+     * Check if Ollama local server is running at the configured host
      */
-    async checkLocalHealth() {
+    async checkLocalHealth(settings = {}) {
+        const baseUrl = this.getBaseUrl(this.PROVIDERS.OLLAMA_LOCAL, settings);
         try {
-            const response = await fetch(`${this.ENDPOINTS.local}/api/tags`, {
-                method: 'GET'
+            const response = await fetch(`${baseUrl}/api/tags`, {
+                method: 'GET',
+                headers: this.buildHeaders(this.PROVIDERS.OLLAMA_LOCAL, settings)
             });
+            if (response.status === 401 || response.status === 403) {
+                throw new Error(`Ollama at ${baseUrl} rejected the credentials (${response.status})`);
+            }
             if (!response.ok) {
-                throw new Error('Ollama is not responding');
+                throw this.providerError('Ollama is not responding', { status: response.status });
             }
             return await response.json();
         } catch (error) {
             if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-                throw new Error('Cannot connect to Ollama at localhost:11434. Is it running?');
+                throw this.providerError(`Cannot connect to Ollama at ${baseUrl}. Is it running?`, { network: true });
             }
             throw error;
         }
@@ -192,104 +145,37 @@ const AIService = {
     /**
      * Check if a model is available locally
      */
-    async hasLocalModel(modelName) {
-        const data = await this.checkLocalHealth();
+    async hasLocalModel(modelName, settings = {}) {
+        const data = await this.checkLocalHealth(settings);
         const baseModelName = modelName.split(':')[0];
         return data.models?.some(m => m.name.includes(baseModelName)) || false;
     },
 
     /**
-     * Get list of all available local models
-     */
-    async getLocalModels() {
-        try {
-            const response = await fetch(`${this.ENDPOINTS.local}/api/tags`);
-            if (!response.ok) {
-                throw new Error('Failed to fetch models');
-            }
-            const data = await response.json();
-            return data.models || [];
-        } catch (error) {
-            console.error('[AIService] Error fetching local models:', error);
-            return [];
-        }
-    },
-
-    /**
-     * Categorize models as vision or text models
-     *
-     * For Ollama providers, uses queryOllamaModelIsMultimodal() to query the
-     * running instance directly (accurate for arbitrary local models).
-     *
-     * For cloud providers, uses a synchronous allowlist check.
+     * Categorize models as vision or text models. Providers whose model names
+     * say little (Ollama) ask the server through categorizeModels; the rest
+     * match names with isVisionModel.
      *
      * @param {Array} models - Array of model objects with id/name properties
-     * @param {string} provider - Provider key (e.g., 'ollama', 'ollama-cloud', 'openai')
-     * @param {string} [baseUrl] - Required for Ollama providers
-     * @param {string} [apiKey] - Optional API key for Ollama cloud
+     * @param {string} provider - Provider ID or legacy alias (e.g. 'ollama', 'openai')
+     * @param {object} [settings] - Host, auth and API key for the provider
      * @returns {Promise<{multimodal: Array, textOnly: Array}>}
      */
-    async categorizeModels(models, provider, baseUrl, apiKey) {
-        // For Ollama providers, use the async query method
-        if (provider === this.PROVIDERS.OLLAMA_LOCAL || provider === this.PROVIDERS.OLLAMA_CLOUD) {
-            // Import MultimodalService for queryOllamaModelIsMultimodal
-            // (it's imported in background.js, check if it's available globally)
-            const hasCapabilityCheck = typeof MultimodalService !== 'undefined' &&
-                typeof MultimodalService.queryOllamaModelIsMultimodal === 'function';
-
-            if (hasCapabilityCheck) {
-                return await MultimodalService.categorizeOllamaModels(models, baseUrl, apiKey);
-            }
-
-            // Fallback to name heuristic if MultimodalService unavailable
-            console.warn('[AIService] MultimodalService not available, using name heuristic for Ollama models');
-            const visionModels = [];
-            const textModels = [];
-
-            for (const model of models) {
-                const name = model.name.toLowerCase();
-                // Vision models typically contain "vl" (vision-language) in their name
-                // Note: This is a fallback - qwen3.5, etc. may be misclassified
-                if (name.includes('vl') || name.includes('vision')) {
-                    visionModels.push(model);
-                } else {
-                    textModels.push(model);
-                }
-            }
-
-            return { multimodal: visionModels, textOnly: textModels };
+    async categorizeModels(models, provider, settings = {}) {
+        const definition = ProviderRegistry.get(provider);
+        if (definition?.categorizeModels) {
+            return definition.categorizeModels(models, settings);
         }
 
-        // For cloud providers, use synchronous allowlist
         const visionModels = [];
         const textModels = [];
 
         for (const model of models) {
             const id = (model.id || model.name || '').toLowerCase();
-
-            if (provider === this.PROVIDERS.OPENAI) {
-                // OpenAI vision models
-                if (id.includes('gpt-4o') || id.includes('gpt-4-vision') || id.includes('vision')) {
-                    visionModels.push(model);
-                } else {
-                    textModels.push(model);
-                }
-            } else if (provider === this.PROVIDERS.GROK) {
-                // Grok vision models (grok-2-vision and newer)
-                if (id.includes('vision') || id.includes('grok-2-vision')) {
-                    visionModels.push(model);
-                } else {
-                    textModels.push(model);
-                }
-            } else if (provider === this.PROVIDERS.GOOGLE_GEMINI) {
-                // Gemini models (most are multimodal)
-                if (id.includes('gemini')) {
-                    visionModels.push(model);
-                } else {
-                    textModels.push(model);
-                }
+            // Unknown provider - use text only as safe default
+            if (definition?.isVisionModel?.(id)) {
+                visionModels.push(model);
             } else {
-                // Unknown provider - use text only as safe default
                 textModels.push(model);
             }
         }
@@ -298,770 +184,597 @@ const AIService = {
     },
 
     validateRequiredKey(provider, settings) {
-        // Normalize provider ID first
-        const normalizedProvider = this.normalizeProviderId(provider);
+        const definition = ProviderRegistry.require(provider);
 
         // Skip validation for providers that support redirect mode if it is enabled
-        const isRedirectableWebProvider = ['openai', 'grok'].includes(normalizedProvider);
-        if (settings.useRedirectMode && isRedirectableWebProvider) return;
-
-        if (normalizedProvider === 'openai' && !settings.openaiApiKey) throw new Error('OpenAI API Key is required');
-        if (normalizedProvider === 'grok' && !settings.grokApiKey) throw new Error('Grok API Key is required');
-        if (normalizedProvider === 'google-gemini' && !settings.geminiApiKey) throw new Error('Gemini API Key is required');
-        if (normalizedProvider === 'ollama_cloud' && !settings.ollamaApiKey) throw new Error('Ollama Cloud API Key is required');
-        if (normalizedProvider === 'google-vision' && !settings.googleApiKey) throw new Error('Google Cloud Vision API Key is required');
+        if (settings.useRedirectMode && definition.redirect) return;
+
+        const { keyName, required } = definition.auth;
+        if (required && !settings[keyName]) throw new Error(`${definition.name} API Key is required`);
+        definition.validate?.(settings);
     },
 
     /**
-     * Build headers for API request
+     * Build headers for an API request from the provider's auth scheme:
+     * a bearer key, the basic-auth / bearer credentials configured for a
+     * local Ollama behind a reverse proxy, or none for keys sent in the URL
      */
-    buildHeaders(provider, apiKey) {
-        const normalizedProvider = this.normalizeProviderId(provider);
+    buildHeaders(provider, settings = {}) {
+        const definition = ProviderRegistry.require(provider);
+        const { scheme, keyName } = definition.auth;
         const headers = { 'Content-Type': 'application/json' };
-        if (normalizedProvider === 'ollama_cloud' && apiKey) {
-            headers['Authorization'] = `Bearer ${apiKey}`;
-        } else if (normalizedProvider === 'google-vision' && apiKey) {
-            headers['Authorization'] = `Bearer ${apiKey}`;
-        } else if (normalizedProvider === 'openai' && apiKey) {
-            headers['Authorization'] = `Bearer ${apiKey}`;
-        } else if (normalizedProvider === 'grok' && apiKey) {
-            headers['Authorization'] = `Bearer ${apiKey}`;
-        } else if (normalizedProvider === 'google-gemini') {
-            // Gemini uses query param for key mostly, but can use header in some contexts
-            // We'll handle it in the request construction
+
+        if (scheme === 'bearer' && settings[keyName]) {
+            headers['Authorization'] = `Bearer ${settings[keyName]}`;
+        } else if (scheme === 'ollama') {
+            const { ollamaAuthType, ollamaAuthUsername = '', ollamaAuthSecret = '' } = settings;
+            if (ollamaAuthType === 'basic' && (ollamaAuthUsername || ollamaAuthSecret)) {
+                // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+                const credentials = new TextEncoder().encode(`${ollamaAuthUsername}:${ollamaAuthSecret}`);
+                headers['Authorization'] = `Basic ${btoa(String.fromCharCode(...credentials))}`;
+            } else if (ollamaAuthType === 'bearer' && ollamaAuthSecret) {
+                headers['Authorization'] = `Bearer ${ollamaAuthSecret}`;
+            }
         }
-        return headers;
+
+        return { ...headers, ...definition.extraHeaders?.(settings) };
     },
 
     /**
-     * Describe an image using vision model (OCR/text extraction)
+     * Parse custom headers entered one per line as "Name: value". Blank lines
+     * are skipped; anything else without a valid header name throws.
      */
-    async describeImage(base64Image, settings, onProgress) {
-        const { visionApiProvider, visionModel, ...apiKeys } = settings;
-        // Normalize provider ID for backward compatibility
-        const normalizedProvider = this.normalizeProviderId(visionApiProvider);
-        this.validateRequiredKey(normalizedProvider, settings);
-
-        switch (normalizedProvider) {
-            case this.PROVIDERS.OLLAMA_LOCAL:
-            case this.PROVIDERS.OLLAMA_CLOUD:
-                return this.describeImageOllama(base64Image, settings, onProgress);
-            case this.PROVIDERS.GOOGLE_VISION:
-                return this.describeImageGoogleVision(base64Image, settings, onProgress);
-            case this.PROVIDERS.OPENAI:
-                return this.describeImageOpenAI(base64Image, settings, onProgress);
-            case this.PROVIDERS.GROK:
-                return this.describeImageGrok(base64Image, settings, onProgress);
-            case this.PROVIDERS.GOOGLE_GEMINI:
-                return this.describeImageGemini(base64Image, settings, onProgress);
-            default:
-                throw new Error(`Unknown vision provider: ${visionApiProvider}`);
+    parseCustomHeaders(text) {
+        const headers = {};
+        for (const line of (text || '').split('\n')) {
+            if (!line.trim()) continue;
+            const colon = line.indexOf(':');
+            const name = colon > 0 ? line.slice(0, colon).trim() : '';
+            if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+                throw new Error(`Invalid custom header: "${line.trim()}" (expected "Name: value")`);
+            }
+            headers[name] = line.slice(colon + 1).trim();
         }
+        return headers;
     },
 
     /**
-     * Ollama Image Description Implementation
+     * Run request(requestSignal, resetTimeout) with a signal that aborts when
+     * the caller's signal does or when nothing arrives for TIMEOUT_MS, so a
+     * timeout stops the HTTP request instead of leaving it running. Streaming
+     * requests call resetTimeout for every chunk; a long answer that keeps
+     * streaming never times out. A timeout is thrown as `timeoutMessage`.
      */
-    async describeImageOllama(base64Image, settings, onProgress) {
-        const { visionApiProvider, visionModel, ollamaApiKey } = settings;
-        const normalizedProvider = this.normalizeProviderId(visionApiProvider);
-        const baseUrl = this.getBaseUrl(normalizedProvider);
-        const isCloud = normalizedProvider === this.PROVIDERS.OLLAMA_CLOUD;
-
-        // Check local availability if using local
-        if (!isCloud) {
-            const hasModel = await this.hasLocalModel(visionModel);
-            if (!hasModel) {
-                throw new Error(`${visionModel} model not found. Run: ollama pull ${visionModel}`);
+    async withTimeout(request, signal, timeoutMessage) {
+        const timeout = new AbortController();
+        let timer;
+        const resetTimeout = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => timeout.abort(), this.TIMEOUT_MS);
+        };
+        resetTimeout();
+
+        const requestSignal = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+        try {
+            return await request(requestSignal, resetTimeout);
+        } catch (error) {
+            if (timeout.signal.aborted && !signal?.aborted) {
+                throw this.providerError(timeoutMessage, { timeout: true });
             }
+            throw error;
+        } finally {
+            clearTimeout(timer);
         }
+    },
 
-        const headers = this.buildHeaders(visionApiProvider, ollamaApiKey);
-
-        // Create timeout promise
-        const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Vision analysis timeout (120s)')), this.TIMEOUT_MS)
-        );
-
-        // Create fetch promise - Try chat completions API first (better for vision models)
-        const fetchPromise = (async () => {
-            // Prepare the image with proper data URL prefix if not present
-            let imageData = base64Image;
-            if (!imageData.startsWith('data:')) {
-                imageData = `data:image/png;base64,${base64Image}`;
-            }
+    /**
+     * Abort reason for "stop generating": the request ends, but the text
+     * streamed so far is kept as the answer. It is an AbortError, so fetch
+     * and every abort check treat it as a cancellation.
+     */
+    streamStoppedReason() {
+        return Object.assign(new DOMException('Stopped by the user', 'AbortError'), { streamStopped: true });
+    },
 
-            // Try chat completions API first (OpenAI-compatible, better for vision models like qwen-vl)
-            const chatRequestBody = {
-                model: visionModel,
-                messages: [
-                    {
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'text',
-                                text: 'Extract ALL visible text from this image. Return only the extracted text content with no explanations or descriptions.'
-                            },
-                            {
-                                type: 'image_url',
-                                image_url: {
-                                    url: imageData
-                                }
-                            }
-                        ]
-                    }
-                ],
-                stream: false
-            };
+    isStreamStopped(signal) {
+        return !!signal?.aborted && !!signal.reason?.streamStopped;
+    },
 
-            try {
-                const chatResponse = await fetch(`${baseUrl}/v1/chat/completions`, {
-                    method: 'POST',
-                    headers,
-                    body: JSON.stringify(chatRequestBody)
-                });
-
-                if (chatResponse.ok) {
-                    const chatData = await chatResponse.json();
-                    const content = chatData.choices?.[0]?.message?.content;
-
-                    // Validate that we got a real response, not an error or API documentation
-                    // Some models respond with their own API docs when they don't understand the request
-                    if (content && typeof content === 'string' && content.length > 0) {
-                        // Check for common error responses or API documentation patterns
-                        const errorPatterns = [
-                            '/v1/chat/completions',
-                            'OpenAI-compatible',
-                            'API endpoint',
-                            'POST /v1/',
-                            '{"error":'
-                        ];
-
-                        const hasErrorPattern = errorPatterns.some(pattern => content.includes(pattern));
-
-                        if (!hasErrorPattern) {
-                            // Valid response - return it
-                            if (onProgress) onProgress(content, content.length);
-                            return content;
-                        }
-
-                        // If we hit this, the model likely doesn't support vision via chat completions
-                        console.warn('[AIService] Chat completions API returned unexpected response - model may not support vision. Falling back to generate API.');
-                    }
-                }
-            } catch (chatError) {
-                // Chat API failed, will fall back to generate API
-                console.warn('[AIService] Chat completions API failed:', chatError.message);
-            }
+    /**
+     * Collect the text of a streamed response. Ollama's NDJSON and the SSE of
+     * OpenAI, Grok and Gemini are both line based: parseLine (the provider's
+     * parseStreamLine) turns one line into the text it carries ('' for none)
+     * and throws on an error line.
+     * onProgress gets the text so far after every chunk. If the stream is
+     * stopped (see streamStoppedReason), the partial text is returned.
+     */
+    async readTextStream(response, parseLine, onProgress, signal, onChunk) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
 
-            // Fallback to generate API
-            const requestBody = {
-                model: visionModel,
-                prompt: 'Extract ALL visible text from this image. Return only the extracted text content with no explanations or descriptions.',
-                images: [base64Image],
-                stream: false,
-                options: {
-                    num_predict: 16384
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                if (onChunk) onChunk();
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                const before = text.length;
+                for (const line of lines) {
+                    if (line.trim()) text += parseLine(line.trim());
                 }
-            };
-
-            const response = await fetch(`${baseUrl}/api/generate`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Vision analysis failed (${response.status}): ${errorText}`);
+                if (onProgress && text.length > before) onProgress(text, text.length);
             }
+            if (buffer.trim()) text += parseLine(buffer.trim());
+        } catch (error) {
+            if (!this.isStreamStopped(signal)) throw error;
+            reader.cancel().catch(() => {});
+        }
 
-            // Non-streaming response - parse JSON directly
-            const data = await response.json();
-
-            if (!data.response) {
-                throw new Error('Model returned empty response. Try a different vision model.');
-            }
-
-            if (onProgress) onProgress(data.response, data.response.length);
-            return data.response;
-        })();
-
-        const result = await Promise.race([fetchPromise, timeoutPromise]);
-        return result || 'No text extracted from image';
+        return text;
     },
 
     /**
-     * Describe an image using Google Cloud Vision API
+     * An Error carrying what went wrong with a provider call: the HTTP
+     * `status`, `network` (the server was never reached) or `timeout`
      */
-    async describeImageGoogleVision(base64Image, settings, onProgress) {
-        const { googleApiKey } = settings;
+    providerError(message, details) {
+        return Object.assign(new Error(message), details);
+    },
 
-        if (!googleApiKey) {
-            throw new Error('Google Cloud Vision API key is required');
-        }
+    // Retries of one provider call: backoff doubles from RETRY_BASE_MS up to
+    // RETRY_MAX_BACKOFF_MS; a server asking for a longer wait than
+    // RETRY_MAX_WAIT_MS is not retried (the fallback chain takes over)
+    MAX_RETRIES: 3,
+    RETRY_BASE_MS: 1000,
+    RETRY_MAX_BACKOFF_MS: 16000,
+    RETRY_MAX_WAIT_MS: 30000,
 
-        // Create timeout promise
-        const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Google Vision analysis timeout (120s)')), this.TIMEOUT_MS)
-        );
-
-        // Create fetch promise
-        const fetchPromise = (async () => {
-            const requestBody = {
-                requests: [{
-                    image: {
-                        content: base64Image
-                    },
-                    features: [{
-                        type: 'TEXT_DETECTION' // This is the OCR feature
-                    }]
-                }]
-            };
+    // Statuses worth repeating a request for: timeouts, rate limits and
+    // server-side failures
+    RETRY_STATUSES: [408, 429, 500, 502, 503, 504],
 
-            const response = await fetch(`${this.ENDPOINTS.googleVision}/images:annotate?key=${googleApiKey}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
+    /**
+     * fetch() for provider calls. A request that never reaches the server
+     * (offline, refused connection, DNS, CORS) is thrown as a network error
+     * naming the provider; a cancelled or stopped one is rethrown as is.
+     *
+     * Idempotent requests (GET and HEAD unless told otherwise) are retried up
+     * to MAX_RETRIES times on network errors and RETRY_STATUSES. Others, such
+     * as paid generation POSTs, only when the server refused them unprocessed
+     * (429, or 503 with Retry-After) or the browser is offline, so the request
+     * never left; any other failure may already have been processed and billed,
+     * so it goes to the fallback chain instead. The wait is what the server
+     * asks for (see getRetryDelay), else exponential backoff with jitter. While waiting, onRetry is called every second with
+     * { reason, delayMs, attempt, maxAttempts }. When retries run out, the
+     * last response is returned (or the network error thrown).
+     */
+    async request(name, url, options = {}, { idempotent, onRetry } = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const retryAll = idempotent ?? (method === 'GET' || method === 'HEAD');
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                let errorMessage = `Google Vision analysis failed (${response.status}): ${errorText}`;
+        for (let attempt = 1; ; attempt++) {
+            const canRetry = attempt <= this.MAX_RETRIES;
+            let response;
+            let reason;
+            let delayMs = null;
 
-                try {
-                    const errorJson = JSON.parse(errorText);
-                    const error = errorJson.error;
-                    if (error) {
-                        if (error.code === 403) {
-                            if (error.status === 'PERMISSION_DENIED') {
-                                errorMessage = `Google Vision API access denied (403). Possible reasons:\n1. Cloud Vision API is not enabled in your Google Cloud Project.\n2. Your API key is restricted and doesn't allow "Cloud Vision API".\n3. Billing might not be enabled for your project.\n\nTechnical details: ${error.message}`;
-                            } else {
-                                errorMessage = `Google Vision API 403 error: ${error.message}`;
-                            }
-                        } else if (error.message) {
-                            errorMessage = `Google Vision API error: ${error.message}`;
-                        }
-                    }
-                } catch (e) {
-                    // Keep original errorMessage if JSON parsing fails
-                }
-
-                throw new Error(errorMessage);
+            try {
+                response = await fetch(url, options);
+            } catch (error) {
+                if (error.name === 'AbortError' || options.signal?.aborted) throw error;
+                const networkError = this.providerError(`Network error reaching ${name}: ${error.message}`, { network: true });
+                if (!canRetry || !(retryAll || this.isOffline())) throw networkError;
+                reason = `Can't reach ${name}`;
             }
 
-            const data = await response.json();
+            if (response) {
+                const retryable = retryAll
+                    ? this.RETRY_STATUSES.includes(response.status)
+                    : response.status === 429 || (response.status === 503 && response.headers.has('retry-after'));
+                if (!canRetry || !retryable) return response;
 
-            // Extract the full text annotation from the response
-            const fullTextAnnotation = data.responses?.[0]?.fullTextAnnotation;
-            if (!fullTextAnnotation) {
-                return 'No text detected in image';
+                delayMs = await this.getRetryDelay(response);
+                if (delayMs !== null && delayMs > this.RETRY_MAX_WAIT_MS) return response;
+                reason = response.status === 429 ? 'Rate limited' : `${name} unavailable (${response.status})`;
+                response.body?.cancel().catch(() => {});
             }
 
-            const extractedText = fullTextAnnotation.text || '';
-
-            if (onProgress) onProgress(extractedText, extractedText.length);
-            return extractedText;
-        })();
-
-        const result = await Promise.race([fetchPromise, timeoutPromise]);
-        return result || 'No text extracted from image';
-    },
+            if (delayMs === null) delayMs = this.getBackoffDelay(attempt);
+            console.warn(`[AIService] ${reason}, retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1} of ${this.MAX_RETRIES + 1})`);
 
-    /**
-     * Analyze text using text model
-     */
-    async analyzeText(text, settings, onProgress) {
-        const { textApiProvider, textModel, ...apiKeys } = settings;
-        // Normalize provider ID for backward compatibility
-        const normalizedProvider = this.normalizeProviderId(textApiProvider);
-        this.validateRequiredKey(normalizedProvider, settings);
-
-        switch (normalizedProvider) {
-            case this.PROVIDERS.OLLAMA_LOCAL:
-            case this.PROVIDERS.OLLAMA_CLOUD:
-                return this.analyzeTextOllama(text, settings, onProgress);
-            case this.PROVIDERS.OPENAI:
-                return this.analyzeTextOpenAI(text, settings, onProgress);
-            case this.PROVIDERS.GROK:
-                return this.analyzeTextGrok(text, settings, onProgress);
-            case this.PROVIDERS.GOOGLE_GEMINI:
-                return this.analyzeTextGemini(text, settings, onProgress);
-            default:
-                throw new Error(`Unknown text provider: ${textApiProvider}`);
+            for (let remaining = delayMs; remaining > 0; remaining -= 1000) {
+                onRetry?.({ reason, delayMs: remaining, attempt: attempt + 1, maxAttempts: this.MAX_RETRIES + 1 });
+                await this.sleep(Math.min(remaining, 1000), options.signal);
+            }
         }
     },
 
     /**
-     * Ollama Text Analysis Implementation
+     * request() options for a generation call made inside withTimeout:
+     * waiting to retry counts as activity for the timeout
      */
-    async analyzeTextOllama(text, settings, onProgress) {
-        const { textApiProvider, textModel, ollamaApiKey } = settings;
-        const normalizedProvider = this.normalizeProviderId(textApiProvider);
-        const baseUrl = this.getBaseUrl(normalizedProvider);
-        const headers = this.buildHeaders(normalizedProvider, ollamaApiKey);
-
-        const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Text analysis timeout (120s)')), this.TIMEOUT_MS)
-        );
-
-        const fetchPromise = (async () => {
-            const requestBody = {
-                model: textModel,
-                prompt: `You are analyzing text extracted from an image. Analyze the text content:\n\n${text}\n\nunderstand the context. think to understand, solve and provide the correct answers based on the question asked text as a helpful assistant.`,
-                stream: false,
-                options: {
-                    num_predict: 16384
-                }
-            };
-
-            const response = await fetch(`${baseUrl}/api/generate`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Text analysis failed (${response.status}): ${errorText}`);
+    retryOptions(resetTimeout, onRetry) {
+        return {
+            onRetry: info => {
+                resetTimeout();
+                onRetry?.(info);
             }
+        };
+    },
 
-            const data = await response.json();
-            if (onProgress) onProgress(data.response, data.response?.length || 0);
-            return data.response;
-        })();
+    // The browser knows it has no connection, so a failed fetch never reached
+    // the server
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    },
 
-        const result = await Promise.race([fetchPromise, timeoutPromise]);
-        return result || 'No analysis generated';
+    /**
+     * Exponential backoff with "equal jitter": half the doubled delay plus a
+     * random share of the other half, so clients retrying together spread out
+     */
+    getBackoffDelay(attempt) {
+        const delay = Math.min(this.RETRY_BASE_MS * 2 ** (attempt - 1), this.RETRY_MAX_BACKOFF_MS);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
     },
 
     /**
-     * Ask a follow-up question with conversation context
+     * How long a failed response asks the client to wait, in milliseconds,
+     * or null when it doesn't say. Checked in order:
+     * - Retry-After, in seconds or as an HTTP date
+     * - retry-after-ms (OpenAI)
+     * - x-ratelimit-reset-requests / -tokens (OpenAI, xAI), durations such
+     *   as "1m30s" or "250ms", for the limits whose remaining count is 0
+     * - the RetryInfo retryDelay ("31s") in a Gemini error body
      */
-    async askFollowUp(question, conversationHistory, settings, onProgress) {
-        const { textApiProvider, ...apiKeys } = settings;
-        // Normalize provider ID for backward compatibility
-        const normalizedProvider = this.normalizeProviderId(textApiProvider);
-        this.validateRequiredKey(normalizedProvider, settings);
-
-        switch (normalizedProvider) {
-            case this.PROVIDERS.OLLAMA_LOCAL:
-            case this.PROVIDERS.OLLAMA_CLOUD:
-                return this.askFollowUpOllama(question, conversationHistory, settings, onProgress);
-            case this.PROVIDERS.OPENAI:
-                return this.askFollowUpOpenAI(question, conversationHistory, settings, onProgress);
-            case this.PROVIDERS.GROK:
-                return this.askFollowUpGrok(question, conversationHistory, settings, onProgress);
-            case this.PROVIDERS.GOOGLE_GEMINI:
-                return this.askFollowUpGemini(question, conversationHistory, settings, onProgress);
-            default:
-                throw new Error(`Unknown text provider: ${textApiProvider}`);
+    async getRetryDelay(response) {
+        const { headers } = response;
+
+        const retryAfter = headers.get('retry-after');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+            const date = Date.parse(retryAfter);
+            if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
         }
-    },
 
-    async askFollowUpOllama(question, conversationHistory, settings, onProgress) {
-        const { textApiProvider, textModel, ollamaApiKey } = settings;
-        const normalizedProvider = this.normalizeProviderId(textApiProvider);
-        const baseUrl = this.getBaseUrl(normalizedProvider);
-        const headers = this.buildHeaders(normalizedProvider, ollamaApiKey);
+        const retryAfterMs = Number(headers.get('retry-after-ms'));
+        if (headers.has('retry-after-ms') && Number.isFinite(retryAfterMs)) return Math.max(0, retryAfterMs);
 
-        // For local Ollama, check if server is running
-        if (normalizedProvider === this.PROVIDERS.OLLAMA_LOCAL) {
+        const resets = ['requests', 'tokens']
+            .filter(limit => headers.get(`x-ratelimit-remaining-${limit}`) === '0')
+            .map(limit => this.parseDuration(headers.get(`x-ratelimit-reset-${limit}`)))
+            .filter(delay => delay !== null);
+        if (resets.length) return Math.max(...resets);
+
+        if (response.status === 429 && headers.get('content-type')?.includes('json')) {
             try {
-                await this.checkLocalHealth();
-            } catch (healthError) {
-                throw new Error('Ollama is not running. Please start Ollama locally.');
+                const { error } = await response.clone().json();
+                const retryInfo = error?.details?.find(detail => detail.retryDelay);
+                const delay = this.parseDuration(retryInfo?.retryDelay);
+                if (delay !== null) return delay;
+            } catch {
+                // Not a Gemini error body
             }
         }
 
-        // Build conversation context
-        let contextPrompt = 'You are a helpful AI assistant answering questions about a screenshot that was analyzed using OCR (Optical Character Recognition) and AI analysis. ';
-        contextPrompt += 'The original screenshot contained visual content which was extracted and analyzed.\n\n';
-        contextPrompt += 'Conversation history:\n\n';
-
-        for (const msg of conversationHistory) {
-            const role = msg.role === 'user' ? 'User' : 'Assistant';
-            contextPrompt += `${role}: ${msg.content}\n\n`;
-        }
+        return null;
+    },
 
-        contextPrompt += `\nUser's follow-up question: ${question}\n\n`;
-        contextPrompt += 'Answer the question based on the conversation context above. If the question is about the original screenshot content, refer to the OCR/analysis results in the conversation history.';
-
-        const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Follow-up analysis timeout (120s)')), this.TIMEOUT_MS)
-        );
-
-        const fetchPromise = (async () => {
-            const response = await fetch(`${baseUrl}/api/generate`, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({
-                    model: textModel,
-                    prompt: contextPrompt,
-                    stream: false,
-                    options: {
-                        num_predict: 16384
-                    }
-                })
-            });
+    /**
+     * Parse a duration like "6m0s", "1.5s" or "250ms" into milliseconds
+     * (null if it isn't one)
+     */
+    parseDuration(value) {
+        const parts = [...String(value ?? '').matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+        if (!parts.length) return null;
+        const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+        return Math.round(parts.reduce((total, [, amount, unit]) => total + amount * units[unit], 0));
+    },
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Follow-up analysis failed (${response.status}): ${errorText}`);
+    /**
+     * Wait ms milliseconds, rejecting with the abort reason if signal aborts
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abortError = () => (signal.reason instanceof Error || signal.reason instanceof DOMException)
+                ? signal.reason
+                : new DOMException('The operation was aborted.', 'AbortError');
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
             }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    },
 
-            const data = await response.json();
-            if (onProgress) onProgress(data.response, data.response?.length || 0);
-            return data.response;
-        })();
+    /**
+     * Whether another provider might succeed where this one failed: it could
+     * not be reached, was rate limited (429), failed on its side (5xx) or
+     * timed out. A bad key, model or request is not retried elsewhere.
+     */
+    isTransientError(error) {
+        return !!(error?.network || error?.timeout || error?.status === 429 || error?.status >= 500);
+    },
 
-        const result = await Promise.race([fetchPromise, timeoutPromise]);
-        return result || 'No response generated';
+    // Settings that pick the provider and model of each analysis step
+    STEPS: {
+        vision: { providerKey: 'visionApiProvider', modelKey: 'visionModel', capability: 'vision', modelType: 'vision' },
+        text: { providerKey: 'textApiProvider', modelKey: 'textModel', capability: 'text', modelType: 'text' },
+        unified: { providerKey: 'unifiedApiProvider', modelKey: 'unifiedModel', capability: 'multimodal', modelType: 'vision' }
     },
 
-    // OpenAI Implementations
-    async describeImageOpenAI(base64Image, settings, onProgress) {
-        const { visionModel, openaiApiKey } = settings;
-        const headers = this.buildHeaders(this.PROVIDERS.OPENAI, openaiApiKey);
+    /**
+     * Whether a request to this provider and model leaves the machine: the
+     * provider is a cloud service, or says so for this model and host
+     * (isCloudModel, e.g. Ollama's "-cloud" models that the local daemon
+     * forwards to ollama.com)
+     */
+    sendsToCloud(provider, model, settings) {
+        if (!provider) return false;
+        return !!(provider.cloud || provider.isCloudModel?.(model, settings));
+    },
 
-        let imageData = base64Image;
-        if (!imageData.startsWith('data:')) {
-            imageData = `data:image/png;base64,${base64Image}`;
+    /**
+     * Whether a URL points at this machine (localhost, 127.0.0.0/8 or ::1)
+     */
+    isLoopbackUrl(url) {
+        try {
+            const { hostname } = new URL(url);
+            return hostname === 'localhost' || hostname === '[::1]' || /^127(\.\d{1,3}){3}$/.test(hostname);
+        } catch {
+            return false;
         }
+    },
 
-        const body = {
-            model: visionModel || "gpt-4o",
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        { type: "text", text: "Extract ALL visible text from this image. Return only the extracted text content with no explanations or descriptions." },
-                        { type: "image_url", image_url: { url: imageData } }
-                    ]
-                }
-            ],
-            max_tokens: 4096
-        };
+    /**
+     * Providers to try for a step, in order: the configured one, then the
+     * user's fallbacks (settings.providerFallbacks[step], each { provider,
+     * model }; an empty model means the provider's default). With
+     * settings.neverSendToCloud, entries that would send data off the
+     * machine (see sendsToCloud) are left out. Fallbacks that can't do the
+     * step or have no API key are skipped.
+     */
+    getProviderChain(step, settings) {
+        const { providerKey, modelKey, capability, modelType } = this.STEPS[step];
+        const candidates = [
+            { provider: settings[providerKey], model: settings[modelKey], primary: true },
+            ...(settings.providerFallbacks?.[step] || [])
+        ];
 
-        const response = await fetch(`${this.ENDPOINTS.openai}/chat/completions`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(body)
-        });
+        const chain = [];
+        for (const { provider: id, model, primary } of candidates) {
+            const provider = ProviderRegistry.get(id);
+            const entry = { provider: provider?.id || id, model: model || provider?.defaultModels[modelType] };
+            if (settings.neverSendToCloud && this.sendsToCloud(provider, entry.model, settings)) continue;
+            if (!primary) {
+                if (!ProviderRegistry.supports(provider, capability)) continue;
+                try {
+                    this.validateRequiredKey(provider.id, settings);
+                } catch {
+                    continue;
+                }
+            }
 
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`OpenAI Vision failed: ${err}`);
+            if (!chain.some(other => other.provider === entry.provider && other.model === entry.model)) {
+                chain.push(entry);
+            }
         }
 
-        const data = await response.json();
-        const content = data.choices[0].message.content;
-        if (onProgress) onProgress(content, content.length);
-        return content;
+        if (chain.length === 0) {
+            throw new Error(`"Never send to cloud" is on, but the ${step} step has no local provider. Choose Ollama (Local) on this machine with a local (not "-cloud") model, or an OpenAI-compatible server, or add one as a fallback in Settings.`);
+        }
+        return chain;
     },
 
-    async analyzeTextOpenAI(text, settings, onProgress) {
-        const { textModel, openaiApiKey } = settings;
-        const headers = this.buildHeaders(this.PROVIDERS.OPENAI, openaiApiKey);
-
-        const body = {
-            model: textModel || "gpt-4o",
-            messages: [
-                { role: "system", content: "You are a helpful assistant analyzing text extracted from an image." },
-                { role: "user", content: `Analyze the text content:\n\n${text}\n\nUnderstand the context, solve any problems, and provide helpful answers.` }
-            ],
-            max_tokens: 4096
-        };
-
-        const response = await fetch(`${this.ENDPOINTS.openai}/chat/completions`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(body)
-        });
+    /**
+     * Run one analysis step with the first provider in its chain (see
+     * getProviderChain), moving on to the next when one fails with a
+     * transient error. run(stepSettings) gets the settings with that
+     * provider and model in place of the configured ones.
+     *
+     * Resolves to { result, provider, failures }: the result, the provider
+     * definition that answered and the providers that failed before it
+     * ({ name, message }).
+     */
+    async withFallback(step, settings, run, signal) {
+        const { providerKey, modelKey } = this.STEPS[step];
+        const chain = this.getProviderChain(step, settings);
+        const failures = [];
 
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`OpenAI Text Analysis failed: ${err}`);
+        for (const [index, { provider, model }] of chain.entries()) {
+            try {
+                const result = await run({ ...settings, [providerKey]: provider, [modelKey]: model });
+                return { result, provider: ProviderRegistry.get(provider), failures };
+            } catch (error) {
+                if (signal?.aborted || index === chain.length - 1 || !this.isTransientError(error)) throw error;
+
+                const name = ProviderRegistry.get(provider)?.name || provider;
+                console.warn(`[AIService] ${name} failed for the ${step} step, trying the next provider:`, error.message);
+                failures.push({ name, message: error.message });
+            }
         }
-
-        const data = await response.json();
-        const content = data.choices[0].message.content;
-        if (onProgress) onProgress(content, content.length);
-        return content;
     },
 
-    async askFollowUpOpenAI(question, conversationHistory, settings, onProgress) {
-        const { textModel, openaiApiKey } = settings;
-        const headers = this.buildHeaders(this.PROVIDERS.OPENAI, openaiApiKey);
+    /**
+     * One line saying which provider answered when a fallback did, e.g.
+     * "Answered by Google Gemini after Ollama (Local) failed (...)"; ''
+     * when the configured provider answered. The errors are shortened (see
+     * summarizeError), as they can carry whole response bodies.
+     */
+    describeFallback({ provider, failures }) {
+        if (!failures.length) return '';
+        const failed = failures.map(({ name, message }) => `${name} failed (${this.summarizeError(message)})`).join(', ');
+        return `Answered by ${provider.name} after ${failed}`;
+    },
 
-        const messages = [
-            { role: "system", content: "You are a helpful AI assistant answering questions about a screenshot that was analyzed using OCR. Use the conversation history to understand context." }
-        ];
+    /**
+     * An error message fit for one line of markdown: whitespace collapsed,
+     * markdown emphasis and code marks removed, cut at 160 characters
+     */
+    summarizeError(message) {
+        const text = String(message || '').replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim();
+        return text.length > 160 ? `${text.slice(0, 159)}…` : text;
+    },
 
-        // Convert history format
-        conversationHistory.forEach(msg => {
-            messages.push({
-                role: msg.role,
-                content: msg.content
-            });
-        });
+    /**
+     * Image as a data URI; raw base64 is taken to be PNG
+     */
+    toDataUri(image) {
+        return image.startsWith('data:') ? image : `data:image/png;base64,${image}`;
+    },
 
-        messages.push({ role: "user", content: question });
+    /**
+     * Split an image into its MIME type and raw base64 data
+     */
+    splitDataUri(image) {
+        const match = /^data:([^;,]+)[^,]*,/.exec(image);
+        return match
+            ? { mimeType: match[1], data: image.slice(match[0].length) }
+            : { mimeType: 'image/png', data: image };
+    },
 
-        const body = {
-            model: textModel || "gpt-4o",
-            messages: messages,
-            max_tokens: 4096
+    /**
+     * Send one chat request to a provider and return the answer text.
+     *
+     * request is provider-neutral: { model, messages, stream, maxTokens },
+     * where each message is { role, content, images } with images as data
+     * URIs; the provider's buildChatRequest turns it into its own API call.
+     * A streamed answer is passed to onProgress as it arrives. label names
+     * the request in errors ("OpenAI text analysis failed (401): ...").
+     * onRetry reports waits before a retry (see request()).
+     */
+    async chat(provider, request, settings, { signal, onProgress, onRetry, label = 'request' } = {}) {
+        const definition = ProviderRegistry.require(provider);
+        await definition.preflight?.(settings);
+        const { url, headers, body } = definition.buildChatRequest(request, settings);
+
+        // Text streamed so far: what a stop keeps, whenever it happens
+        let streamed = '';
+        const trackProgress = (text, totalChars) => {
+            streamed = text;
+            if (onProgress) onProgress(text, totalChars);
         };
 
-        const response = await fetch(`${this.ENDPOINTS.openai}/chat/completions`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`OpenAI Follow-up failed: ${err}`);
-        }
+        try {
+            return await this.withTimeout(async (requestSignal, resetTimeout) => {
+                const response = await this.request(definition.name, url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(body),
+                    signal: requestSignal
+                }, this.retryOptions(resetTimeout, onRetry));
 
-        const data = await response.json();
-        const content = data.choices[0].message.content;
-        if (onProgress) onProgress(content, content.length);
-        return content;
-    },
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw this.providerError(`${definition.name} ${label} failed (${response.status}): ${errorText}`, { status: response.status });
+                }
 
-    // Grok Implementations (xAI API — OpenAI-compatible format)
-    async describeImageGrok(base64Image, settings, onProgress) {
-        const { visionModel, grokApiKey } = settings;
-        const headers = this.buildHeaders(this.PROVIDERS.GROK, grokApiKey);
+                if (!request.stream) {
+                    const text = definition.parseResponse(await response.json());
+                    if (text) trackProgress(text, text.length);
+                    return text;
+                }
 
-        let imageData = base64Image;
-        if (!imageData.startsWith('data:')) {
-            imageData = `data:image/png;base64,${base64Image}`;
+                return this.readTextStream(response, line => definition.parseStreamLine(line), trackProgress, requestSignal, resetTimeout);
+            }, signal, `${definition.name} ${label} timeout (${this.TIMEOUT_MS / 1000}s)`);
+        } catch (error) {
+            // Stopped before or between chunks (sending, retry wait): keep
+            // what streamed instead of failing
+            if (this.isStreamStopped(signal)) return streamed;
+            throw error;
         }
+    },
 
-        const body = {
-            model: visionModel || 'grok-2-vision-1212',
-            messages: [
-                {
-                    role: 'user',
-                    content: [
-                        { type: 'text', text: 'Extract ALL visible text from this image. Return only the extracted text content with no explanations or descriptions.' },
-                        { type: 'image_url', image_url: { url: imageData } }
-                    ]
-                }
-            ],
-            max_tokens: 4096
-        };
+    /**
+     * Look up the provider configured for a step and check it can do it
+     */
+    getStepProvider(provider, capability, step) {
+        const definition = ProviderRegistry.get(provider);
+        if (!definition) throw new Error(`Unknown ${step} provider: ${provider}`);
+        if (!ProviderRegistry.supports(definition, capability)) {
+            throw new Error(`${definition.name} can't be used as the ${step} provider`);
+        }
+        return definition;
+    },
 
-        const response = await fetch(`${this.ENDPOINTS.grok}/chat/completions`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(body)
-        });
+    /**
+     * Describe an image using vision model (OCR/text extraction)
+     */
+    async describeImage(base64Image, settings, onProgress, signal, onRetry) {
+        const provider = this.getStepProvider(settings.visionApiProvider, 'vision', 'vision');
+        this.validateRequiredKey(provider.id, settings);
 
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`Grok Vision failed: ${err}`);
+        if (provider.describeImage) {
+            try {
+                return await provider.describeImage(base64Image, settings, { signal, onProgress, onRetry });
+            } catch (error) {
+                if (this.isStreamStopped(signal)) return '';
+                throw error;
+            }
         }
 
-        const data = await response.json();
-        const content = data.choices[0].message.content;
-        if (onProgress) onProgress(content, content.length);
-        return content;
+        const text = await this.chat(provider.id, {
+            model: settings.visionModel || provider.defaultModels.vision,
+            messages: [{ role: 'user', content: this.OCR_PROMPT, images: [this.toDataUri(base64Image)] }],
+            maxTokens: 4096
+        }, settings, { signal, onProgress, onRetry, label: 'vision analysis' });
+        return text || 'No text extracted from image';
     },
 
-    async analyzeTextGrok(text, settings, onProgress) {
-        const { textModel, grokApiKey } = settings;
-        const headers = this.buildHeaders(this.PROVIDERS.GROK, grokApiKey);
+    /**
+     * Analyze text using text model
+     */
+    async analyzeText(text, settings, onProgress, signal, onRetry) {
+        const provider = this.getStepProvider(settings.textApiProvider, 'text', 'text');
+        this.validateRequiredKey(provider.id, settings);
 
-        const body = {
-            model: textModel || 'grok-3-mini',
+        const result = await this.chat(provider.id, {
+            model: settings.textModel || provider.defaultModels.text,
             messages: [
                 { role: 'system', content: 'You are a helpful assistant analyzing text extracted from an image.' },
                 { role: 'user', content: `Analyze the text content:\n\n${text}\n\nUnderstand the context, solve any problems, and provide helpful answers.` }
             ],
-            max_tokens: 4096
-        };
-
-        const response = await fetch(`${this.ENDPOINTS.grok}/chat/completions`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`Grok Text Analysis failed: ${err}`);
-        }
-
-        const data = await response.json();
-        const content = data.choices[0].message.content;
-        if (onProgress) onProgress(content, content.length);
-        return content;
+            stream: true,
+            maxTokens: 4096
+        }, settings, { signal, onProgress, onRetry, label: 'text analysis' });
+        return result || 'No analysis generated';
     },
 
-    async askFollowUpGrok(question, conversationHistory, settings, onProgress) {
-        const { textModel, grokApiKey } = settings;
-        const headers = this.buildHeaders(this.PROVIDERS.GROK, grokApiKey);
+    /**
+     * Ask a follow-up question with conversation context
+     */
+    async askFollowUp(question, conversationHistory, settings, onProgress, signal, onRetry) {
+        const provider = this.getStepProvider(settings.textApiProvider, 'text', 'text');
+        this.validateRequiredKey(provider.id, settings);
 
         const messages = [
-            { role: 'system', content: 'You are a helpful AI assistant answering questions about a screenshot that was analyzed using OCR. Use the conversation history to understand context.' }
+            { role: 'system', content: 'You are a helpful AI assistant answering questions about a screenshot that was analyzed using OCR. Use the conversation history to understand context.' },
+            ...conversationHistory.map(({ role, content }) => ({ role, content })),
+            { role: 'user', content: question }
         ];
 
-        conversationHistory.forEach(msg => {
-            messages.push({ role: msg.role, content: msg.content });
-        });
-        messages.push({ role: 'user', content: question });
-
-        const body = {
-            model: textModel || 'grok-3-mini',
+        const result = await this.chat(provider.id, {
+            model: settings.textModel || provider.defaultModels.text,
             messages,
-            max_tokens: 4096
-        };
-
-        const response = await fetch(`${this.ENDPOINTS.grok}/chat/completions`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`Grok Follow-up failed: ${err}`);
-        }
-
-        const data = await response.json();
-        const content = data.choices[0].message.content;
-        if (onProgress) onProgress(content, content.length);
-        return content;
-    },
-
-    // Google Gemini Implementations
-    async describeImageGemini(base64Image, settings, onProgress) {
-        const { visionModel, geminiApiKey } = settings;
-        // Gemini uses API key in query param usually
-        const model = visionModel || "gemini-2.0-flash-exp";
-
-        let imageContent = base64Image;
-        if (imageContent.startsWith('data:image/')) {
-            imageContent = imageContent.split(',')[1];
-        }
-
-        const body = {
-            contents: [{
-                parts: [
-                    { text: "Extract ALL visible text from this image. Return only the extracted text content with no explanations or descriptions." },
-                    {
-                        inline_data: {
-                            mime_type: "image/png",
-                            data: imageContent
-                        }
-                    }
-                ]
-            }]
-        };
-
-        const response = await fetch(`${this.ENDPOINTS.googleGemini}/models/${model}:generateContent?key=${geminiApiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`Gemini Vision failed: ${err}`);
-        }
-
-        const data = await response.json();
-        const content = data.candidates?.[0]?.content?.parts?.[0]?.text || "No text detected";
-        if (onProgress) onProgress(content, content.length);
-        return content;
-    },
-
-    async analyzeTextGemini(text, settings, onProgress) {
-        const { textModel, geminiApiKey } = settings;
-        const model = textModel || "gemini-2.0-flash-exp";
-
-        const body = {
-            contents: [{
-                parts: [{
-                    text: `Analyze the text extracted from an image:\n\n${text}\n\nUnderstand the context, solve any problems, and provide helpful answers.`
-                }]
-            }]
-        };
-
-        const response = await fetch(`${this.ENDPOINTS.googleGemini}/models/${model}:generateContent?key=${geminiApiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`Gemini Text Analysis failed: ${err}`);
-        }
-
-        const data = await response.json();
-        const content = data.candidates?.[0]?.content?.parts?.[0]?.text || "No analysis generated";
-        if (onProgress) onProgress(content, content.length);
-        return content;
-    },
-
-    async askFollowUpGemini(question, conversationHistory, settings, onProgress) {
-        const { textModel, geminiApiKey } = settings;
-        const model = textModel || "gemini-2.0-flash-exp";
-
-        // Gemini handles history differently (multi-turn chat), but we can construct content list
-        // Note: Gemini roles are 'user' and 'model'. Our history uses 'assistant'.
-        const contents = [];
-
-        // Add system instruction if possible (Gemini 1.5 Pro support system_instruction)
-        // For simplicity, we'll prepend to first user message or just rely on context
-
-        let instructions = "You are a helpful AI assistant answering questions about a screenshot that was analyzed using OCR.";
-
-        conversationHistory.forEach((msg, index) => {
-            let role = msg.role === 'user' ? 'user' : 'model';
-            let text = msg.content;
-
-            if (index === 0 && role === 'user') {
-                text = `${instructions}\n\n${text}`;
-            }
-
-            contents.push({
-                role: role,
-                parts: [{ text: text }]
-            });
-        });
-
-        contents.push({
-            role: 'user',
-            parts: [{ text: question }]
-        });
-
-        const body = { contents: contents };
-
-        const response = await fetch(`${this.ENDPOINTS.googleGemini}/models/${model}:generateContent?key=${geminiApiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`Gemini Follow-up failed: ${err}`);
-        }
-
-        const data = await response.json();
-        const content = data.candidates?.[0]?.content?.parts?.[0]?.text || "No response generated";
-        if (onProgress) onProgress(content, content.length);
-        return content;
+            stream: true,
+            maxTokens: 4096
+        }, settings, { signal, onProgress, onRetry, label: 'follow-up' });
+        return result || 'No response generated';
     }
-
 };
 
 // Export for use in different contexts
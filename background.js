@@ -3,14 +3,19 @@
 
 // Import utility functions first (provides parseMarkdown, escapeHtml, sanitizeSensitiveData)
 importScripts('utils.js');
-// Import AIService for centralized API calls
+// Import ProviderRegistry, then AIService for centralized API calls, then the
+// provider definitions (provider-grok.js builds on provider-openai.js)
+importScripts('provider-registry.js');
 importScripts('ai-service.js');
+importScripts('provider-openai.js', 'provider-grok.js', 'provider-gemini.js', 'provider-google-vision.js', 'provider-ollama.js');
 // Import MultimodalService for unified and redirect mode support
 importScripts('ai-service-multimodal.js');
 // Import CaptureQueue for storage-based communication
 importScripts('capture-queue.js');
-
-let pollingActive = false;
+// Import ImageStore for passing capture blobs to the offscreen document
+importScripts('image-store.js');
+// Import DebuggerCapture for the optional DevTools protocol capture backend
+importScripts('debugger-capture.js');
 
 // Ensure offscreen document exists for image operations
 async function ensureOffscreenDocument() {
@@ -26,43 +31,68 @@ async function ensureOffscreenDocument() {
   // Create new offscreen document
   await chrome.offscreen.createDocument({
     url: chrome.runtime.getURL('offscreen.html'),
-    reasons: ['IMAGE_PROCESSING'],
-    justify: 'Image resizing and processing for screenshot capture'
+    reasons: ['BLOBS'],
+    justify: 'Image stitching, cropping and resizing for screenshot capture'
   });
 }
 
-// Resize image if needed to prevent API 413 errors
-// Accepts either full data URL or bare base64 string
-async function resizeImageIfNeeded(imageData, maxSize = 1920) {
-  try {
-    // Extract base64 from data URL if needed
-    const base64Image = imageData.startsWith('data:') 
-      ? imageData.split(',')[1] 
-      : imageData;
+// Captured images travel between the capture code, the offscreen document and
+// the analysis as ImageStore keys; only loadCheckpointImages turns them into
+// data URLs, for the provider request.
+
+// Stitch tiles stored in ImageStore in the offscreen document.
+// tiles: [{ key, sx, sy, sw, sh, dx, dy }] in device pixels (see offscreen.js).
+// Returns the stitched image's key.
+async function stitchInOffscreen(tiles, width, height) {
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'stitchImages',
+    tiles,
+    width,
+    height
+  });
+
+  if (!response || response.error || !response.key) {
+    throw new Error(`Failed to stitch captured image: ${response?.error || 'no response from offscreen document'}`);
+  }
+
+  return response.key;
+}
 
+// Resize a stored image if needed to prevent API 413 errors. Returns the key
+// of the image to use: the resized copy (the original is deleted), or the
+// original if it already fits or resizing failed.
+async function resizeImageIfNeeded(key, maxSize = 1920) {
+  try {
     // Ensure offscreen document exists
     await ensureOffscreenDocument();
 
     // Call resizeImage in offscreen document
     const response = await chrome.runtime.sendMessage({
       action: 'resizeImage',
-      base64Image,
+      key,
       maxSize
     });
 
-    if (response && response.dataUrl) {
-      return response.dataUrl;
+    if (!response?.key) {
+      throw new Error(response?.error || 'no response from offscreen document');
     }
-
-    // If resize failed, return original base64 (not full data URL)
-    return base64Image;
+    if (response.key !== key) {
+      await ImageStore.delete(key).catch(() => {});
+    }
+    return response.key;
   } catch (error) {
     console.warn('[Background] Image resize failed, using original:', error.message);
-    // Return original base64 (not full data URL)
-    return imageData.startsWith('data:') ? imageData.split(',')[1] : imageData;
+    return key;
   }
 }
 
+// Capture the visible area of a tab straight into ImageStore; returns the key
+async function captureVisibleToStore(tab, maxRetries) {
+  return ImageStore.putDataUrl(await captureWithRetry(tab, maxRetries));
+}
+
 // Check if URL is restricted
 function isRestrictedUrl(url) {
   if (!url) return true;
@@ -74,143 +104,304 @@ function isRestrictedUrl(url) {
   return restrictedPatterns.some(pattern => url.startsWith(pattern));
 }
 
-// Flag to prevent recursive storage listener calls
-let _isProcessingStorageChange = false;
+// Jobs whose area selection is being handled, so a selection that is
+// reported twice starts one capture
+const handlingSelections = new Set();
 
-// Listen for storage changes to handle capture requests and area selections
+// Listen for storage changes to handle capture jobs and area selections.
+// Every change is handled, including several in one event or tick; each
+// handler ignores work that is already done or under way.
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName !== 'local') return;
 
-  // Prevent recursive calls when we modify storage
-  if (_isProcessingStorageChange) {
-    return;
+  let jobsChanged = false;
+  for (const [key, change] of Object.entries(changes)) {
+    if (!key.startsWith(CaptureQueue.JOB_PREFIX)) continue;
+    const jobId = key.slice(CaptureQueue.JOB_PREFIX.length);
+
+    // A write that raced with a cancel from the popup or a page must not
+    // revive the job
+    CaptureQueue.keepFinished(jobId, change)
+      .catch(error => console.error('[Background] Could not keep job finished:', error));
+
+    // Abort the in-flight work of cancelled jobs
+    releaseJobSignal(jobId, change.newValue);
+
+    // New jobs and jobs that gave up their analysis slot
+    if (!CaptureQueue.ACTIVE_STATUSES.includes(change.newValue?.status)) jobsChanged = true;
   }
 
-  try {
-    _isProcessingStorageChange = true;
-
-    // Handle new capture requests
-    if (changes.captureRequest && changes.captureRequest.newValue) {
-      const request = changes.captureRequest.newValue;
-      setTimeout(() => {
-        _isProcessingStorageChange = false;
-        processQueuedRequest();
-      }, 0);
-      return;
+  // Queue passes run one after another and only claim queued jobs
+  if (jobsChanged) processQueue();
+
+  // Area selection completion ({ jobId, selection } from selector.js)
+  if (changes.areaSelection?.newValue) {
+    const { jobId, selection } = changes.areaSelection.newValue;
+    if (!handlingSelections.has(jobId)) {
+      handlingSelections.add(jobId);
+      handleAreaSelectionChange(selection, { jobId })
+        .catch(error => console.error('[Background] Area selection error:', error))
+        .finally(() => handlingSelections.delete(jobId));
     }
+  }
 
-    // Handle area selection completion
-    if (changes.areaSelection && changes.areaSelection.newValue !== undefined) {
-      setTimeout(() => {
-        _isProcessingStorageChange = false;
-        handleAreaSelectionChange(changes.areaSelection.newValue);
-      }, 0);
-      return;
+  // Handle follow-up requests
+  if (changes.followUpRequest?.newValue) {
+    processFollowUpRequest();
+  }
+});
+
+// Selection modes start their overlay straight away; they take an analysis
+// slot once the user has made the selection
+const SELECTION_MODES = ['area', 'element', 'scrollable'];
+
+// Running jobs by id (lets handleStartAreaSelection wait for the overlay)
+const jobRuns = new Map();
+
+// Abort controllers by job id. Cancelling a job aborts its provider requests
+// and stops a scrolling capture instead of letting them run to the end.
+const jobControllers = new Map();
+
+// Signal that aborts when the job is cancelled (or removed)
+function getJobSignal(jobId) {
+  if (!jobControllers.has(jobId)) {
+    jobControllers.set(jobId, new AbortController());
+  }
+  return jobControllers.get(jobId).signal;
+}
+
+// Drop a finished job's controller, aborting it if the job was cancelled
+function releaseJobSignal(jobId, job) {
+  const controller = jobControllers.get(jobId);
+  if (!controller || (job && !CaptureQueue.isFinished(job))) return;
+
+  if (!job || job.status === 'cancelled') {
+    controller.abort();
+  }
+  jobControllers.delete(jobId);
+}
+
+// Queue passes run one after another, so a job is never claimed twice when
+// several storage events arrive together
+let queueChain = Promise.resolve();
+
+function processQueue() {
+  queueChain = queueChain
+    .then(startQueuedJobs)
+    .catch(error => console.error('[Background] processQueue error:', error));
+  return queueChain;
+}
+
+// The provider whose concurrency limit a job counts against
+function getJobProvider(settings, mode) {
+  if (settings.useRedirectMode) return 'redirect';
+  if (mode === 'text') return settings.textApiProvider || 'ollama';
+  if (settings.useUnifiedModel && settings.unifiedApiProvider && settings.unifiedModel) {
+    return settings.unifiedApiProvider;
+  }
+  return settings.visionApiProvider || 'ollama';
+}
+
+// Start queued jobs in FIFO order while their provider has a free slot
+async function startQueuedJobs() {
+  const settings = await CaptureQueue.getSettings();
+  const limits = { ...CaptureQueue.PROVIDER_CONCURRENCY, ...settings.providerConcurrency };
+  const jobs = await CaptureQueue.getJobs();
+
+  const busy = {};
+  for (const job of jobs) {
+    if (job.provider && CaptureQueue.ACTIVE_STATUSES.includes(job.status)) {
+      busy[job.provider] = (busy[job.provider] || 0) + 1;
     }
+  }
 
-    // Handle follow-up requests
-    if (changes.followUpRequest && changes.followUpRequest.newValue) {
-      setTimeout(() => {
-        _isProcessingStorageChange = false;
-        processFollowUpRequest();
-      }, 0);
-      return;
+  for (let job of jobs) {
+    if (job.status !== 'queued') continue;
+
+    // Fallback: If tabId is missing (from floating icon), pin the job to the
+    // active tab now, before it possibly waits for a slot
+    if (!job.tabId) {
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      job = await CaptureQueue.updateJob(job.id, { tabId: activeTab?.id });
+      if (!job) continue;
     }
 
-    // Reset state when capture completes
-    if (changes.currentCapture && changes.currentCapture.newValue) {
-      const status = changes.currentCapture.newValue.status;
-      if (status === 'complete' || status === 'error' || status === 'cancelled') {
-        // Clear in-memory flag (secondary mechanism)
-        pollingActive = false;
-        // Also clear the processing lock to ensure clean state
-        chrome.storage.session.remove(CaptureQueue.KEYS.PROCESSING_LOCK).catch(() => {});
-      }
+    const provider = getJobProvider(settings, job.mode);
+    if (!SELECTION_MODES.includes(job.mode)) {
+      if ((busy[provider] || 0) >= Math.max(1, limits[provider] || 1)) continue;
+      busy[provider] = (busy[provider] || 0) + 1;
     }
 
-    _isProcessingStorageChange = false;
-  } catch (error) {
-    _isProcessingStorageChange = false;
-    console.error('[Background] Storage listener error:', error);
+    const started = await CaptureQueue.updateJob(job.id, { status: 'capturing', provider });
+    if (started?.status !== 'capturing') continue; // Cancelled while queued
+
+    const run = runJob(started).finally(() => jobRuns.delete(job.id));
+    jobRuns.set(job.id, run);
   }
-});
+}
 
-// Process queued request (called from storage listener)
-async function processQueuedRequest() {
-  // Check processing lock (persists across service worker restarts)
-  // This is more reliable than the in-memory pollingActive flag
-  try {
-    const lockData = await chrome.storage.session.get(CaptureQueue.KEYS.PROCESSING_LOCK);
-    const lock = lockData[CaptureQueue.KEYS.PROCESSING_LOCK];
-    if (lock) {
-      // Check if lock is still within TTL (30s) — stale locks are ignored
-      if (lock.timestamp && (Date.now() - lock.timestamp < 30000)) {
-        return;  // Valid lock, still processing
-      }
-      // Stale lock — clear it and proceed
-      console.warn('[Background] Clearing stale processing lock (age:', Date.now() - (lock.timestamp || 0), 'ms)');
-      await chrome.storage.session.remove(CaptureQueue.KEYS.PROCESSING_LOCK);
+// Jobs that were running when the previous worker instance was suspended.
+// Analysis resumes from the job's checkpoint; a job still capturing can't
+// (the page has moved on), so it fails.
+async function resumeInterruptedJobs() {
+  const jobs = await CaptureQueue.getJobs();
+  for (const job of jobs) {
+    if (!CaptureQueue.ACTIVE_STATUSES.includes(job.status) || jobRuns.has(job.id)) continue;
+
+    if (job.status === 'analyzing' && (job.checkpoint || job.batch)) {
+      console.log('[Background] Resuming interrupted job:', job.id);
+      const run = resumeJob(job).finally(() => jobRuns.delete(job.id));
+      jobRuns.set(job.id, run);
+    } else {
+      await CaptureQueue.updateJob(job.id, { status: 'error', error: 'Capture was interrupted. Please try again.' });
     }
-  } catch (e) {
-    console.warn('[Background] Could not check processing lock:', e);
   }
+}
 
+async function resumeJob(job) {
   try {
-    const request = await CaptureQueue.dequeue();
-    if (!request) {
-      return;
+    if (job.batch) {
+      await analyzeBatch(job);
+    } else if (job.checkpoint.text !== undefined) {
+      await analyzeCheckpointText(job);
+    } else {
+      await analyzeCapturedImages(job);
     }
+  } catch (error) {
+    console.error('[Background] resumeJob error:', error);
+    await CaptureQueue.updateJob(job.id, { status: 'error', error: error.message });
+  }
+}
 
-    pollingActive = true;
-    let { mode, tabId, url } = request;
+// Drop stored images that no unfinished job refers to (stitching tiles and
+// captures left behind by interrupted or failed runs)
+async function pruneOrphanImages() {
+  const jobs = (await CaptureQueue.getJobs()).filter(job => !CaptureQueue.isFinished(job));
+  const inUse = new Set(jobs.flatMap(job => [
+    ...(job.checkpoint?.imageKeys || []),
+    ...(job.batch?.items || []).flatMap(item => item.imageKeys || [])
+  ]));
+
+  const orphans = (await ImageStore.keys()).filter(key => !inUse.has(key));
+  await ImageStore.delete(orphans);
+}
 
-    // Fallback: If tabId is missing (from floating icon), find the active tab
-    if (!tabId) {
-      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      tabId = activeTab?.id;
-    }
+// Run one job
+async function runJob(job) {
+  try {
+    const { mode, tabId, url } = job;
 
     if (!tabId) {
       throw new Error('Target tab could not be identified.');
     }
 
-    // Check restricted URL
-    if (isRestrictedUrl(url)) {
+    // Check restricted URL (a batch skips restricted tabs itself)
+    if (mode !== 'batch' && isRestrictedUrl(url)) {
       throw new Error('Cannot capture screenshots on this page (Restricted URL).');
     }
 
-    await CaptureQueue.updateState({
-      status: 'capturing',
-      mode,
-      tabId,
-      error: null,
-      result: null
-    });
+    const signal = getJobSignal(job.id);
 
     if (mode === 'visible') {
+      // Delayed capture: give the user time to open hover menus and tooltips
+      if (job.delay > 0 && !(await runCaptureCountdown(job, job.delay))) {
+        return;
+      }
+
       const tab = await chrome.tabs.get(tabId);
-      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+      const imageKey = await ImageStore.putDataUrl(await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }));
       // Show progress indicator only when analysis starts (after capture is complete)
-      await processCapturedImage(dataUrl, tabId);
+      await processCapturedImage(imageKey, job);
     } else if (mode === 'full') {
       const tab = await chrome.tabs.get(tabId);
-      const dataUrl = await captureFullPage(tab);
+      const maxHeight = await prepareFullPageCapture(tab, signal);
+      const imageKeys = (await tryDebuggerCapture(tab, { x: 0, y: 0, width: Infinity, height: maxHeight }, signal))
+        || await captureFullPage(tab, maxHeight, signal);
       // Show progress indicator only when analysis starts (after capture is complete)
-      await processCapturedImage(dataUrl, tabId);
-    } else if (mode === 'area') {
-      // For area selection, don't show progress during selection
-      // Progress will be shown after user completes area selection
-      await startAreaSelection(tabId);
-      return;
+      await processCapturedImage(imageKeys, job);
+    } else if (SELECTION_MODES.includes(mode)) {
+      // For area/element selection, don't show progress during selection
+      // Progress will be shown after user completes the selection
+      await startAreaSelection(job, mode);
+    } else if (mode === 'text') {
+      // Analyze text passed with the job (context menu) or the page's
+      // selected text; with neither, let the user draw the area to read
+      let text = job.text;
+      if (!text) {
+        [{ result: text }] = await chrome.scripting.executeScript({
+          target: { tabId },
+          func: () => window.getSelection().toString()
+        });
+      }
+
+      if (text && text.trim()) {
+        await analyzePageText(job, text);
+      } else {
+        await startAreaSelection(job, 'text');
+      }
+    } else if (mode === 'image') {
+      await analyzeContextImage(job, job.srcUrl);
+    } else if (mode === 'batch') {
+      await captureAllTabs(job);
+    } else if (mode === 'repeat') {
+      // Re-capture the previous selection on this page without the overlay
+      const tab = await chrome.tabs.get(tabId);
+      const last = await CaptureQueue.getLastAreaSelection();
+      if (!last || last.url !== tab.url) {
+        throw new Error('No previous area selection on this page. Select an area first.');
+      }
+      await handleAreaSelectionChange(last.selection, { jobId: job.id, replayed: true });
     }
   } catch (error) {
-    console.error('[Background] processQueuedRequest error:', error);
-    await CaptureQueue.updateState({ status: 'error', error: error.message });
+    console.error('[Background] runJob error:', error);
+    await CaptureQueue.updateJob(job.id, { status: 'error', error: error.message });
+    if (job.tabId && job.source === 'context-menu' && !(await CaptureQueue.isCancelled(job.id))) {
+      // No floating icon is polling context menu jobs
+      await hideFloatingProgress(job.tabId);
+      await showErrorOnTab(job.tabId, error.message);
+    }
   }
 }
 
+// Count down before a delayed capture. The seconds left are shown on the page
+// (progress-indicator.js) and on the toolbar icon badge; Esc on the page
+// cancels the job. Returns false if the countdown was cancelled.
+async function runCaptureCountdown(job, seconds) {
+  const tabId = job.tabId;
+  await CaptureQueue.updateJob(job.id, { status: 'countdown' });
+  await chrome.action.setBadgeBackgroundColor({ color: '#8b5cf6' }).catch(() => {});
+
+  let cancelled = false;
+  try {
+    for (let remaining = seconds; remaining > 0; remaining--) {
+      await chrome.action.setBadgeText({ tabId, text: String(remaining) }).catch(() => {});
+      await CaptureQueue.safeTabMessage(tabId, { action: 'showCountdown', seconds: remaining, jobId: job.id });
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      if (await CaptureQueue.isCancelled(job.id)) {
+        cancelled = true;
+        break;
+      }
+    }
+  } finally {
+    await chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+    await CaptureQueue.safeTabMessage(tabId, { action: 'hideCountdown' });
+  }
+
+  if (cancelled) return false;
+
+  // Let the page repaint without the countdown badge before capturing
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await CaptureQueue.updateJob(job.id, { status: 'capturing' });
+  return true;
+}
+
 // Start area selection process
-async function startAreaSelection(tabId) {
+// mode: 'area' draws a rectangle, 'element' picks the DOM element under the cursor,
+// 'scrollable' picks a scroll container whose full contents are captured,
+// 'text' draws a rectangle whose DOM text is analyzed instead of a screenshot
+async function startAreaSelection(job, mode = 'area') {
+  const tabId = job.tabId;
   try {
     // Verify tab is still valid and accessible
     let tab;
@@ -225,8 +416,8 @@ async function startAreaSelection(tabId) {
       throw new Error('Cannot capture screenshots on this page (Restricted URL).');
     }
 
-    // Update state to 'selecting' first so hideFloatingProgress check passes
-    await CaptureQueue.updateState({ status: 'selecting', tabId });
+    // Update the job to 'selecting' first so hideFloatingProgress check passes
+    await CaptureQueue.updateJob(job.id, { status: 'selecting' });
 
     // Hide progress indicator during area selection (the overlay is the UI)
     await hideFloatingProgress(tabId);
@@ -237,20 +428,26 @@ async function startAreaSelection(tabId) {
     // Inject CSS (always needed, safe to re-inject)
     await chrome.scripting.insertCSS({ target: { tabId }, files: ['selector.css'] });
 
-    // Check if AreaSelector is already available from content script
+    // Check if the selectors are already available from content script
     // If not, inject selector.js (handles edge cases where content script didn't load)
     const checkResult = await chrome.scripting.executeScript({
       target: { tabId },
-      func: () => typeof window.AreaSelector !== 'undefined'
+      func: () => typeof window.AreaSelector !== 'undefined' &&
+        typeof window.ElementSelector !== 'undefined'
     });
 
     const alreadyLoaded = checkResult && checkResult[0] && checkResult[0].result;
 
     if (!alreadyLoaded) {
       // Inject the selector class definition (fallback for when content script didn't load)
+      // selector.js follows its job through CaptureQueue, so make sure that is there too
+      const [{ result: hasQueue }] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => typeof window.CaptureQueue !== 'undefined'
+      });
       await chrome.scripting.executeScript({
         target: { tabId },
-        files: ['selector.js']
+        files: hasQueue ? ['selector.js'] : ['capture-queue.js', 'selector.js']
       });
     } else {
       // Clean up any existing instance before creating new one
@@ -267,24 +464,35 @@ async function startAreaSelection(tabId) {
     // Delay to allow popup-close synthetic events to fire and be ignored
     await new Promise(resolve => setTimeout(resolve, 350));
 
+    const settings = await CaptureQueue.getSettings();
+
     // Explicitly instantiate the selector now that the class is defined.
     // selector.js intentionally does NOT auto-instantiate (it is also a
     // content script that runs on every page load), so we kick it off here —
-    // only reachable when the user has clicked "Select Area".
+    // only reachable when the user has clicked "Select Area" or "Pick Element".
     await chrome.scripting.executeScript({
       target: { tabId },
-      func: () => {
+      func: (selectorMode, includePageText, jobId) => {
         // Destroy any stale instance before creating a fresh one
         if (window._areaSelector && typeof window._areaSelector.destroy === 'function') {
           try { window._areaSelector.destroy(); } catch (e) {}
         }
-        window._areaSelector = new window.AreaSelector();
-      }
+        if (selectorMode === 'element') {
+          window._areaSelector = new window.ElementSelector({ jobId });
+        } else if (selectorMode === 'scrollable') {
+          window._areaSelector = new window.ElementSelector({ scrollableOnly: true, jobId });
+        } else {
+          window._areaSelector = new window.AreaSelector({
+            jobId,
+            includePageText,
+            // Text mode already analyzes only the page text
+            pageTextToggle: selectorMode !== 'text'
+          });
+        }
+      },
+      args: [mode, settings.pageTextContext === true, job.id]
     });
 
-    // Store the tabId so we know which tab to capture when selection is done
-    await chrome.storage.local.set({ activeCaptureTabId: tabId });
-
     console.log('[Background] Area selection initialized successfully');
   } catch (error) {
     console.error('[Background] startAreaSelection error:', error);
@@ -299,30 +507,33 @@ async function startAreaSelection(tabId) {
       msg = 'The tab was closed. Please try again.';
     }
 
-    await CaptureQueue.updateState({ status: 'error', error: msg });
-    // Release the processing lock so future captures aren't blocked
-    await CaptureQueue.clear();
-    pollingActive = false;
+    await CaptureQueue.updateJob(job.id, { status: 'error', error: msg });
   }
 }
 
-// Handle area selection change
-async function handleAreaSelectionChange(areaSelection) {
-  const data = await chrome.storage.local.get('activeCaptureTabId');
-  const tabId = data.activeCaptureTabId;
+// Handle area selection change for job options.jobId
+// options.replayed re-captures a stored selection ("Repeat last region")
+// instead of the one the selector overlay just wrote
+async function handleAreaSelectionChange(areaSelection, options = {}) {
+  const replayed = !!options.replayed;
+  const job = await CaptureQueue.getJob(options.jobId);
 
-  if (!tabId) {
-    return;
+  if (!replayed) {
+    // Clear area selection state immediately
+    await chrome.storage.local.remove('areaSelection');
+
+    // Ignore selections for jobs that were cancelled or already handled
+    if (!job || job.status !== 'selecting') {
+      return;
+    }
   }
 
-  // Clear area selection state immediately
-  await chrome.storage.local.remove(['areaSelection', 'activeCaptureTabId']);
+  if (!job) return;
+  const tabId = job.tabId;
 
   if (areaSelection === null) {
-    // User cancelled - clear request and mark as cancelled
-    await CaptureQueue.clear();
-    pollingActive = false;
-    await CaptureQueue.updateState({ status: 'cancelled' });
+    // User cancelled
+    await CaptureQueue.cancel(job.id);
     return;
   }
 
@@ -332,13 +543,56 @@ async function handleAreaSelectionChange(areaSelection) {
     await showFloatingProgress(tabId);
     await updateFloatingProgress(tabId, 0, 15, 'Processing', 'Preparing capture...');
     
-    // Now update state to 'processing' (after progress is shown)
-    await CaptureQueue.updateState({ status: 'processing', tabId });
+    // Now update the job to 'processing' (after progress is shown)
+    await CaptureQueue.updateJob(job.id, { status: 'processing' });
 
     // Delay for overlay to clear
     await new Promise(resolve => setTimeout(resolve, 250));
 
     const tab = await chrome.tabs.get(tabId);
+    const signal = getJobSignal(job.id);
+
+    // Text mode: read the DOM text inside the selection, no screenshot
+    if (job.mode === 'text') {
+      const text = await extractTextInAreas(tabId, areaSelection.regions || [areaSelection]);
+      await analyzePageText(job, text);
+      return;
+    }
+
+    // Remember page-space selections so they can be repeated. Scrollable
+    // regions point at a tagged element rather than a rectangle, so skip them.
+    if (!replayed && !areaSelection.scrollContainer) {
+      await CaptureQueue.setLastAreaSelection(areaSelection, tab.url);
+    }
+
+    // DOM text context sent with the image; the selector toolbar's toggle
+    // overrides the setting for this capture
+    const settings = await CaptureQueue.getSettings();
+    const includePageText = areaSelection.includePageText ?? settings.pageTextContext === true;
+    const pageText = includePageText && !areaSelection.scrollContainer
+      ? await collectPageTextContext(tabId, areaSelection.regions || [areaSelection])
+      : '';
+
+    // Scrollable region: scroll the picked container instead of the window
+    if (areaSelection.scrollContainer) {
+      const regionKey = await captureScrollableRegion(tab, areaSelection.scrollContainer, signal);
+      await processCapturedImage(regionKey, job);
+      return;
+    }
+
+    // Multi-region batch: capture each region, analyse them together
+    if (areaSelection.regions) {
+      const regionKeys = await captureRegions(tab, areaSelection.regions, signal);
+      await processCapturedImage(regionKeys, job, { regions: true, pageText });
+      return;
+    }
+
+    // Debugger backend captures the area (or picked element) in one shot
+    const debuggerImages = await tryDebuggerCapture(tab, areaSelection, signal);
+    if (debuggerImages) {
+      await processCapturedImage(debuggerImages, job, { pageText });
+      return;
+    }
 
     // Check if selection is within the current visible viewport
     const [{ result: viewportInfo }] = await chrome.scripting.executeScript({
@@ -368,115 +622,155 @@ async function handleAreaSelectionChange(areaSelection) {
       args: [areaSelection]
     });
 
-    let finalDataUrl;
+    let imageKeys;
     console.log('[Background] Viewport info:', viewportInfo);
 
     if (viewportInfo.isInViewport) {
-      // Selection is within viewport - simple capture, no scrolling needed
-      console.log('[Background] Capturing visible tab...');
-      const visibleDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
-      console.log('[Background] Visible tab captured, length:', visibleDataUrl?.length);
-
-      // Crop the captured image to the selection area (relative to viewport)
-      console.log('[Background] Starting image crop...');
-      const cropResult = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (dataUrl, selection, viewportTop, viewportLeft, dpr) => {
-          return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-              try {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-
-                // Selection coordinates relative to viewport
-                const sx = (selection.x - viewportLeft) * dpr;
-                const sy = (selection.y - viewportTop) * dpr;
-                const sw = selection.width * dpr;
-                const sh = selection.height * dpr;
-
-                canvas.width = sw;
-                canvas.height = sh;
-                ctx.drawImage(img, sx, sy, sw, sh, 0, 0, sw, sh);
-                resolve(canvas.toDataURL('image/png'));
-              } catch (e) { reject(e.message); }
-            };
-            img.onerror = () => reject('Failed to load image');
-            img.src = dataUrl;
-          });
-        },
-        args: [visibleDataUrl, areaSelection, viewportInfo.viewportTop, viewportInfo.viewportLeft, viewportInfo.dpr]
-      });
-
-      const croppedDataUrl = cropResult?.[0]?.result;
-      console.log('[Background] Crop result:', cropResult);
-      console.log('[Background] Cropped data URL length:', croppedDataUrl?.length);
-      if (!croppedDataUrl || !croppedDataUrl.startsWith('data:')) {
-        throw new Error('Failed to crop image: invalid result');
+      // Selection is within viewport - simple capture, no scrolling needed,
+      // cropped to the selection (relative to the viewport) offscreen
+      const visibleKey = await ImageStore.putDataUrl(await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }));
+      try {
+        imageKeys = [await cropInOffscreen(visibleKey, {
+          x: areaSelection.x - viewportInfo.viewportLeft,
+          y: areaSelection.y - viewportInfo.viewportTop,
+          width: areaSelection.width,
+          height: areaSelection.height
+        }, viewportInfo.dpr)];
+      } finally {
+        await ImageStore.delete(visibleKey).catch(() => {});
       }
-      finalDataUrl = croppedDataUrl;
     } else {
-      // Selection extends beyond viewport - need multi-capture with scrolling
-      const fullPageDataUrl = await captureFullPageForArea(tab, areaSelection);
-
-      const [{ result: dpr }] = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: () => window.devicePixelRatio || 1
-      });
+      // Selection extends beyond viewport - tile and stitch just the selected region
+      imageKeys = await captureFullPageForArea(tab, areaSelection, signal);
+    }
 
-      const cropResult2 = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (dataUrl, selection, dpr) => {
-          return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-              try {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                const sx = selection.x * dpr;
-                const sy = selection.y * dpr;
-                const sw = selection.width * dpr;
-                const sh = selection.height * dpr;
-                canvas.width = sw;
-                canvas.height = sh;
-                ctx.drawImage(img, sx, sy, sw, sh, 0, 0, sw, sh);
-                resolve(canvas.toDataURL('image/png'));
-              } catch (e) { reject(e.message); }
-            };
-            img.onerror = () => reject('Failed to load image');
-            img.src = dataUrl;
-          });
-        },
-        args: [fullPageDataUrl, areaSelection, dpr]
-      });
+    console.log('[Background] Calling processCapturedImage, images:', imageKeys.length);
+    await processCapturedImage(imageKeys, job, { pageText });
+  } catch (error) {
+    console.error('[Background] Area processing error:', error);
+    console.error('[Background] Error stack:', error.stack);
+    await CaptureQueue.updateJob(job.id, { status: 'error', error: error.message });
+  }
+}
 
-      const croppedDataUrl2 = cropResult2?.[0]?.result;
-      console.log('[Background] Crop result 2:', cropResult2);
-      console.log('[Background] Cropped data URL 2 length:', croppedDataUrl2?.length);
-      if (!croppedDataUrl2 || !croppedDataUrl2.startsWith('data:')) {
-        throw new Error('Failed to crop image: invalid result');
+// Sticky/fixed elements (headers, cookie banners, chat widgets) would otherwise
+// repeat in every stitched segment. They are tagged once before scrolling and
+// hidden per segment (see applyStickyVisibility) according to
+// settings.stickyElements:
+//   'first' - keep them in the top segment only (default)
+//   'hide'  - remove them from every segment
+//   'keep'  - leave the page untouched
+async function prepareStickyElements(tabId, stickyMode) {
+  if (stickyMode === 'keep') return 0;
+
+  const [{ result: count }] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      let count = 0;
+      for (const el of document.querySelectorAll('body *')) {
+        // Skip our own capture overlays
+        if (el.id && el.id.startsWith('screengrab-')) continue;
+
+        const position = getComputedStyle(el).position;
+        if (position !== 'fixed' && position !== 'sticky') continue;
+
+        // Remember the inline visibility so it can be restored exactly
+        el.setAttribute('data-sg-sticky', el.style.getPropertyValue('visibility') + '|' +
+          el.style.getPropertyPriority('visibility'));
+        el.setAttribute('data-sg-sticky-position', position);
+        count++;
       }
-      finalDataUrl = croppedDataUrl2;
+      return count;
     }
+  });
 
-    console.log('[Background] Calling processCapturedImage with finalDataUrl length:', finalDataUrl?.length);
-    await processCapturedImage(finalDataUrl, tabId);
-    
-    // Clear request and reset polling flag after successful completion
-    await CaptureQueue.clear();
-    pollingActive = false;
+  return count || 0;
+}
+
+// Whether tagged sticky elements should be hidden for the given segment index
+function shouldHideSticky(stickyMode, segmentIndex) {
+  if (stickyMode === 'keep') return false;
+  if (stickyMode === 'hide') return true;
+  return segmentIndex > 0;
+}
+
+// Show or hide the tagged elements for the segment now in view. With `hide`,
+// fixed elements are always hidden but sticky ones only while stuck at their
+// top/bottom offset: elsewhere they are ordinary content (table headers,
+// section headings, sidebars) that must stay in the capture.
+async function applyStickyVisibility(tabId, hide) {
+  if (!hide) {
+    // Nothing hidden yet in the top segment, or in 'keep' mode nothing tagged
+    return;
+  }
+
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      // Top and bottom of the box a sticky element sticks to: its nearest
+      // scrolling ancestor, or the viewport
+      const scrollport = (el) => {
+        for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+          const { overflowY } = getComputedStyle(node);
+          if (overflowY === 'auto' || overflowY === 'scroll' || overflowY === 'hidden') {
+            const top = node.getBoundingClientRect().top + node.clientTop;
+            return { top, bottom: top + node.clientHeight };
+          }
+        }
+        return { top: 0, bottom: window.innerHeight };
+      };
+
+      const isStuck = (el) => {
+        const style = getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        const port = scrollport(el);
+        const top = parseFloat(style.top);
+        const bottom = parseFloat(style.bottom);
+        return (!Number.isNaN(top) && Math.abs(rect.top - (port.top + top)) < 1) ||
+          (!Number.isNaN(bottom) && Math.abs(port.bottom - bottom - rect.bottom) < 1);
+      };
+
+      document.querySelectorAll('[data-sg-sticky]').forEach(el => {
+        if (el.getAttribute('data-sg-sticky-position') === 'fixed' || isStuck(el)) {
+          el.style.setProperty('visibility', 'hidden', 'important');
+          return;
+        }
+        // Not stuck in this segment: back to its own visibility
+        const [value, priority] = el.getAttribute('data-sg-sticky').split('|');
+        if (value) {
+          el.style.setProperty('visibility', value, priority);
+        } else {
+          el.style.removeProperty('visibility');
+        }
+      });
+    }
+  });
+}
+
+// Restore tagged sticky elements to their original inline visibility
+async function restoreStickyElements(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        document.querySelectorAll('[data-sg-sticky]').forEach(el => {
+          const [value, priority] = el.getAttribute('data-sg-sticky').split('|');
+          if (value) {
+            el.style.setProperty('visibility', value, priority);
+          } else {
+            el.style.removeProperty('visibility');
+          }
+          el.removeAttribute('data-sg-sticky');
+          el.removeAttribute('data-sg-sticky-position');
+        });
+      }
+    });
   } catch (error) {
-    console.error('[Background] Area processing error:', error);
-    console.error('[Background] Error stack:', error.stack);
-    await CaptureQueue.updateState({ status: 'error', error: error.message });
-    
-    // Clear request and reset polling flag on error
-    await CaptureQueue.clear();
-    pollingActive = false;
+    // Tab may have been closed or navigated away mid-capture
+    console.warn('[Capture] Failed to restore sticky elements:', error.message);
   }
 }
 
-// Capture full page for area selection (supports scrolling)
 // Helper function to capture with rate limiting and retry logic
 async function captureWithRetry(tab, maxRetries = 3) {
   const CAPTURE_DELAY = 600; // Increased from 300ms to avoid rate limiting
@@ -505,194 +799,388 @@ async function captureWithRetry(tab, maxRetries = 3) {
   }
 }
 
-async function captureFullPageForArea(tab, areaSelection) {
+// Browser canvas limits (Chrome): max 32767px per side, max 268M pixels in total.
+// Stitched output larger than this is split into several images.
+const MAX_CANVAS_DIMENSION = 32767;
+const MAX_CANVAS_AREA = 268435456;
+
+// Split `region` ({ x, y, width, height } in CSS px) into the fewest parts that
+// each fit in a single canvas at the given device pixel ratio
+function splitIntoCanvasParts(region, dpr) {
+  const partWidth = Math.min(region.width, Math.floor(MAX_CANVAS_DIMENSION / dpr));
+  const partHeight = Math.min(
+    region.height,
+    Math.floor(MAX_CANVAS_DIMENSION / dpr),
+    Math.floor(MAX_CANVAS_AREA / (Math.ceil(partWidth * dpr) * dpr))
+  );
+
+  const parts = [];
+  for (let partY = region.y; partY < region.y + region.height; partY += partHeight) {
+    for (let partX = region.x; partX < region.x + region.width; partX += partWidth) {
+      parts.push({
+        x: partX,
+        y: partY,
+        width: Math.min(partWidth, region.x + region.width - partX),
+        height: Math.min(partHeight, region.y + region.height - partY)
+      });
+    }
+  }
+  return parts;
+}
+
+// Capture backend selection (settings.captureBackend):
+//   'scroll'   - scroll-and-stitch with captureVisibleTab (default)
+//   'debugger' - one-shot DevTools protocol screenshots (see debugger-capture.js)
+// Returns an array of image keys for `region` (document CSS px, or null for the
+// whole page), or null when the debugger backend is off or can't be used, in
+// which case the caller falls back to the captureWithRetry loop. Cancelling
+// the job (signal) detaches the debugger and throws instead.
+async function tryDebuggerCapture(tab, region, signal) {
+  const settings = await CaptureQueue.getSettings();
+  if (settings.captureBackend !== 'debugger') return null;
+
+  try {
+    return await DebuggerCapture.withSession(tab.id, async () => {
+      const page = await DebuggerCapture.getPageMetrics(tab.id);
+
+      // Clamp the requested region to the document
+      const target = region || { x: 0, y: 0, width: page.width, height: page.height };
+      const left = Math.max(0, target.x);
+      const top = Math.max(0, target.y);
+      const right = Math.min(target.x + target.width, page.width);
+      const bottom = Math.min(target.y + target.height, page.height);
+      if (right <= left || bottom <= top) {
+        throw new Error('Capture region is outside the page');
+      }
+
+      const images = [];
+      const clamped = { x: left, y: top, width: right - left, height: bottom - top };
+      try {
+        for (const part of splitIntoCanvasParts(clamped, page.dpr)) {
+          signal?.throwIfAborted();
+          images.push(await ImageStore.putDataUrl(await DebuggerCapture.captureClip(tab.id, part)));
+        }
+        signal?.throwIfAborted();
+      } catch (error) {
+        await ImageStore.delete(images).catch(() => {});
+        throw error;
+      }
+      return images;
+    }, signal);
+  } catch (error) {
+    // A cancelled job must not fall back to scroll capture
+    signal?.throwIfAborted();
+    console.warn('[Capture] Debugger backend unavailable, falling back to scroll capture:', error.message);
+    return null;
+  }
+}
 
+// Scroll the window over `extent` ({ left, top, right, bottom } in document CSS px)
+// in viewport-sized steps along both axes and capture one tile per position.
+// Scroll positions are read back from the page because the browser clamps the
+// last row/column, so each tile is recorded where it was actually taken.
+async function captureScrollTiles(tab, extent, overlayId, signal) {
   const [{ result: pageInfo }] = await chrome.scripting.executeScript({
     target: { tabId: tab.id },
-    func: (areaSel) => {
-      const scrollHeight = Math.max(
-        document.body.scrollHeight,
-        document.documentElement.scrollHeight
-      );
-      const scrollWidth = Math.max(
-        document.body.scrollWidth,
-        document.documentElement.scrollWidth
-      );
-      const viewportHeight = window.innerHeight;
-      const viewportWidth = window.innerWidth;
-      const originalScrollX = window.scrollX;
-      const originalScrollY = window.scrollY;
+    func: () => ({
+      // clientWidth/clientHeight exclude scrollbars, unlike innerWidth/innerHeight
+      viewportWidth: document.documentElement.clientWidth,
+      viewportHeight: document.documentElement.clientHeight,
+      originalScrollX: window.scrollX,
+      originalScrollY: window.scrollY,
+      dpr: window.devicePixelRatio || 1
+    })
+  });
 
-      // Calculate the extent of the selection
-      const areaBottom = areaSel.y + areaSel.height;
-      const areaRight = areaSel.x + areaSel.width;
+  const { viewportWidth, viewportHeight, originalScrollX, originalScrollY, dpr } = pageInfo;
+  const tiles = [];
+  const seen = new Set();
 
-      return {
-        scrollHeight,
-        scrollWidth,
-        viewportHeight,
-        viewportWidth,
-        originalScrollX,
-        originalScrollY,
-        areaBottom,
-        areaRight
-      };
-    },
-    args: [areaSelection]
-  });
+  const { stickyElements: stickyMode = 'first' } = await CaptureQueue.getSettings();
+  await prepareStickyElements(tab.id, stickyMode);
 
-  const { scrollHeight, viewportHeight, viewportWidth, originalScrollX, originalScrollY, areaBottom, areaRight } = pageInfo;
+  try {
+    let row = 0;
+    for (let targetY = extent.top; targetY < extent.bottom; targetY += viewportHeight, row++) {
+      for (let targetX = extent.left; targetX < extent.right; targetX += viewportWidth) {
+        if (signal?.aborted) break;
+
+        // Show overlay during scroll, hide before capture
+        const [{ result: position }] = await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: (id, x, y) => {
+            let overlay = document.getElementById(id);
+            if (!overlay) {
+              overlay = document.createElement('div');
+              overlay.id = id;
+              overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;z-index:2147483647;pointer-events:none;display:none;';
+              document.documentElement.appendChild(overlay);
+            }
+            overlay.style.display = 'block';
 
-  // Calculate the total capture area needed
-  // We must capture from y=0 down to at least areaBottom
-  const captureHeight = Math.max(areaBottom, scrollHeight);
-  const captureWidth = viewportWidth; // Always capture full viewport width
+            window.scrollTo(x, y);
+            return { x: window.scrollX, y: window.scrollY };
+          },
+          args: [overlayId, targetX, targetY]
+        });
 
-  // Calculate how many full viewport captures we need
-  const numCaptures = Math.ceil(captureHeight / viewportHeight);
+        // Clamped scroll landed on a tile we already have
+        const positionKey = `${position.x},${position.y}`;
+        if (seen.has(positionKey)) continue;
+        seen.add(positionKey);
+
+        // Sticky handling is per row so a full-width header stays whole in the top row
+        await applyStickyVisibility(tab.id, shouldHideSticky(stickyMode, row));
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        // Hide overlay before capture and wait for repaint
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: async (id) => {
+            // Give images in view a moment to finish loading/decoding (max 1s)
+            const pending = Array.from(document.images).filter(img => {
+              if (img.complete) return false;
+              const rect = img.getBoundingClientRect();
+              return rect.bottom > 0 && rect.top < window.innerHeight &&
+                rect.right > 0 && rect.left < window.innerWidth;
+            });
+            if (pending.length > 0) {
+              await Promise.race([
+                Promise.all(pending.map(img => img.decode().catch(() => {}))),
+                new Promise(resolve => setTimeout(resolve, 1000))
+              ]);
+            }
 
-  const captures = [];
+            const overlay = document.getElementById(id);
+            if (overlay) overlay.style.display = 'none';
+            // Wait for browser repaint
+            await new Promise(resolve => requestAnimationFrame(resolve));
+            await new Promise(resolve => setTimeout(resolve, 50));
+            await new Promise(resolve => requestAnimationFrame(resolve));
+          },
+          args: [overlayId]
+        });
 
-  // Capture each section with rate limiting
-  for (let i = 0; i < numCaptures; i++) {
-    const scrollY = i * viewportHeight;
+        // Capture with rate limiting and retry logic, then park the tile in
+        // IndexedDB so only its key is held in memory
+        const dataUrl = await captureWithRetry(tab, 3);
+        const key = await ImageStore.putDataUrl(dataUrl);
+        tiles.push({ key, x: position.x, y: position.y });
+      }
+    }
 
-    // Show overlay during scroll, hide before capture
+    // Restore original scroll position and remove overlay (hidden by overlay)
     await chrome.scripting.executeScript({
       target: { tabId: tab.id },
-      func: (y) => {
-        let overlay = document.getElementById('screengrab-area-capture-overlay');
+      func: (id, x, y) => {
+        // Show overlay first to hide the scroll
+        let overlay = document.getElementById(id);
         if (!overlay) {
           overlay = document.createElement('div');
-          overlay.id = 'screengrab-area-capture-overlay';
-          overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;z-index:2147483647;pointer-events:none;display:none;';
+          overlay.id = id;
+          overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;z-index:2147483647;pointer-events:none;display:block;';
           document.documentElement.appendChild(overlay);
+        } else {
+          overlay.style.display = 'block';
         }
-        overlay.style.display = 'block';
-        window.scrollTo(0, y);
-      },
-      args: [scrollY]
-    });
 
-    await new Promise(resolve => setTimeout(resolve, 30));
+        // Scroll while overlay is visible
+        window.scrollTo(x, y);
 
-    // Hide overlay before capture and wait for repaint
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: async () => {
-        const overlay = document.getElementById('screengrab-area-capture-overlay');
-        if (overlay) overlay.style.display = 'none';
-        // Wait for browser repaint
-        await new Promise(resolve => requestAnimationFrame(resolve));
-        await new Promise(resolve => setTimeout(resolve, 50));
-        await new Promise(resolve => requestAnimationFrame(resolve));
-      }
+        // Remove overlay after a brief delay to ensure scroll completes
+        setTimeout(() => {
+          if (overlay && overlay.parentNode) {
+            overlay.remove();
+          }
+        }, 100);
+      },
+      args: [overlayId, originalScrollX, originalScrollY]
     });
 
-    // Capture with rate limiting and retry logic
-    const dataUrl = await captureWithRetry(tab, 3);
-    captures.push({ dataUrl, scrollY });
+    // Cancelled mid-scroll: the page is restored, now drop the tiles
+    signal?.throwIfAborted();
+  } catch (error) {
+    await ImageStore.delete(tiles.map(t => t.key)).catch(() => {});
+    throw error;
+  } finally {
+    await restoreStickyElements(tab.id);
   }
 
-  // Restore original scroll position and remove overlay (hidden by overlay)
-  await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    func: (x, y) => {
-      // Show overlay first to hide the scroll
-      let overlay = document.getElementById('screengrab-area-capture-overlay');
-      if (!overlay) {
-        overlay = document.createElement('div');
-        overlay.id = 'screengrab-area-capture-overlay';
-        overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;z-index:2147483647;pointer-events:none;display:block;';
-        document.documentElement.appendChild(overlay);
-      } else {
-        overlay.style.display = 'block';
+  return { tiles, viewportWidth, viewportHeight, dpr };
+}
+
+// Stitch tiles from captureScrollTiles into `region` ({ x, y, width, height } in
+// document CSS px) at device pixel resolution, in the offscreen document.
+// Returns an array of image keys: one image normally, several when the region
+// exceeds the browser canvas limits. Stored tiles are deleted afterwards.
+async function stitchTiles(tab, capture, region) {
+  const { tiles, viewportWidth, viewportHeight, dpr } = capture;
+  const images = [];
+
+  try {
+    for (const part of splitIntoCanvasParts(region, dpr)) {
+      // Source/destination rects (device px) for every tile overlapping this part
+      const drawList = [];
+      for (const tile of tiles) {
+        const left = Math.max(tile.x, part.x);
+        const top = Math.max(tile.y, part.y);
+        const right = Math.min(tile.x + viewportWidth, part.x + part.width);
+        const bottom = Math.min(tile.y + viewportHeight, part.y + part.height);
+        if (right <= left || bottom <= top) continue;
+
+        drawList.push({
+          key: tile.key,
+          sx: Math.round((left - tile.x) * dpr),
+          sy: Math.round((top - tile.y) * dpr),
+          sw: Math.round((right - left) * dpr),
+          sh: Math.round((bottom - top) * dpr),
+          dx: Math.round((left - part.x) * dpr),
+          dy: Math.round((top - part.y) * dpr)
+        });
       }
 
-      // Scroll while overlay is visible
-      window.scrollTo(x, y);
+      images.push(await stitchInOffscreen(
+        drawList,
+        Math.round(part.width * dpr),
+        Math.round(part.height * dpr)
+      ));
+    }
+  } finally {
+    await ImageStore.delete(tiles.map(t => t.key)).catch(() => {});
+  }
 
-      // Remove overlay after a brief delay to ensure scroll completes
-      setTimeout(() => {
-        if (overlay && overlay.parentNode) {
-          overlay.remove();
-        }
-      }, 100);
-    },
-    args: [originalScrollX, originalScrollY]
-  });
+  return images;
+}
 
-  // Stitch the captured images
-  const [{ result: stitchedDataUrl }] = await chrome.scripting.executeScript({
+// Capture an area selection that extends beyond the viewport.
+// Tiles only the selected region (both axes) and stitches it directly, so no
+// separate crop is needed. Returns an array of image keys (see stitchTiles).
+async function captureFullPageForArea(tab, areaSelection, signal) {
+  const [{ result: pageInfo }] = await chrome.scripting.executeScript({
     target: { tabId: tab.id },
-    func: (captures, totalWidth, totalHeight) => {
-      return new Promise((resolve, reject) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        // Set canvas size to the total captured area
-        canvas.width = totalWidth;
-        canvas.height = totalHeight;
-
-        // Fill with white background (not transparent)
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, totalWidth, totalHeight);
-
-        let loaded = 0;
-        let currentY = 0;
-
-        captures.forEach((c, index) => {
-          const img = new Image();
-          img.onload = () => {
-            // Use the actual image dimensions
-            const imgHeight = img.height;
-            const imgWidth = img.width;
-
-            // Draw the full image at the current Y position
-            // This ensures no gaps - each image is drawn completely
-            ctx.drawImage(img, 0, currentY, imgWidth, imgHeight);
-
-            // Update Y position for next image
-            currentY += imgHeight;
-
-            if (++loaded === captures.length) {
-              resolve(canvas.toDataURL('image/png'));
-            }
-          };
-          img.onerror = (e) => {
-            console.error('[Stitch] Failed to load image section', index, ':', e);
-            reject('Failed to load captured image');
-          };
-          img.src = c.dataUrl;
-        });
-      });
-    },
-    args: [captures, captureWidth, captureHeight]
+    func: () => ({
+      scrollHeight: Math.max(document.body.scrollHeight, document.documentElement.scrollHeight),
+      scrollWidth: Math.max(document.body.scrollWidth, document.documentElement.scrollWidth)
+    })
   });
 
-  return stitchedDataUrl;
+  // Clamp the selection to the page
+  const left = Math.max(0, areaSelection.x);
+  const top = Math.max(0, areaSelection.y);
+  const right = Math.min(areaSelection.x + areaSelection.width, pageInfo.scrollWidth);
+  const bottom = Math.min(areaSelection.y + areaSelection.height, pageInfo.scrollHeight);
+
+  if (right <= left || bottom <= top) {
+    throw new Error('Selected area is outside the page.');
+  }
+
+  const capture = await captureScrollTiles(tab, { left, top, right, bottom }, 'screengrab-area-capture-overlay', signal);
+
+  return stitchTiles(tab, capture, { x: left, y: top, width: right - left, height: bottom - top });
 }
 
-// Process captured image and run AI analysis
-// Show floating progress indicator
-// Note: progress-indicator.js is already loaded as content script, so we just send the message
-async function showFloatingProgress(tabId) {
-  try {
-    await chrome.tabs.sendMessage(tabId, { action: 'showProgress' });
-  } catch (e) {
-    console.log('[Background] Could not show progress indicator:', e.message);
+// Crop a stored image to `selection` (CSS px, relative to the image) in the
+// offscreen document; returns the cropped image's key
+async function cropInOffscreen(key, selection, devicePixelRatio) {
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'cropImage',
+    key,
+    selection,
+    devicePixelRatio
+  });
+
+  if (!response || response.error || !response.key) {
+    throw new Error(`Failed to crop image: ${response?.error || 'no response from offscreen document'}`);
   }
+
+  return response.key;
 }
 
-// Hide floating progress indicator
+// Capture every region of a multi-region batch (document CSS px), in order.
+// Regions inside the current viewport share one captureVisibleTab and are
+// cropped offscreen; others go through the debugger backend or tiling.
+async function captureRegions(tab, regions, signal) {
+  const [{ result: viewport }] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: () => ({
+      left: window.scrollX,
+      top: window.scrollY,
+      width: window.innerWidth,
+      height: window.innerHeight,
+      dpr: window.devicePixelRatio || 1
+    })
+  });
+
+  const isInViewport = (region) => region.x >= viewport.left &&
+    region.y >= viewport.top &&
+    region.x + region.width <= viewport.left + viewport.width &&
+    region.y + region.height <= viewport.top + viewport.height;
+
+  // Grab the viewport once, before tiling other regions scrolls the page
+  const visibleKey = regions.some(isInViewport) ? await captureVisibleToStore(tab, 0) : null;
+
+  const images = [];
+
+  try {
+    for (const region of regions) {
+      signal?.throwIfAborted();
+      const debuggerImages = await tryDebuggerCapture(tab, region, signal);
+      if (debuggerImages) {
+        // A region never exceeds canvas limits in practice; keep one image per region
+        images.push(debuggerImages[0]);
+        await ImageStore.delete(debuggerImages.slice(1)).catch(() => {});
+      } else if (isInViewport(region)) {
+        images.push(await cropInOffscreen(visibleKey, {
+          x: region.x - viewport.left,
+          y: region.y - viewport.top,
+          width: region.width,
+          height: region.height
+        }, viewport.dpr));
+      } else {
+        const [regionImage, ...rest] = await captureFullPageForArea(tab, region, signal);
+        images.push(regionImage);
+        await ImageStore.delete(rest).catch(() => {});
+      }
+    }
+  } catch (error) {
+    await ImageStore.delete(images).catch(() => {});
+    throw error;
+  } finally {
+    if (visibleKey) await ImageStore.delete(visibleKey).catch(() => {});
+  }
+
+  return images;
+}
+
+// Process captured image and run AI analysis
+// Show floating progress indicator
+// Note: progress-indicator.js is already loaded as content script, so we just send the message
+// job tells the indicator which job its Cancel button and step labels belong to
+async function showFloatingProgress(tabId, job = null) {
+  try {
+    await chrome.tabs.sendMessage(tabId, {
+      action: 'showProgress',
+      jobId: job?.id,
+      mode: job?.mode
+    });
+  } catch (e) {
+    console.log('[Background] Could not show progress indicator:', e.message);
+  }
+}
+
+// Hide floating progress indicator
 async function hideFloatingProgress(tabId) {
-  // Check current state - don't hide if still actively processing
+  // Check this tab's jobs - don't hide if one is still actively processing
   // This prevents premature hiding when service worker wakes from suspension
   // Exception: 'selecting' state allows hiding (area selection overlay is the UI)
   try {
-    const state = await CaptureQueue.getState();
-    if (state && ['analyzing', 'processing', 'capturing'].includes(state.status)) {
-      console.log('[Background] Skipping hideFloatingProgress - still active:', state.status);
+    const jobs = await CaptureQueue.getJobsForTab(tabId);
+    const active = jobs.find(job => ['analyzing', 'processing', 'capturing'].includes(job.status));
+    if (active) {
+      console.log('[Background] Skipping hideFloatingProgress - still active:', active.status);
       return;
     }
   } catch (e) {
@@ -721,37 +1209,81 @@ async function updateFloatingProgress(tabId, step, percent, status, stats) {
   }
 }
 
-async function processCapturedImage(dataUrl, tabId) {
+// imageKeys is the ImageStore key of one captured image or an array of them
+// (oversized stitched captures are split into several images, see stitchTiles).
+// With options.regions the images are separate regions of a multi-region batch
+// rather than parts of one. The resized images become the job's first
+// checkpoint, so analysis can resume from there if the worker is suspended
+// (see resumeJob).
+async function processCapturedImage(imageKeys, job, options = {}) {
+  const tabId = job.tabId;
   try {
-    await CaptureQueue.updateState({ status: 'analyzing' });
+    await CaptureQueue.updateJob(job.id, { status: 'analyzing' });
 
     // Show progress indicator when analysis starts (after capture is complete)
-    await showFloatingProgress(tabId);
+    await showFloatingProgress(tabId, job);
     await updateFloatingProgress(tabId, 0, 10, 'Analyzing', 'Initializing...');
 
-    const settings = await CaptureQueue.getSettings();
-    let base64Image = dataUrl.split(',')[1];
+    const checkpointKeys = await storeCheckpointImages(Array.isArray(imageKeys) ? imageKeys : [imageKeys]);
 
-    if (!base64Image) throw new Error('Invalid image data');
+    job = await CaptureQueue.updateJob(job.id, {
+      checkpoint: {
+        imageKeys: checkpointKeys,
+        regions: !!options.regions,
+        // Persisted, so redact it now rather than only before sending
+        pageText: options.pageText ? sanitizeSensitiveData(options.pageText) : ''
+      }
+    });
+  } catch (error) {
+    await handleAnalysisError(job, error);
+    return;
+  }
 
-    // Resize image if needed
-    base64Image = await resizeImageIfNeeded(dataUrl, 1920);
-    if (!base64Image) throw new Error('Failed to resize image');
+  await analyzeCapturedImages(job);
+}
 
-    const result = await analyzeScreenshot(base64Image, settings, tabId, updateFloatingProgress);
+// Analyze a job's checkpointed images. Each finished step (OCR per part, the
+// joined OCR text, unified results per part) is saved to job.checkpoint, and
+// a resumed run skips what is already there.
+async function analyzeCapturedImages(job) {
+  const tabId = job.tabId;
+  const checkpoint = job.checkpoint;
+  try {
+    const settings = await CaptureQueue.getSettings();
+    const images = await loadCheckpointImages(checkpoint.imageKeys);
 
-    // Check if cancelled before updating state
-    const state = await CaptureQueue.getState();
-    if (state?.status === 'cancelled') {
+    const stream = createResultStream(tabId, job.id);
+    const result = await withKeepAlive(() => analyzeScreenshot(
+      images.length === 1 ? images[0] : images,
+      settings,
+      tabId,
+      updateFloatingProgress,
+      {
+        regions: checkpoint.regions,
+        pageText: checkpoint.pageText,
+        checkpoint,
+        signal: getJobSignal(job.id),
+        onStream: stream.push,
+        onCheckpoint: async (changes) => {
+          Object.assign(checkpoint, changes);
+          await CaptureQueue.updateJob(job.id, { checkpoint });
+        }
+      }
+    )).finally(stream.stop);
+
+    // Check if cancelled before updating the job
+    if (await CaptureQueue.isCancelled(job.id)) {
       await hideFloatingProgress(tabId);
       return;
     }
 
-    await CaptureQueue.updateState({
+    await CaptureQueue.updateJob(job.id, {
       status: 'complete',
       result,
+      checkpoint: null,
       useRedirectMode: settings.useRedirectMode
     });
+    await CaptureQueue.setLastResult(result);
     await hideFloatingProgress(tabId);
 
     // Send message to tab to show result (for both popup and floating icon flows)
@@ -765,67 +1297,575 @@ async function processCapturedImage(dataUrl, tabId) {
       console.warn('[Background] Could not send showResult message to tab:', e.message);
     }
   } catch (error) {
-    console.error('[Background] processCapturedImage error:', error);
-
-    // Don't hide progress on transient errors (service worker suspension/reload)
-    // The polling loop in floating-icon.js will detect the error state
-    // Only hide if it's a real error (not connection/context issues)
-    const isTransientError = error.message && (
-      error.message.includes('Extension context') ||
-      error.message.includes('context invalidated') ||
-      error.message.includes('Service worker') ||
-      error.message.includes('Connection') ||
-      error.message.includes('Network')
-    );
+    await handleAnalysisError(job, error);
+  } finally {
+    // Images are only needed while the job can still be resumed
+    const current = await CaptureQueue.getJob(job.id);
+    if (!current || CaptureQueue.isFinished(current)) {
+      await ImageStore.delete(checkpoint.imageKeys).catch(() => {});
+    }
+  }
+}
 
-    if (!isTransientError) {
-      await CaptureQueue.updateState({ status: 'error', error: error.message });
-      await hideFloatingProgress(tabId);
+// Resize captured images (ImageStore keys) for the providers; returns the
+// keys of the images to analyze
+async function storeCheckpointImages(imageKeys) {
+  const resizedKeys = [];
+  for (const key of imageKeys) {
+    if (!key) throw new Error('Invalid image data');
+    resizedKeys.push(await resizeImageIfNeeded(key, 1920));
+  }
+  return resizedKeys;
+}
+
+// Read checkpointed images back as data URLs
+async function loadCheckpointImages(imageKeys) {
+  const images = [];
+  for (const key of imageKeys) {
+    const image = await ImageStore.getDataUrl(key);
+    if (!image) throw new Error('The captured image is no longer available. Please try again.');
+    images.push(image);
+  }
+  return images;
+}
+
+// MV3 suspends a worker that has been idle for 30 seconds, and a long model
+// call (e.g. local Ollama) doesn't count as activity. Any extension API call
+// resets the idle timer, so ping one while fn runs.
+const KEEP_ALIVE_INTERVAL = 20000;
+
+async function withKeepAlive(fn) {
+  const timer = setInterval(() => {
+    chrome.runtime.getPlatformInfo().catch(() => {});
+  }, KEEP_ALIVE_INTERVAL);
+  try {
+    return await fn();
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+// Streamed answers are forwarded at most this often (ms)
+const STREAM_INTERVAL = 200;
+
+// Throttle streamed text to send(text). stop() drops a pending update, so
+// nothing streamed arrives after the final result.
+function createStreamRelay(send) {
+  let latest = null;
+  let timer = null;
+
+  return {
+    push(text) {
+      latest = text;
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        send(latest);
+      }, STREAM_INTERVAL);
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+// Live answer for a job's result panel
+function createResultStream(tabId, jobId) {
+  return createStreamRelay(text => {
+    chrome.tabs.sendMessage(tabId, { action: 'streamResult', jobId, text }).catch(() => {});
+  });
+}
+
+// Abort controllers of follow-up questions being answered, by request id
+const followUpControllers = new Map();
+
+// End a streamed answer early; the provider call returns the partial text
+function stopStream({ jobId, followUpId }) {
+  const controller = jobId ? jobControllers.get(jobId) : followUpControllers.get(followUpId);
+  if (controller && !controller.signal.aborted) {
+    controller.abort(AIService.streamStoppedReason());
+  }
+}
+
+// Fail a job after a capture analysis error
+async function handleAnalysisError(job, error) {
+  const tabId = job.tabId;
+
+  // Cancelling aborts the request; that's not an error to report
+  if (await CaptureQueue.isCancelled(job.id)) {
+    await hideFloatingProgress(tabId);
+    return;
+  }
+
+  console.error('[Background] Analysis error:', error);
+
+  // Don't hide progress on transient errors (service worker suspension/reload)
+  // The polling loop in floating-icon.js will detect the error state
+  // Only hide if it's a real error (not connection/context issues)
+  const isTransientError = error.message && (
+    error.message.includes('Extension context') ||
+    error.message.includes('context invalidated') ||
+    error.message.includes('Service worker') ||
+    error.message.includes('Connection') ||
+    error.message.includes('Network')
+  );
+
+  if (!isTransientError) {
+    await CaptureQueue.updateJob(job.id, { status: 'error', error: error.message });
+    await hideFloatingProgress(tabId);
+
+    // Send error message to tab to show error
+    await showErrorOnTab(tabId, error.message);
+    return;
+  }
+
+  // A checkpointed job interrupted by the worker going away is left as it is
+  // and resumes when the worker restarts. A network error leaves the worker
+  // running, so there is nothing to resume it.
+  const isWorkerGone = !error.message.includes('Connection') && !error.message.includes('Network');
+  if (!job.checkpoint || !isWorkerGone) {
+    // For transient errors, just update the job - let polling handle UI
+    await CaptureQueue.updateJob(job.id, { status: 'error', error: 'Analysis interrupted. Please try again.' });
+  }
+}
+
+// Show an error in the tab's result panel
+async function showErrorOnTab(tabId, message) {
+  try {
+    await chrome.tabs.sendMessage(tabId, {
+      action: 'showResult',
+      result: `<div style="padding: 20px; border-left: 4px solid #ef4444; background: #fef2f2; border-radius: 4px;">
+        <h2 style="color: #dc2626; margin-top: 0;">⚠️ Error</h2>
+        <p style="color: #7f1d1d; font-size: 14px;">${message.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>
+      </div>`
+    });
+  } catch (e) {
+    console.warn('[Background] Could not send error message to tab:', e.message);
+  }
+}
+
+// Analyze text read from the page DOM (selection or area text) with the text
+// model only - the OCR step is skipped. Expects a job with mode 'text' so the
+// progress indicator shows the one-step flow.
+async function analyzePageText(job, text) {
+  if (!text || !text.trim()) {
+    throw new Error('No text found in the selection.');
+  }
+
+  // The text is the job's checkpoint; persisted, so redact it first
+  job = await CaptureQueue.updateJob(job.id, {
+    status: 'analyzing',
+    checkpoint: { text: sanitizeSensitiveData(text) }
+  });
+  await analyzeCheckpointText(job);
+}
+
+// Run the text step for a job's checkpointed page text (also used on resume)
+async function analyzeCheckpointText(job) {
+  const tabId = job.tabId;
+  await showFloatingProgress(tabId, job);
+  await updateFloatingProgress(tabId, 0, 10, 'Analyzing', 'Initializing...');
+
+  const settings = await CaptureQueue.getSettings();
+  const stream = createResultStream(tabId, job.id);
+  const result = await withKeepAlive(() =>
+    analyzeTextContent(job.checkpoint.text, settings, tabId, updateFloatingProgress, {
+      signal: getJobSignal(job.id),
+      onStream: stream.push
+    })
+  ).finally(stream.stop);
+
+  // Check if cancelled before updating the job
+  if (await CaptureQueue.isCancelled(job.id)) {
+    await hideFloatingProgress(tabId);
+    return;
+  }
+
+  await CaptureQueue.updateJob(job.id, { status: 'complete', result, checkpoint: null });
+  await CaptureQueue.setLastResult(result);
+  await hideFloatingProgress(tabId);
+
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'showResult', result });
+  } catch (e) {
+    console.warn('[Background] Could not send showResult message to tab:', e.message);
+  }
+}
+
+// Wait (up to timeoutMs) for a tab to finish loading - discarded or freshly
+// activated tabs reload when they are brought to the front
+async function waitForTabComplete(tabId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete' && !tab.discarded) return tab;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  return chrome.tabs.get(tabId);
+}
+
+// "Capture all tabs": activate every capturable tab in the window, take a
+// visible or full-page capture of each, then analyze the queued captures one
+// by one and show a single combined report on the tab that started it.
+async function captureAllTabs(job) {
+  const { windowId, captureMode = 'visible', tabId: originTabId } = job;
+  const settings = await CaptureQueue.getSettings();
+  if (settings.useRedirectMode) {
+    throw new Error('Capture all tabs is not available in Redirect Mode.');
+  }
+
+  const windowTabs = await chrome.tabs.query({ windowId });
+  const batch = await CaptureQueue.createBatch(
+    job.id,
+    windowTabs.map(tab => ({
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title || tab.url,
+      status: isRestrictedUrl(tab.url) ? 'skipped' : 'pending'
+    })),
+    { mode: captureMode, windowId, originTabId }
+  );
+
+  const isCancelled = () => CaptureQueue.isCancelled(job.id);
+  const signal = getJobSignal(job.id);
+  const pending = batch.items.map((item, index) => ({ ...item, index })).filter(item => item.status === 'pending');
+  if (pending.length === 0) {
+    await CaptureQueue.clearBatch(job.id);
+    throw new Error('No tabs in this window can be captured.');
+  }
+
+  // Phase 1: capture. Each tab's images go to ImageStore and the batch item
+  // records their keys, so analysis can resume after a worker restart.
+  const captured = [];
+  try {
+    for (const [i, item] of pending.entries()) {
+      if (await isCancelled()) break;
+      await CaptureQueue.updateJob(job.id, { status: 'capturing', batchProgress: `${i + 1}/${pending.length}` });
 
-      // Send error message to tab to show error
       try {
-        await chrome.tabs.sendMessage(tabId, {
-          action: 'showResult',
-          result: `<div style="padding: 20px; border-left: 4px solid #ef4444; background: #fef2f2; border-radius: 4px;">
-            <h2 style="color: #dc2626; margin-top: 0;">⚠️ Error</h2>
-            <p style="color: #7f1d1d; font-size: 14px;">${error.message.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>
-          </div>`
+        await chrome.tabs.update(item.tabId, { active: true });
+        const tab = await waitForTabComplete(item.tabId);
+        // Let the newly activated tab paint
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        let capturedKeys;
+        if (captureMode === 'full') {
+          const maxHeight = await prepareFullPageCapture(tab, signal);
+          capturedKeys = (await tryDebuggerCapture(tab, { x: 0, y: 0, width: Infinity, height: maxHeight }, signal))
+            || await captureFullPage(tab, maxHeight, signal);
+        } else {
+          capturedKeys = [await captureVisibleToStore(tab)];
+        }
+
+        const imageKeys = await storeCheckpointImages(capturedKeys);
+        captured.push(item);
+        await CaptureQueue.updateBatchItem(job.id, item.index, {
+          status: 'captured',
+          title: tab.title || item.title,
+          imageKeys
         });
-      } catch (e) {
-        console.warn('[Background] Could not send error message to tab:', e.message);
+      } catch (error) {
+        console.warn('[Background] Batch capture failed for tab', item.tabId, error.message);
+        await CaptureQueue.updateBatchItem(job.id, item.index, { status: 'error', error: error.message });
       }
-    } else {
-      // For transient errors, just update state - let polling handle UI
-      await CaptureQueue.updateState({ status: 'error', error: 'Analysis interrupted. Please try again.' });
     }
+  } finally {
+    // Bring the user back to where they started
+    if (originTabId) {
+      await chrome.tabs.update(originTabId, { active: true }).catch(() => {});
+    }
+  }
+
+  // The report is shown on the starting tab, or the first captured tab if
+  // that one can't host it (e.g. the new tab page)
+  let reportTabId = originTabId;
+  const originTab = originTabId ? await chrome.tabs.get(originTabId).catch(() => null) : null;
+  if (!originTab || isRestrictedUrl(originTab.url)) {
+    reportTabId = captured[0]?.tabId;
+    if (reportTabId) {
+      await chrome.tabs.update(reportTabId, { active: true }).catch(() => {});
+    }
+  }
+
+  if (await isCancelled()) {
+    await deleteBatchImages(job.id);
+    return;
   }
+
+  // Phase 2: analyze the queued captures in order
+  job = await CaptureQueue.updateJob(job.id, { status: 'analyzing', reportTabId });
+  await analyzeBatch(job);
 }
 
-// Capture full page
-async function captureFullPage(tab) {
-  const [{ result: pageInfo }] = await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    func: () => ({
-      height: Math.max(document.body.scrollHeight, document.documentElement.scrollHeight),
-      viewport: window.innerHeight,
-      width: window.innerWidth,
-      originalScrollX: window.scrollX,
-      originalScrollY: window.scrollY
-    })
+// Phase 2 of "Capture all tabs": analyze every captured tab that has no
+// result yet, then show the combined report. Also resumes an interrupted batch.
+async function analyzeBatch(job) {
+  const { reportTabId } = job;
+  const isCancelled = () => CaptureQueue.isCancelled(job.id);
+  const signal = getJobSignal(job.id);
+  const settings = await CaptureQueue.getSettings();
+  await showFloatingProgress(reportTabId, job);
+
+  const items = (await CaptureQueue.getBatch(job.id)).items;
+  const total = items.filter(item => item.imageKeys).length;
+  for (const [index, item] of items.entries()) {
+    if (item.status !== 'captured') continue;
+    if (await isCancelled()) break;
+
+    // Prefix progress with the tab being analyzed, keeping notices such as
+    // "Rate limited, retrying in 8s" that replace the usual 'Analyzing'
+    const position = items.slice(0, index + 1).filter(other => other.imageKeys).length;
+    const progress = (tabId, step, percent, status, stats) => {
+      const tab = `Tab ${position} of ${total}`;
+      return updateFloatingProgress(reportTabId, step, percent, status === 'Analyzing' ? tab : `${tab}: ${status}`, stats || status);
+    };
+
+    try {
+      const images = await loadCheckpointImages(item.imageKeys);
+      const result = await withKeepAlive(() => analyzeScreenshot(
+        images.length === 1 ? images[0] : images,
+        settings,
+        reportTabId,
+        progress,
+        { signal }
+      ));
+      await CaptureQueue.updateBatchItem(job.id, index, { status: 'complete', result });
+    } catch (error) {
+      console.warn('[Background] Batch analysis failed for tab', item.tabId, error.message);
+      await CaptureQueue.updateBatchItem(job.id, index, { status: 'error', error: error.message });
+    }
+    await ImageStore.delete(item.imageKeys).catch(() => {});
+  }
+
+  if (await isCancelled()) {
+    await hideFloatingProgress(reportTabId);
+    await deleteBatchImages(job.id);
+    return;
+  }
+
+  const report = formatBatchReport(await CaptureQueue.getBatch(job.id));
+  await CaptureQueue.clearBatch(job.id);
+
+  await CaptureQueue.updateJob(job.id, { status: 'complete', result: report });
+  await CaptureQueue.setLastResult(report);
+  await hideFloatingProgress(reportTabId);
+
+  try {
+    await chrome.tabs.sendMessage(reportTabId, { action: 'showResult', result: report });
+  } catch (e) {
+    console.warn('[Background] Could not send showResult message to tab:', e.message);
+  }
+}
+
+// Drop the stored images of a cancelled batch
+async function deleteBatchImages(jobId) {
+  const batch = await CaptureQueue.getBatch(jobId);
+  const keys = (batch?.items || []).flatMap(item => item.imageKeys || []);
+  await ImageStore.delete(keys).catch(() => {});
+}
+
+// Combine a finished batch into one report with a section per tab
+function formatBatchReport(batch) {
+  const analyzed = batch.items.filter(item => item.status === 'complete').length;
+  const sections = batch.items.map(item => {
+    const heading = `<h2>${escapeHtml(item.title || item.url)}</h2>
+      <p><a href="${escapeHtml(item.url)}" target="_blank" rel="noopener">${escapeHtml(item.url)}</a></p>`;
+
+    if (item.status === 'complete') {
+      // Unified results are markdown, dual-model results are already HTML
+      const body = /^\s*</.test(item.result) ? item.result : parseMarkdown(item.result);
+      return `${heading}${body}`;
+    }
+    if (item.status === 'skipped') {
+      return `${heading}<p><em>Skipped - this page can't be captured.</em></p>`;
+    }
+    return `${heading}<p><em>Failed: ${escapeHtml(item.error || 'Not captured')}</em></p>`;
   });
 
-  const { height, viewport, width, originalScrollX, originalScrollY } = pageInfo;
-  const captures = [];
+  return `<h2>Tab report</h2>
+    <p>${analyzed} of ${batch.items.length} tabs analyzed (${batch.mode === 'full' ? 'full page' : 'visible area'}).</p>
+    <hr>
+    ${sections.join('\n<hr>\n')}`;
+}
+
+// Read the rendered text inside page-space rectangles (document CSS px).
+// A line box counts as inside when its centre is; text within one block
+// element is joined with spaces, blocks are separated by newlines.
+async function extractTextInAreas(tabId, areas) {
+  const [{ result: texts }] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (areas) => {
+      const blockSelector = 'p,li,td,th,dt,dd,pre,blockquote,h1,h2,h3,h4,h5,h6,div,section,article,header,footer,figcaption,label';
+
+      return areas.map(area => {
+        const left = area.x - window.scrollX;
+        const top = area.y - window.scrollY;
+        const right = left + area.width;
+        const bottom = top + area.height;
+
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+          acceptNode(node) {
+            const parent = node.parentElement;
+            if (!parent || !node.textContent.trim()) return NodeFilter.FILTER_REJECT;
+            // Skip non-rendered text and our own UI
+            if (parent.closest('script, style, noscript, template, [id^="sg_"], [id^="screengrab-"]')) {
+              return NodeFilter.FILTER_REJECT;
+            }
+            return NodeFilter.FILTER_ACCEPT;
+          }
+        });
 
-  const numCaptures = Math.ceil(height / viewport);
+        const range = document.createRange();
+        const blocks = [];
+        let lastBlock = null;
+        let node;
+
+        while ((node = walker.nextNode())) {
+          range.selectNodeContents(node);
+          const inside = Array.from(range.getClientRects()).some(r => {
+            const cx = r.left + r.width / 2;
+            const cy = r.top + r.height / 2;
+            return r.width > 0 && r.height > 0 && cx >= left && cx <= right && cy >= top && cy <= bottom;
+          });
+          if (!inside) continue;
 
-  for (let i = 0; i < numCaptures; i++) {
-    const y = i * viewport;
+          // Keep code formatting, collapse whitespace elsewhere
+          const inPre = !!node.parentElement.closest('pre');
+          const text = inPre ? node.textContent : node.textContent.replace(/\s+/g, ' ').trim();
+          const block = node.parentElement.closest(blockSelector);
 
-    // Show overlay during scroll, hide before capture
-    await chrome.scripting.executeScript({
+          if (block === lastBlock && blocks.length > 0) {
+            blocks[blocks.length - 1] += inPre ? text : ' ' + text;
+          } else {
+            blocks.push(text);
+          }
+          lastBlock = block;
+        }
+
+        return blocks.join('\n').trim();
+      });
+    },
+    args: [areas]
+  });
+
+  if (texts.length === 1) return texts[0];
+  return texts
+    .map((text, i) => `## Region ${i + 1}\n\n${text}`)
+    .join('\n\n');
+}
+
+// Longest page text context sent with a capture (chars)
+const MAX_PAGE_TEXT_CONTEXT = 12000;
+
+// Gather the DOM material behind an area capture: rendered text, links, image
+// alt text and aria-labels of elements intersecting the rectangles. Sent to the
+// model alongside the image (redacted in analyzeScreenshot) so small fonts and
+// code can be read exactly.
+async function collectPageTextContext(tabId, areas) {
+  try {
+    const text = await extractTextInAreas(tabId, areas);
+
+    const [{ result: extras }] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (areas) => {
+        const rects = areas.map(area => ({
+          left: area.x - window.scrollX,
+          top: area.y - window.scrollY,
+          right: area.x - window.scrollX + area.width,
+          bottom: area.y - window.scrollY + area.height
+        }));
+        const intersects = (el) => {
+          const r = el.getBoundingClientRect();
+          if (r.width === 0 && r.height === 0) return false;
+          return rects.some(a => r.left < a.right && r.right > a.left && r.top < a.bottom && r.bottom > a.top);
+        };
+        const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+        const links = [];
+        const altTexts = [];
+        const labels = [];
+
+        document.querySelectorAll('a[href]').forEach(a => {
+          if (!intersects(a) || !/^https?:/.test(a.href)) return;
+          const label = clean(a.textContent) || clean(a.getAttribute('aria-label'));
+          links.push(label ? `${label} → ${a.href}` : a.href);
+        });
+        document.querySelectorAll('img[alt]').forEach(img => {
+          const alt = clean(img.alt);
+          if (alt && intersects(img)) altTexts.push(alt);
+        });
+        document.querySelectorAll('[aria-label]').forEach(el => {
+          const label = clean(el.getAttribute('aria-label'));
+          if (label && intersects(el)) labels.push(label);
+        });
+
+        const unique = (list) => Array.from(new Set(list));
+        return { links: unique(links), altTexts: unique(altTexts), labels: unique(labels) };
+      },
+      args: [areas]
+    });
+
+    const sections = [];
+    if (text) sections.push(`Text:\n${text}`);
+    if (extras.links.length) sections.push(`Links:\n${extras.links.map(l => `- ${l}`).join('\n')}`);
+    if (extras.altTexts.length) sections.push(`Image alt text:\n${extras.altTexts.map(t => `- ${t}`).join('\n')}`);
+    if (extras.labels.length) sections.push(`ARIA labels:\n${extras.labels.map(t => `- ${t}`).join('\n')}`);
+
+    const context = sections.join('\n\n');
+    return context.length > MAX_PAGE_TEXT_CONTEXT
+      ? context.slice(0, MAX_PAGE_TEXT_CONTEXT) + '\n[truncated]'
+      : context;
+  } catch (error) {
+    // Context is a bonus - never fail the capture over it
+    console.warn('[Background] Could not collect page text context:', error.message);
+    return '';
+  }
+}
+
+// Default cap on full-page capture height (CSS px) so infinite feeds terminate
+const DEFAULT_MAX_CAPTURE_HEIGHT = 30000;
+
+// Prepare a page for full-page capture and return the maximum height to capture.
+// Unless disabled (settings.lazyLoadPrepass === false), scrolls through the page
+// once to trigger lazy-loaded images and infinite-scroll content, then waits
+// for images and network idle (PerformanceObserver) so the height measured by
+// the capture afterwards is final. Cancelling the job (signal) flags the page
+// to stop the pass at its next step, restores the scroll and throws.
+async function prepareFullPageCapture(tab, signal) {
+  const settings = await CaptureQueue.getSettings();
+  const maxHeight = parseInt(settings.maxCaptureHeight, 10) || DEFAULT_MAX_CAPTURE_HEIGHT;
+
+  if (settings.lazyLoadPrepass === false) {
+    return maxHeight;
+  }
+
+  signal?.throwIfAborted();
+  const stopPrepass = () => chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: () => { window.__sg_prepassCancelled = true; }
+  }).catch(() => {});
+  signal?.addEventListener('abort', stopPrepass);
+
+  try {
+    const [{ result: settledHeight }] = await chrome.scripting.executeScript({
       target: { tabId: tab.id },
-      func: (scrollY) => {
+      func: async (limit) => {
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        const cancelled = () => window.__sg_prepassCancelled === true;
+        window.__sg_prepassCancelled = false;
+        const pageHeight = () => Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
+        const originalScrollX = window.scrollX;
+        const originalScrollY = window.scrollY;
+
+        // Track network activity to detect idle
+        let lastResourceTime = performance.now();
+        const observer = new PerformanceObserver(() => {
+          lastResourceTime = performance.now();
+        });
+        observer.observe({ type: 'resource' });
+
+        // Hide the pass behind the same overlay used while capturing
         let overlay = document.getElementById('screengrab-fullpage-capture-overlay');
         if (!overlay) {
           overlay = document.createElement('div');
@@ -834,96 +1874,289 @@ async function captureFullPage(tab) {
           document.documentElement.appendChild(overlay);
         }
         overlay.style.display = 'block';
-        window.scrollTo(0, scrollY);
-      },
-      args: [y]
-    });
 
-    await new Promise(resolve => setTimeout(resolve, 30));
+        try {
+          // Native lazy images start loading as soon as they're eager
+          document.querySelectorAll('img[loading="lazy"]').forEach(img => {
+            img.loading = 'eager';
+          });
+
+          // Step through the page so IntersectionObserver-based loaders fire.
+          // Height is re-read every step because infinite feeds keep growing.
+          const step = document.documentElement.clientHeight;
+          const scrollDeadline = performance.now() + 20000;
+          for (let y = 0; y < Math.min(pageHeight(), limit) && performance.now() < scrollDeadline; y += step) {
+            if (cancelled()) return null;
+            window.scrollTo(0, y);
+            await sleep(150);
+          }
 
-    // Hide overlay before capture and wait for repaint
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: async () => {
-        const overlay = document.getElementById('screengrab-fullpage-capture-overlay');
-        if (overlay) overlay.style.display = 'none';
-        // Wait for browser repaint
-        await new Promise(resolve => requestAnimationFrame(resolve));
-        await new Promise(resolve => setTimeout(resolve, 50));
-        await new Promise(resolve => requestAnimationFrame(resolve));
-      }
+          // Wait for pending images (max 5s)
+          const pendingImages = Array.from(document.images).filter(img => !img.complete);
+          const imagesDeadline = performance.now() + 5000;
+          let imagesDone = false;
+          Promise.all(pendingImages.map(img => img.decode().catch(() => {}))).then(() => { imagesDone = true; });
+          while (!imagesDone && !cancelled() && performance.now() < imagesDeadline) {
+            await sleep(100);
+          }
+
+          // Network idle: no new resources for 500ms (max 5s)
+          const idleDeadline = performance.now() + 5000;
+          while (!cancelled() && performance.now() - lastResourceTime < 500 && performance.now() < idleDeadline) {
+            await sleep(100);
+          }
+        } finally {
+          observer.disconnect();
+
+          // Scroll back while overlay is visible, then remove it
+          window.scrollTo(originalScrollX, originalScrollY);
+          setTimeout(() => {
+            if (overlay && overlay.parentNode) {
+              overlay.remove();
+            }
+          }, 100);
+        }
+
+        return pageHeight();
+      },
+      args: [maxHeight]
     });
 
-    // Use the same rate-limited capture function
-    const dataUrl = await captureWithRetry(tab, 3);
-    captures.push({ dataUrl, y });
+    console.log('[Capture] Lazy-load pre-pass done, page height:', settledHeight, 'limit:', maxHeight);
+  } catch (error) {
+    // Pre-pass is best effort - capture whatever is there
+    console.warn('[Capture] Lazy-load pre-pass failed:', error.message);
+  } finally {
+    signal?.removeEventListener('abort', stopPrepass);
   }
 
-  // Restore scroll position (hidden by overlay) before stitching
-  await chrome.scripting.executeScript({
+  signal?.throwIfAborted();
+  return maxHeight;
+}
+
+// Capture full page
+// Tiles in both X and Y when the page is wider than the viewport.
+// Returns an array of data URLs (more than one if the page exceeds canvas limits).
+// maxHeight caps the captured height (see prepareFullPageCapture).
+async function captureFullPage(tab, maxHeight = DEFAULT_MAX_CAPTURE_HEIGHT, signal) {
+  const [{ result: pageInfo }] = await chrome.scripting.executeScript({
     target: { tabId: tab.id },
-    func: (x, y) => {
-      // Show overlay first to hide the scroll
-      let overlay = document.getElementById('screengrab-fullpage-capture-overlay');
-      if (!overlay) {
-        overlay = document.createElement('div');
-        overlay.id = 'screengrab-fullpage-capture-overlay';
-        overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;z-index:2147483647;pointer-events:none;display:block;';
-        document.documentElement.appendChild(overlay);
-      } else {
-        overlay.style.display = 'block';
+    func: () => ({
+      height: Math.max(document.body.scrollHeight, document.documentElement.scrollHeight),
+      width: Math.max(document.body.scrollWidth, document.documentElement.scrollWidth)
+    })
+  });
+
+  const { width } = pageInfo;
+  const height = Math.min(pageInfo.height, maxHeight);
+
+  const capture = await captureScrollTiles(
+    tab,
+    { left: 0, top: 0, right: width, bottom: height },
+    'screengrab-fullpage-capture-overlay',
+    signal
+  );
+
+  return stitchTiles(tab, capture, { x: 0, y: 0, width, height });
+}
+
+// Capture the full contents of a scroll container (overflow:auto/scroll element)
+// Scrolls the container rather than the window and stitches each segment,
+// using the same overlay/capture loop as captureScrollTiles
+async function captureScrollableRegion(tab, scrollToken, signal) {
+  const [{ result: regionInfo }] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: (token) => {
+      const el = document.querySelector(`[data-sg-scroll-target="${token}"]`);
+      if (!el) return null;
+
+      const originalScrollX = window.scrollX;
+      const originalScrollY = window.scrollY;
+
+      // Bring the container's top edge into view if it isn't fully visible
+      let rect = el.getBoundingClientRect();
+      if (rect.top < 0 || rect.bottom > window.innerHeight) {
+        el.scrollIntoView({ block: 'start', inline: 'nearest' });
+        rect = el.getBoundingClientRect();
       }
 
-      // Scroll while overlay is visible
-      window.scrollTo(x, y);
+      // Visible part of the container's client (content) box, in viewport coordinates
+      const contentLeft = rect.left + el.clientLeft;
+      const contentTop = rect.top + el.clientTop;
+      const clipLeft = Math.max(0, contentLeft);
+      const clipTop = Math.max(0, contentTop);
+      const clipRight = Math.min(contentLeft + el.clientWidth, document.documentElement.clientWidth);
+      const clipBottom = Math.min(contentTop + el.clientHeight, window.innerHeight);
 
-      // Remove overlay after a brief delay to ensure scroll completes
-      setTimeout(() => {
-        if (overlay && overlay.parentNode) {
-          overlay.remove();
-        }
-      }, 100);
+      return {
+        clip: {
+          x: clipLeft,
+          y: clipTop,
+          width: clipRight - clipLeft,
+          height: clipBottom - clipTop
+        },
+        // Portion of the client box hidden above the viewport
+        clipOffsetY: clipTop - contentTop,
+        scrollHeight: el.scrollHeight,
+        originalScrollTop: el.scrollTop,
+        originalScrollX,
+        originalScrollY,
+        dpr: window.devicePixelRatio || 1
+      };
     },
-    args: [originalScrollX, originalScrollY]
+    args: [scrollToken]
   });
 
-  const [{ result: stitched }] = await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    func: (captures, width, height) => {
-      return new Promise(async (resolve) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = width;
-        canvas.height = height;
-
-        // Fill with white background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, width, height);
-
-        // Load and draw each capture at its stored y position
-        // This avoids race conditions from async onload callbacks
-        for (const capture of captures) {
-          const img = await new Promise((imgResolve, imgReject) => {
-            const image = new Image();
-            image.onload = () => imgResolve(image);
-            image.onerror = imgReject;
-            image.src = capture.dataUrl;
-          });
+  if (!regionInfo) {
+    throw new Error('The selected scroll container is no longer on the page.');
+  }
+
+  const { clip, clipOffsetY, scrollHeight, originalScrollTop, originalScrollX, originalScrollY, dpr } = regionInfo;
+  if (clip.width <= 0 || clip.height <= 0) {
+    throw new Error('The selected scroll container is not visible.');
+  }
 
-          // Use the stored y position from capture (not a counter)
-          const yPos = capture.y;
-          const remainingHeight = height - yPos;
-          const imgHeight = Math.min(img.height, remainingHeight);
+  const captures = [];
 
-          ctx.drawImage(img, 0, yPos, width, imgHeight);
-        }
+  const { stickyElements: stickyMode = 'first' } = await CaptureQueue.getSettings();
+  await prepareStickyElements(tab.id, stickyMode);
+
+  try {
+    // contentY: the first row of the container's content not captured yet.
+    // A container taller than the viewport shows only clip.height rows at a
+    // time, and its last scroll position leaves rows below the viewport, so
+    // each segment measures which rows it shows (see segment below).
+    for (let contentY = 0; contentY < scrollHeight;) {
+      if (signal?.aborted) break;
+
+      // Show overlay during scroll, hide before capture
+      const [{ result: segment }] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (token, row, offsetY) => {
+          let overlay = document.getElementById('screengrab-scroll-capture-overlay');
+          if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'screengrab-scroll-capture-overlay';
+            overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;z-index:2147483647;pointer-events:none;display:none;';
+            document.documentElement.appendChild(overlay);
+          }
+          overlay.style.display = 'block';
+
+          const el = document.querySelector(`[data-sg-scroll-target="${token}"]`);
+          if (!el) return null;
+          el.style.scrollBehavior = 'auto';
+          el.scrollTop = row - offsetY;
+
+          // Viewport y of `row`. Below the usual clip top only when the
+          // scroll position was clamped at the bottom: scroll the window to
+          // bring the rest of the container into view.
+          let rect = el.getBoundingClientRect();
+          const rowTop = rect.top + el.clientTop + row - el.scrollTop;
+          const clipTop = Math.max(0, rect.top + el.clientTop);
+          if (rowTop > clipTop) {
+            window.scrollBy({ top: rowTop - clipTop, behavior: 'instant' });
+            rect = el.getBoundingClientRect();
+          }
+
+          // Rows of the client box now in the viewport, from `row` down
+          const contentTop = rect.top + el.clientTop;
+          const top = Math.max(0, contentTop + row - el.scrollTop);
+          const bottom = Math.min(contentTop + el.clientHeight, window.innerHeight);
+          return { y: top, height: bottom - top, contentY: el.scrollTop + top - contentTop };
+        },
+        args: [scrollToken, contentY, clipOffsetY]
+      });
+
+      // Container was removed mid-capture, or nothing new is in view
+      if (!segment || segment.height <= 0 || segment.contentY + segment.height <= contentY) break;
+      contentY = segment.contentY + segment.height;
 
-        resolve(canvas.toDataURL('image/png'));
+      await applyStickyVisibility(tab.id, shouldHideSticky(stickyMode, captures.length));
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      // Hide overlay before capture and wait for repaint
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: async () => {
+          const overlay = document.getElementById('screengrab-scroll-capture-overlay');
+          if (overlay) overlay.style.display = 'none';
+          // Wait for browser repaint
+          await new Promise(resolve => requestAnimationFrame(resolve));
+          await new Promise(resolve => setTimeout(resolve, 50));
+          await new Promise(resolve => requestAnimationFrame(resolve));
+        }
       });
-    },
-    args: [captures, width, height]
-  });
-  return stitched;
+
+      const dataUrl = await captureWithRetry(tab, 3);
+      const key = await ImageStore.putDataUrl(dataUrl);
+      captures.push({ key, ...segment });
+    }
+
+    // Restore container and window scroll positions (hidden by overlay)
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (token, scrollTop, x, y) => {
+        let overlay = document.getElementById('screengrab-scroll-capture-overlay');
+        if (!overlay) {
+          overlay = document.createElement('div');
+          overlay.id = 'screengrab-scroll-capture-overlay';
+          overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;z-index:2147483647;pointer-events:none;display:block;';
+          document.documentElement.appendChild(overlay);
+        } else {
+          overlay.style.display = 'block';
+        }
+
+        const el = document.querySelector(`[data-sg-scroll-target="${token}"]`);
+        if (el) {
+          el.scrollTop = scrollTop;
+          el.style.scrollBehavior = '';
+          el.removeAttribute('data-sg-scroll-target');
+        }
+        window.scrollTo(x, y);
+
+        setTimeout(() => {
+          if (overlay && overlay.parentNode) {
+            overlay.remove();
+          }
+        }, 100);
+      },
+      args: [scrollToken, originalScrollTop, originalScrollX, originalScrollY]
+    });
+
+    // Cancelled mid-scroll: the page is restored, now drop the segments
+    signal?.throwIfAborted();
+  } catch (error) {
+    await ImageStore.delete(captures.map(c => c.key)).catch(() => {});
+    throw error;
+  } finally {
+    await restoreStickyElements(tab.id);
+  }
+
+  if (captures.length === 0) {
+    throw new Error('Failed to capture the scrollable region.');
+  }
+
+  // Stitch the clipped segments at their scroll offsets (offscreen, device px)
+  const drawList = captures.map(capture => ({
+    key: capture.key,
+    sx: Math.round(clip.x * dpr),
+    sy: Math.round(capture.y * dpr),
+    sw: Math.round(clip.width * dpr),
+    sh: Math.round(capture.height * dpr),
+    dx: 0,
+    dy: Math.round(capture.contentY * dpr)
+  }));
+
+  try {
+    return await stitchInOffscreen(
+      drawList,
+      Math.round(clip.width * dpr),
+      Math.round(scrollHeight * dpr)
+    );
+  } finally {
+    await ImageStore.delete(captures.map(c => c.key)).catch(() => {});
+  }
 }
 
 // parseMarkdown and sanitizeSensitiveData are now imported from utils.js
@@ -945,31 +2178,227 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .then(response => sendResponse({ success: true, response }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
+  } else if (request.action === 'stopStream') {
+    // "Stop" in the result panel: end the streamed answer, keep what arrived
+    stopStream(request);
+    sendResponse({ success: true });
+    return;
   } else if (request.action === 'cancelCapture') {
-    handleCancelCapture()
+    handleCancelCapture(request, sender)
       .then(() => sendResponse({ success: true }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
+  } else if (request.action === 'contextMenuTarget') {
+    setCanvasMenuVisible(!!request.canvas);
+    sendResponse({ success: true });
+    return;
   } else if (request.action === 'startAreaSelection') {
     // Handle area selection request from popup
     // This ensures the request is processed before popup closes
     handleStartAreaSelection(request, sender)
-      .then(() => sendResponse({ success: true }))
+      .then(jobId => sendResponse({ success: true, jobId }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
   }
   return true;
 });
 
-// Handle cancel capture
-async function handleCancelCapture() {
-  await CaptureQueue.cancel();
-  await CaptureQueue.reset();
+// Keyboard shortcuts (manifest "commands", rebindable at chrome://extensions/shortcuts).
+// Capture commands are enqueued exactly like the popup does.
+const COMMAND_MODES = {
+  'capture-visible': 'visible',
+  'capture-full': 'full',
+  'capture-area': 'area',
+  'repeat-last-region': 'repeat'
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    if (!tab) {
+      [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    }
+    if (!tab?.id) return;
+
+    if (command === 'open-last-result') {
+      await showLastResult(tab.id);
+      return;
+    }
+
+    const mode = COMMAND_MODES[command];
+    if (!mode) return;
+
+    await CaptureQueue.enqueue({
+      mode,
+      url: tab.url,
+      tabId: tab.id
+    });
+  } catch (error) {
+    console.error('[Background] Command error:', command, error);
+  }
+});
+
+// Last visibility set on the canvas menu item. Right-clicks in every tab
+// report their target, so only changes are passed on to contextMenus; null
+// after a worker restart, when the item's state is unknown.
+let canvasMenuVisible = null;
+
+function setCanvasMenuVisible(visible) {
+  if (visible === canvasMenuVisible) return;
+  canvasMenuVisible = visible;
+  chrome.contextMenus.update('analyze-canvas', { visible }, () => {
+    void chrome.runtime.lastError;
+  });
+}
+
+// Right-click menu. Items persist across service worker restarts, so they are
+// only (re)created on install/update.
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'analyze-image', title: 'Analyze this image', contexts: ['image'] });
+    // Canvases have no context of their own; floating-icon.js shows this item
+    // only while a <canvas> is right-clicked (see setCanvasMenuVisible)
+    chrome.contextMenus.create({ id: 'analyze-canvas', title: 'Analyze this image', contexts: ['page'], visible: false });
+    chrome.contextMenus.create({ id: 'analyze-selection', title: 'Analyze selected text', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'separator', type: 'separator', contexts: ['page'] });
+    chrome.contextMenus.create({ id: 'capture-area', title: 'Capture this area', contexts: ['page'] });
+    chrome.contextMenus.create({ id: 'capture-visible', title: 'Capture visible', contexts: ['page'] });
+    chrome.contextMenus.create({ id: 'capture-full', title: 'Capture full page', contexts: ['page'] });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab?.id) return;
+
+  try {
+    if (info.menuItemId === 'analyze-image' || info.menuItemId === 'analyze-canvas') {
+      await CaptureQueue.enqueue({
+        mode: 'image',
+        srcUrl: info.srcUrl,
+        url: tab.url,
+        tabId: tab.id,
+        source: 'context-menu'
+      });
+    } else if (info.menuItemId === 'analyze-selection') {
+      if (!info.selectionText || !info.selectionText.trim()) {
+        throw new Error('No text selected.');
+      }
+      await CaptureQueue.enqueue({
+        mode: 'text',
+        text: info.selectionText,
+        url: tab.url,
+        tabId: tab.id,
+        source: 'context-menu'
+      });
+    } else if (COMMAND_MODES[info.menuItemId]) {
+      // Page captures are queued exactly like keyboard shortcuts
+      await CaptureQueue.enqueue({
+        mode: COMMAND_MODES[info.menuItemId],
+        url: tab.url,
+        tabId: tab.id
+      });
+    }
+  } catch (error) {
+    console.error('[Background] Context menu error:', info.menuItemId, error);
+    await showErrorOnTab(tab.id, error.message);
+  }
+});
+
+// Analyze a right-clicked <img> or <canvas>. The source image is fetched at full
+// resolution when possible; otherwise (blob: URLs, SVG, tainted canvases, auth
+// errors) the element's on-screen pixels are captured and cropped.
+async function analyzeContextImage(job, srcUrl) {
+  const tab = await chrome.tabs.get(job.tabId);
+  if (isRestrictedUrl(tab.url)) {
+    throw new Error('Cannot capture screenshots on this page (Restricted URL).');
+  }
+
+  let imageKey = null;
+
+  if (srcUrl && !srcUrl.startsWith('blob:')) {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ action: 'loadImage', url: srcUrl });
+    if (response?.key) {
+      imageKey = response.key;
+    } else {
+      console.warn('[Background] Could not fetch image source, capturing it from the page:', response?.error);
+    }
+  }
+
+  if (!imageKey) {
+    // Tagged by the contextmenu listener in floating-icon.js
+    const [{ result: target }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => {
+        const el = window.__sg_contextTarget;
+        if (!el || !el.isConnected) return null;
+
+        if (el instanceof HTMLCanvasElement) {
+          try {
+            return { dataUrl: el.toDataURL('image/png') };
+          } catch (e) {
+            // Tainted by cross-origin content - fall back to the screen pixels
+          }
+        }
+
+        const rect = el.getBoundingClientRect();
+        return {
+          rect: {
+            x: Math.max(0, rect.left + window.scrollX),
+            y: Math.max(0, rect.top + window.scrollY),
+            width: rect.width,
+            height: rect.height
+          }
+        };
+      }
+    });
+
+    if (target?.dataUrl) {
+      imageKey = await ImageStore.putDataUrl(target.dataUrl);
+    } else if (target?.rect && target.rect.width > 0 && target.rect.height > 0) {
+      [imageKey] = await captureRegions(tab, [target.rect], getJobSignal(job.id));
+    } else {
+      throw new Error('Could not find the image on the page. Please try again.');
+    }
+  }
+
+  await processCapturedImage(imageKey, job);
+}
+
+// Re-open the last analysis result on a tab
+async function showLastResult(tabId) {
+  const last = await CaptureQueue.getLastResult();
+  if (!last) {
+    console.warn('[Background] No result to reopen yet');
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(tabId, {
+      action: 'showResult',
+      result: last.result
+    });
+  } catch (e) {
+    console.warn('[Background] Could not send showResult message to tab:', e.message);
+  }
+}
+
+// Handle cancel capture: one job, or every unfinished job of the sending tab
+async function handleCancelCapture(request, sender) {
+  if (request.jobId) {
+    await CaptureQueue.cancel(request.jobId);
+    return;
+  }
+
+  const tabId = request.tabId || sender.tab?.id;
+  const jobs = await CaptureQueue.getJobsForTab(tabId);
+  for (const job of jobs) {
+    await CaptureQueue.cancel(job.id);
+  }
 }
 
 // Handle start area selection (called from popup via message)
 async function handleStartAreaSelection(request, sender) {
-  let { tabId, url } = request;
+  let { tabId, url, mode } = request;
 
   // If tabId is null/missing, use sender.tab.id (for floating icon) or find the active tab
   if (!tabId) {
@@ -1002,16 +2431,30 @@ async function handleStartAreaSelection(request, sender) {
     throw new Error('Cannot capture screenshots on this page (Restricted URL).');
   }
   
-  // Enqueue the area selection request
-  await CaptureQueue.enqueue({
-    mode: 'area',
+  // Enqueue the area (or element / scrollable region) selection job
+  const jobId = await CaptureQueue.enqueue({
+    mode: ['element', 'scrollable'].includes(mode) ? mode : 'area',
     url,
     tabId
   });
   
-  // Process the request immediately
+  // Process the queue immediately and wait for the overlay
   // This ensures the area selection starts before the popup closes
-  await processQueuedRequest();
+  await processQueue();
+  await jobRuns.get(jobId);
+
+  return jobId;
+}
+
+// Ask a follow-up through the text step's fallback chain; the answer starts
+// with a note when a fallback provider gave it
+async function askFollowUpWithFallback(question, conversationHistory, settings, onProgress, signal, onRetry) {
+  const outcome = await AIService.withFallback('text', settings, stepSettings =>
+    AIService.askFollowUp(question, conversationHistory, stepSettings, onProgress, signal, onRetry),
+    signal
+  );
+  const note = AIService.describeFallback(outcome);
+  return note ? `*${note}*\n\n${outcome.result}` : outcome.result;
 }
 
 // Handle follow-up question
@@ -1025,7 +2468,7 @@ async function handleFollowUpQuestion(request, sender) {
 
   try {
     const settings = await CaptureQueue.getSettings();
-    const response = await AIService.askFollowUp(question, conversationHistory, settings);
+    const response = await askFollowUpWithFallback(question, conversationHistory, settings);
     return response;
   } catch (error) {
     throw error;
@@ -1036,17 +2479,30 @@ async function handleFollowUpQuestion(request, sender) {
 async function processFollowUpRequest() {
   try {
     const request = await CaptureQueue.getFollowUpRequest();
-    if (!request) return;
+    // Not yet asked, or already being answered
+    if (!request || followUpControllers.has(request.id)) return;
 
     console.log('[Background] Processing follow-up request:', request.id);
 
+    // The answer streams into storage as a partial response, which the
+    // result panel polls; the final response replaces it
+    const controller = new AbortController();
+    followUpControllers.set(request.id, controller);
+    const stream = createStreamRelay(text => {
+      CaptureQueue.setFollowUpPartial(request.id, text).catch(() => {});
+    });
+
     try {
       const settings = await CaptureQueue.getSettings();
-      const response = await AIService.askFollowUp(
+      const response = await withKeepAlive(() => askFollowUpWithFallback(
         request.question,
         request.conversationHistory,
-        settings
-      );
+        settings,
+        stream.push,
+        controller.signal,
+        // Until the answer starts, the panel shows why it is waiting
+        ({ reason, delayMs }) => stream.push(`*${reason}, retrying in ${Math.ceil(delayMs / 1000)}s…*`)
+      )).finally(stream.stop);
 
       // Set the response in storage
       await CaptureQueue.setFollowUpResponse(response, null);
@@ -1057,6 +2513,7 @@ async function processFollowUpRequest() {
       // Set error response
       await CaptureQueue.setFollowUpResponse(null, error.message);
     } finally {
+      followUpControllers.delete(request.id);
       // Clear the request
       await CaptureQueue.clearFollowUpRequest();
     }
@@ -1065,10 +2522,17 @@ async function processFollowUpRequest() {
   }
 }
 
-// Clean up stale state on load — but NOT captureRequest, followUpRequest,
-// or followUpResponse, which may be the request that just woke this service
+// Clean up stale state on load — but NOT queued jobs, followUpRequest, or
+// followUpResponse, which may be the request that just woke this service
 // worker (MV3 race condition: fire-and-forget remove() can delete the
-// pending request before the storage listener processes it).
-chrome.storage.local.remove(['currentCapture', 'areaSelection', 'activeCaptureTabId']);
-// Also clear session storage processing lock to prevent stale locks blocking first click
-chrome.storage.session.remove('captureProcessingLock').catch(() => {});
+// pending request before the storage listener processes it). Jobs interrupted
+// by a worker suspension resume from their checkpoint, and images left over
+// from interrupted captures are dropped, before any new job starts.
+queueChain = queueChain
+  .then(async () => {
+    await resumeInterruptedJobs();
+    await pruneOrphanImages();
+  })
+  .catch(error => console.error('[Background] Startup cleanup error:', error));
+processQueue();
+
@@ -4,146 +4,275 @@
  * Eliminates "Could not establish connection" errors by using
  * chrome.storage.local instead of runtime messaging.
  * Storage is always available, even when service workers sleep.
+ *
+ * Capture requests are persisted as jobs, each with its own id, status,
+ * tab, result and error. background.js runs them in FIFO order with a
+ * per-provider concurrency limit.
  */
 
 const CaptureQueue = {
-    // Maximum age (ms) for a processing lock before it's considered stale.
-    // Content scripts cannot clear chrome.storage.session, so stale locks
-    // would otherwise block all future captures permanently.
-    LOCK_TTL: 30000,
-
     KEYS: {
-        REQUEST: 'captureRequest',
-        STATE: 'currentCapture',
         SETTINGS: 'screengrabSettings',
         FOLLOW_UP_REQUEST: 'followUpRequest',
         FOLLOW_UP_RESPONSE: 'followUpResponse',
-        PROCESSING_LOCK: 'captureProcessingLock'  // Prevents race conditions
+        LAST_AREA_SELECTION: 'lastAreaSelection',
+        LAST_RESULT: 'lastResult'
+    },
+
+    // Each capture job is stored under its own key so jobs in different tabs
+    // never overwrite each other's state
+    JOB_PREFIX: 'captureJob_',
+
+    // Statuses that hold one of the provider's analysis slots. 'queued' jobs
+    // wait for a slot, 'selecting' jobs wait for the user.
+    ACTIVE_STATUSES: ['capturing', 'countdown', 'processing', 'analyzing'],
+    FINISHED_STATUSES: ['complete', 'error', 'cancelled'],
+
+    // Finished jobs are kept this long so the tab that started them can
+    // pick up the result, then pruned on the next enqueue
+    JOB_RETENTION: 10 * 60 * 1000,
+
+    // Default number of jobs analysed at once per provider (overridden by
+    // settings.providerConcurrency). Local Ollama shares one machine.
+    PROVIDER_CONCURRENCY: {
+        'ollama': 1,
+        'ollama-cloud': 2,
+        'openai': 2,
+        'grok': 2,
+        'google-gemini': 2,
+        'google-vision': 2,
+        'openai-compatible': 1,
+        'redirect': 1
+    },
+
+    jobKey(id) {
+        return this.JOB_PREFIX + id;
+    },
+
+    isFinished(job) {
+        return !!job && this.FINISHED_STATUSES.includes(job.status);
     },
 
     /**
-     * Enqueue a capture request (called by popup/floating-icon)
+     * Enqueue a capture job (called by popup/floating-icon/background).
+     * Returns the job id; poll it with getJob().
      */
     async enqueue(request) {
-        const enrichedRequest = {
+        const now = Date.now();
+        const job = {
             ...request,
-            id: `capture_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            timestamp: Date.now(),
-            status: 'pending'
+            id: `capture_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            status: 'queued',
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now
         };
 
-        await chrome.storage.local.set({ [this.KEYS.REQUEST]: enrichedRequest });
+        await this.pruneJobs();
+        await chrome.storage.local.set({ [this.jobKey(job.id)]: job });
 
-        return enrichedRequest.id;
+        return job.id;
     },
 
     /**
-     * Dequeue a capture request (called by background.js)
-     *
-     * Uses chrome.storage.session for a processing lock to prevent race conditions
-     * when storage listeners fire multiple times in quick succession.
-     *
-     * The lock persists across service worker restarts, solving the issue where
-     * pollingActive flag gets reset on worker suspension.
+     * Get one job (or null)
      */
-    async dequeue() {
-        // Check if we're already processing a request using session storage lock
-        try {
-            const lockData = await chrome.storage.session.get(this.KEYS.PROCESSING_LOCK);
-            const lock = lockData[this.KEYS.PROCESSING_LOCK];
-            if (lock) {
-                // Check if lock is still within TTL
-                if (lock.timestamp && (Date.now() - lock.timestamp < this.LOCK_TTL)) {
-                    return null; // Valid lock, still processing
-                }
-                // Stale lock — clear it and proceed
-                console.warn('[CaptureQueue] Clearing stale processing lock (age:', Date.now() - (lock.timestamp || 0), 'ms)');
-                await chrome.storage.session.remove(this.KEYS.PROCESSING_LOCK);
-            }
-        } catch (e) {
-            console.warn('[CaptureQueue] Could not check processing lock:', e);
-        }
+    async getJob(id) {
+        if (!id) return null;
+        const key = this.jobKey(id);
+        const data = await chrome.storage.local.get(key);
+        return data[key] || null;
+    },
 
-        const data = await chrome.storage.local.get(this.KEYS.REQUEST);
-        const request = data[this.KEYS.REQUEST];
+    /**
+     * All jobs, oldest first
+     */
+    async getJobs() {
+        const data = await chrome.storage.local.get(null);
+        return Object.keys(data)
+            .filter(key => key.startsWith(this.JOB_PREFIX))
+            .map(key => data[key])
+            .sort((a, b) => a.createdAt - b.createdAt);
+    },
 
-        if (request && request.status === 'pending') {
-            // Set the processing lock BEFORE updating the request status
-            try {
-                await chrome.storage.session.set({
-                    [this.KEYS.PROCESSING_LOCK]: {
-                        requestId: request.id,
-                        timestamp: Date.now()
-                    }
-                });
-            } catch (e) {
-                console.warn('[CaptureQueue] Could not set processing lock:', e);
-            }
+    /**
+     * Jobs started in one tab, oldest first
+     */
+    async getJobsForTab(tabId) {
+        const jobs = await this.getJobs();
+        return jobs.filter(job => job.tabId === tabId);
+    },
 
-            // Mark as processing to prevent double-processing
-            request.status = 'processing';
-            await chrome.storage.local.set({ [this.KEYS.REQUEST]: request });
-            return request;
-        }
+    // Pending updateJob writes by job id, so each one reads the job after
+    // the previous one has stored it
+    jobWrites: new Map(),
 
-        return null;
+    /**
+     * Merge changes into a job (called by background.js). changes may be a
+     * function of the current job. Writes to one job are serialised, and a
+     * finished job is final, so a late update can't revive a job the user
+     * cancelled. Returns the updated job, or null if it no longer exists.
+     */
+    updateJob(id, changes) {
+        const previous = this.jobWrites.get(id) || Promise.resolve();
+        const write = previous.catch(() => {}).then(async () => {
+            const job = await this.getJob(id);
+            if (!job) return null;
+            if (this.isFinished(job)) return job;
+
+            const updated = {
+                ...job,
+                ...(typeof changes === 'function' ? changes(job) : changes),
+                updatedAt: Date.now()
+            };
+
+            await chrome.storage.local.set({ [this.jobKey(id)]: updated });
+            return updated;
+        });
+
+        this.jobWrites.set(id, write);
+        write.finally(() => {
+            if (this.jobWrites.get(id) === write) this.jobWrites.delete(id);
+        }).catch(() => {});
+        return write;
     },
 
     /**
-     * Clear the current request and processing lock
+     * Undo a write that turned a finished job back into a running one. The
+     * per-job queue in updateJob only orders writes from one context; a
+     * cancel stored by the popup or a page between another context's read
+     * and write would otherwise be lost. Called by background.js for every
+     * job change; returns whether the job was restored.
      */
-    async clear() {
-        await chrome.storage.local.remove(this.KEYS.REQUEST);
-        // Also clear the processing lock
-        try {
-            await chrome.storage.session.remove(this.KEYS.PROCESSING_LOCK);
-        } catch (e) {
-            // Ignore errors if session.storage unavailable
+    async keepFinished(id, { oldValue, newValue }) {
+        if (!this.isFinished(oldValue) || !newValue || this.isFinished(newValue)) return false;
+
+        const { status, result, error } = oldValue;
+        await chrome.storage.local.set({ [this.jobKey(id)]: { ...newValue, status, result, error } });
+        return true;
+    },
+
+    /**
+     * Forget a job (e.g. once its result has been shown)
+     */
+    async removeJob(id) {
+        await chrome.storage.local.remove(this.jobKey(id));
+    },
+
+    /**
+     * Drop finished jobs older than JOB_RETENTION
+     */
+    async pruneJobs() {
+        const cutoff = Date.now() - this.JOB_RETENTION;
+        const stale = (await this.getJobs())
+            .filter(job => this.isFinished(job) && job.updatedAt < cutoff)
+            .map(job => this.jobKey(job.id));
+
+        if (stale.length > 0) {
+            await chrome.storage.local.remove(stale);
         }
     },
 
     /**
-     * Update capture state (called by background.js)
+     * Cancel a job
      */
-    async updateState(state) {
-        const currentData = await chrome.storage.local.get(this.KEYS.STATE);
-        const current = currentData[this.KEYS.STATE] || {};
-
-        const newState = {
-            ...current,
-            ...state,
-            updatedAt: Date.now()
+    async cancel(id) {
+        await this.updateJob(id, { status: 'cancelled' });
+    },
+
+    /**
+     * Whether a job was cancelled (or removed) while it was running
+     */
+    async isCancelled(id) {
+        const job = await this.getJob(id);
+        return !job || job.status === 'cancelled';
+    },
+
+    /**
+     * Attach a batch to a job (e.g. "Capture all tabs"). A batch is a list of
+     * items, each { tabId, url, title, status, result, error }, processed in
+     * order by background.js.
+     */
+    async createBatch(jobId, items, options = {}) {
+        const batch = {
+            ...options,
+            items: items.map(item => ({ status: 'pending', result: null, error: null, ...item }))
         };
 
-        await chrome.storage.local.set({ [this.KEYS.STATE]: newState });
+        await this.updateJob(jobId, { batch });
+
+        return batch;
     },
 
     /**
-     * Get current capture state (called by popup/floating-icon for polling)
+     * Get a job's batch (or null)
      */
-    async getState() {
-        const data = await chrome.storage.local.get(this.KEYS.STATE);
-        return data[this.KEYS.STATE] || null;
+    async getBatch(jobId) {
+        const job = await this.getJob(jobId);
+        return job?.batch || null;
     },
 
     /**
-     * Reset state (clear everything including processing lock)
+     * Merge changes into one batch item
      */
-    async reset() {
-        await chrome.storage.local.remove([this.KEYS.REQUEST, this.KEYS.STATE]);
-        // Also clear the processing lock
-        try {
-            await chrome.storage.session.remove(this.KEYS.PROCESSING_LOCK);
-        } catch (e) {
-            // Ignore errors if session.storage unavailable
-        }
+    async updateBatchItem(jobId, index, changes) {
+        await this.updateJob(jobId, job => {
+            if (!job.batch?.items[index]) return {};
+            const items = job.batch.items.slice();
+            items[index] = { ...items[index], ...changes };
+            return { batch: { ...job.batch, items } };
+        });
     },
 
     /**
-     * Cancel the current capture
+     * Remove a job's batch
      */
-    async cancel() {
-        await this.updateState({ status: 'cancelled' });
+    async clearBatch(jobId) {
+        await this.updateJob(jobId, { batch: null });
+    },
+
+    /**
+     * Remember the last page-space area selection and the URL it was made on
+     * (used by "Repeat last region")
+     */
+    async setLastAreaSelection(selection, url) {
+        await chrome.storage.local.set({
+            [this.KEYS.LAST_AREA_SELECTION]: {
+                selection: selection,
+                url: url,
+                timestamp: Date.now()
+            }
+        });
+    },
+
+    /**
+     * Get the last area selection ({ selection, url, timestamp } or null)
+     */
+    async getLastAreaSelection() {
+        const data = await chrome.storage.local.get(this.KEYS.LAST_AREA_SELECTION);
+        return data[this.KEYS.LAST_AREA_SELECTION] || null;
+    },
+
+    /**
+     * Keep the last analysis result so it can be reopened after the
+     * result window is closed
+     */
+    async setLastResult(result) {
+        await chrome.storage.local.set({
+            [this.KEYS.LAST_RESULT]: {
+                result: result,
+                timestamp: Date.now()
+            }
+        });
+    },
+
+    /**
+     * Get the last analysis result ({ result, timestamp } or null)
+     */
+    async getLastResult() {
+        const data = await chrome.storage.local.get(this.KEYS.LAST_RESULT);
+        return data[this.KEYS.LAST_RESULT] || null;
     },
 
     /**
@@ -155,7 +284,9 @@ const CaptureQueue = {
             'ollamaApiKey',
             'googleApiKey',
             'openaiApiKey',
-            'geminiApiKey'
+            'grokApiKey',
+            'geminiApiKey',
+            'openaiCompatibleApiKey'
         ]);
         const settings = data[this.KEYS.SETTINGS] || {};
         return {
@@ -163,7 +294,9 @@ const CaptureQueue = {
             ollamaApiKey: data.ollamaApiKey || '',
             googleApiKey: data.googleApiKey || '',
             openaiApiKey: data.openaiApiKey || '',
-            geminiApiKey: data.geminiApiKey || ''
+            grokApiKey: data.grokApiKey || '',
+            geminiApiKey: data.geminiApiKey || '',
+            openaiCompatibleApiKey: data.openaiCompatibleApiKey || ''
         };
     },
 
@@ -248,6 +381,21 @@ const CaptureQueue = {
         });
     },
 
+    /**
+     * Set the answer streamed so far for a follow-up (called by background.js).
+     * The final setFollowUpResponse replaces it.
+     */
+    async setFollowUpPartial(requestId, response) {
+        await chrome.storage.local.set({
+            [this.KEYS.FOLLOW_UP_RESPONSE]: {
+                requestId: requestId,
+                response: response,
+                partial: true,
+                timestamp: Date.now()
+            }
+        });
+    },
+
     /**
      * Get follow-up response (called by floating-icon.js)
      */
@@ -0,0 +1,95 @@
+/**
+ * Debugger Capture - DevTools protocol screenshot backend
+ *
+ * Captures page regions with Page.captureScreenshot + captureBeyondViewport,
+ * so full pages, elements and areas come back in one shot at the native
+ * device pixel ratio without scrolling the user's page.
+ *
+ * Opt-in (settings.captureBackend === 'debugger'). The "debugger" permission
+ * is optional and requested from the options page; while attached, Chrome
+ * shows its "started debugging this browser" banner.
+ */
+
+const DebuggerCapture = {
+    PROTOCOL_VERSION: '1.3',
+
+    /**
+     * Whether the optional "debugger" permission has been granted
+     */
+    isAvailable() {
+        return typeof chrome !== 'undefined' && !!chrome.debugger;
+    },
+
+    /**
+     * Send a DevTools protocol command to an attached tab
+     */
+    send(tabId, method, params = {}) {
+        return chrome.debugger.sendCommand({ tabId }, method, params);
+    },
+
+    /**
+     * Attach to a tab, run fn, and always detach afterwards.
+     * Throws if the debugger can't attach (permission missing, DevTools
+     * already open on the tab, restricted page, ...). Aborting `signal`
+     * detaches right away, so a pending command fails instead of finishing.
+     */
+    async withSession(tabId, fn, signal) {
+        if (!this.isAvailable()) {
+            throw new Error('The "debugger" permission has not been granted');
+        }
+
+        signal?.throwIfAborted();
+        await chrome.debugger.attach({ tabId }, this.PROTOCOL_VERSION);
+        const detach = () => chrome.debugger.detach({ tabId }).catch(() => {});
+        signal?.addEventListener('abort', detach);
+        try {
+            signal?.throwIfAborted();
+            return await fn();
+        } finally {
+            signal?.removeEventListener('abort', detach);
+            await detach();
+        }
+    },
+
+    /**
+     * Full document size (CSS px) and device pixel ratio
+     */
+    async getPageMetrics(tabId) {
+        const metrics = await this.send(tabId, 'Page.getLayoutMetrics');
+        const contentSize = metrics.cssContentSize || metrics.contentSize;
+
+        const { result } = await this.send(tabId, 'Runtime.evaluate', {
+            expression: 'window.devicePixelRatio',
+            returnByValue: true
+        });
+
+        return {
+            width: Math.ceil(contentSize.width),
+            height: Math.ceil(contentSize.height),
+            dpr: result?.value || 1
+        };
+    },
+
+    /**
+     * Capture a document rect ({ x, y, width, height } in CSS px) as a PNG data URL
+     */
+    async captureClip(tabId, clip) {
+        const { data } = await this.send(tabId, 'Page.captureScreenshot', {
+            format: 'png',
+            captureBeyondViewport: true,
+            fromSurface: true,
+            clip: { ...clip, scale: 1 }
+        });
+
+        if (!data) {
+            throw new Error('Page.captureScreenshot returned no image');
+        }
+
+        return `data:image/png;base64,${data}`;
+    }
+};
+
+// Export for different contexts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DebuggerCapture;
+}
@@ -95,6 +95,16 @@ function createMenu() {
       pointer-events: none;
       white-space: nowrap;
     }
+    .menu-row {
+      display: flex;
+      gap: 6px;
+    }
+    .menu-row .menu-item {
+      flex: 1;
+      justify-content: center;
+      gap: 6px;
+      padding: 8px 6px;
+    }
   `;
   menuShadowRoot.appendChild(style);
 
@@ -109,6 +119,32 @@ function createMenu() {
       </svg>
       <span>Visible Tab</span>
     </div>
+    <div class="menu-row">
+      <div class="menu-item" data-mode="visible" data-delay="3" title="Capture visible tab in 3 seconds">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="13" r="8"/>
+          <polyline points="12 9 12 13 14 15"/>
+          <line x1="9" y1="2" x2="15" y2="2"/>
+        </svg>
+        <span>3s</span>
+      </div>
+      <div class="menu-item" data-mode="visible" data-delay="5" title="Capture visible tab in 5 seconds">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="13" r="8"/>
+          <polyline points="12 9 12 13 14 15"/>
+          <line x1="9" y1="2" x2="15" y2="2"/>
+        </svg>
+        <span>5s</span>
+      </div>
+      <div class="menu-item" data-mode="visible" data-delay="10" title="Capture visible tab in 10 seconds">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="13" r="8"/>
+          <polyline points="12 9 12 13 14 15"/>
+          <line x1="9" y1="2" x2="15" y2="2"/>
+        </svg>
+        <span>10s</span>
+      </div>
+    </div>
     <div class="menu-item" data-mode="full">
       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
         <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
@@ -122,6 +158,37 @@ function createMenu() {
       </svg>
       <span>Select Area</span>
     </div>
+    <div class="menu-item" data-mode="element">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="3" y="3" width="14" height="14" rx="1" stroke-dasharray="3 2"/>
+        <path d="M13 13l8 3-3.5 1.5L16 21z"/>
+      </svg>
+      <span>Pick Element</span>
+    </div>
+    <div class="menu-item" data-mode="scrollable">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="3" y="3" width="18" height="18" rx="2"/>
+        <line x1="17" y1="7" x2="17" y2="17"/>
+        <polyline points="15 9 17 7 19 9"/>
+        <polyline points="15 15 17 17 19 15"/>
+      </svg>
+      <span>Scrollable Region</span>
+    </div>
+    <div class="menu-item" data-mode="repeat">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="1 4 1 10 7 10"/>
+        <path d="M3.51 15a9 9 0 102.13-9.36L1 10"/>
+      </svg>
+      <span>Repeat Last Region</span>
+    </div>
+    <div class="menu-item" data-mode="text">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="4 7 4 4 20 4 20 7"/>
+        <line x1="9" y1="20" x2="15" y2="20"/>
+        <line x1="12" y1="4" x2="12" y2="20"/>
+      </svg>
+      <span>Analyze Text</span>
+    </div>
   `;
 
   menuContainer.querySelectorAll('.menu-item').forEach(item => {
@@ -130,6 +197,7 @@ function createMenu() {
       e.stopPropagation();
       e.stopImmediatePropagation();
       const mode = item.dataset.mode;
+      const delay = Number(item.dataset.delay) || 0;
 
       // Disable menu items immediately to prevent double-clicks
       menuContainer.querySelectorAll('.menu-item').forEach(mi => {
@@ -141,7 +209,7 @@ function createMenu() {
       hideMenu();
 
       // Start capture immediately
-      await startCapture(mode);
+      await startCapture(mode, delay);
 
       // Re-enable items after capture finishes polling
       menuContainer.querySelectorAll('.menu-item').forEach(mi => {
@@ -156,6 +224,11 @@ function createMenu() {
     e.stopPropagation();
   });
 
+  // Keep the page's text selection alive for "Analyze Text"
+  menuContainer.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+  });
+
   menuShadowRoot.appendChild(menuContainer);
   document.body.appendChild(menu);
 }
@@ -270,6 +343,11 @@ function createFloatingButton() {
     toggleMenu();
   });
 
+  // Opening the menu must not clear the page's text selection
+  container.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+  });
+
   shadowRoot.appendChild(container);
   document.body.appendChild(floatBtn);
 }
@@ -300,7 +378,8 @@ function showFloatingButton() {
 // CAPTURE FLOW - Select Mode → Capture → Vision → Text → Result
 // ============================================================================
 
-async function startCapture(mode) {
+// delay: seconds to count down before a visible capture (0 = immediately)
+async function startCapture(mode, delay = 0) {
 
   // Don't start if already polling
   if (isPolling) {
@@ -311,28 +390,22 @@ async function startCapture(mode) {
   window.__sg_resultShown = false;
 
   // -----------------------------------------------------------------------
-  // AREA MODE: Use direct messaging to background.js (same approach as
-  // popup.js). This bypasses the storage-based queue entirely, avoiding
-  // race conditions where the service worker startup cleanup deletes the
-  // captureRequest before it can be processed, or where a stale
-  // chrome.storage.session lock (unreachable from content scripts) blocks
-  // processQueuedRequest().
+  // AREA / ELEMENT / SCROLLABLE MODE: Use direct messaging to background.js (same approach as
+  // popup.js). background.js enqueues the job and starts the overlay before
+  // replying, so the selection is up as soon as the button is clicked.
   // -----------------------------------------------------------------------
-  if (mode === 'area') {
+  if (mode === 'area' || mode === 'element' || mode === 'scrollable') {
     try {
       // Disable button ONLY after we know the message will be sent
       hideFloatingButton();
       isPolling = true;
 
-      // Clear stale state in local storage (session lock can't be cleared
-      // from content scripts, but background.js handles that via TTL)
-      await CaptureQueue.reset();
-
       // Send direct message — background.js handleStartAreaSelection
       // enqueues + processes in one step, no storage listener timing issues
-      await new Promise((resolve, reject) => {
+      const jobId = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           action: 'startAreaSelection',
+          mode,
           url: window.location.href
         }, (response) => {
           if (chrome.runtime.lastError) {
@@ -340,7 +413,7 @@ async function startCapture(mode) {
             return;
           }
           if (response && response.success) {
-            resolve();
+            resolve(response.jobId);
           } else {
             reject(new Error(response?.error || 'Failed to start area selection'));
           }
@@ -350,7 +423,7 @@ async function startCapture(mode) {
       // Area selection was started successfully — now poll for the result
       // (the user will draw the selection, then background.js processes it)
       await new Promise(resolve => setTimeout(resolve, 300));
-      await pollForCaptureResult();
+      await pollForCaptureResult(jobId);
     } catch (error) {
       console.error('[Floating Icon] Area selection error:', error);
       showExtensionErrorIfNeeded(error);
@@ -369,21 +442,17 @@ async function startCapture(mode) {
   try {
     isPolling = true;
 
-    // Force-clear any stale state/locks from previous captures
-    // Note: session lock clear will silently fail from content script,
-    // but background.js lock TTL handles stale locks automatically
-    await CaptureQueue.reset();
-
-    await CaptureQueue.enqueue({
+    const jobId = await CaptureQueue.enqueue({
       mode: mode,
-      url: window.location.href
+      url: window.location.href,
+      ...(delay > 0 ? { delay } : {})
     });
 
     // Add a small delay to allow the background service worker to start processing
     // This ensures the state is updated before we start polling
     await new Promise(resolve => setTimeout(resolve, 300));
 
-    await pollForCaptureResult();
+    await pollForCaptureResult(jobId);
   } catch (error) {
     console.error('[Floating Icon] Capture error:', error);
     showExtensionErrorIfNeeded(error);
@@ -435,10 +504,19 @@ function showExtensionErrorIfNeeded(error) {
   }
 }
 
-async function pollForCaptureResult() {
+// Statuses that wait on another job or on the user, not on this job's work
+const WAITING_STATUSES = ['queued', 'selecting', 'countdown'];
+
+// Poll this tab's job until it finishes (other tabs' jobs are ignored).
+// Gives up after maxWait without any job update or streamed text, not
+// counting time spent waiting; the job itself keeps running and background.js
+// still sends its result to the tab.
+async function pollForCaptureResult(jobId) {
   const maxWait = 120000;
   const pollInterval = 500;
   let elapsed = 0;
+  let lastUpdate = null;
+  let lastStreamAt = null;
 
   try {
     while (elapsed < maxWait) {
@@ -449,28 +527,41 @@ async function pollForCaptureResult() {
         return;
       }
 
-      const state = await CaptureQueue.getState();
+      const job = await CaptureQueue.getJob(jobId);
+
+      if (job) {
+        if (job.updatedAt !== lastUpdate) {
+          lastUpdate = job.updatedAt;
+          elapsed = 0;
+        }
 
-      if (state) {
+        // A long answer still streaming in is progress too
+        const stream = window.__sg_lastStream;
+        if (job.status === 'analyzing' && stream?.jobId === jobId && stream.at !== lastStreamAt) {
+          lastStreamAt = stream.at;
+          elapsed = 0;
+        }
 
-        // Update progress based on state
-        await updateProgress(state);
+        // Update progress based on the job's status
+        await updateProgress(job);
 
         // Check for completion
-        if (state.status === 'complete' && state.result) {
-          await handleComplete(state.result);
+        if (job.status === 'complete' && job.result) {
+          await handleComplete(job.id, job.result);
           return;
-        } else if (state.status === 'error') {
-          await handleError(state.error || 'Unknown error');
+        } else if (job.status === 'error') {
+          await handleError(job.id, job.error || 'Unknown error');
           return;
-        } else if (state.status === 'cancelled') {
-          await handleCancelled();
+        } else if (job.status === 'cancelled') {
+          await handleCancelled(job.id);
           return;
         }
       }
 
       await new Promise(resolve => setTimeout(resolve, pollInterval));
-      elapsed += pollInterval;
+      if (!job || !WAITING_STATUSES.includes(job.status)) {
+        elapsed += pollInterval;
+      }
     }
 
     // Timeout - but check if result was already shown via message handler
@@ -479,8 +570,13 @@ async function pollForCaptureResult() {
       return;
     }
 
-    // Timeout
-    await handleError('Capture timed out. Please try again.');
+    // Timeout: stop polling but leave the job alone, its result still
+    // arrives through the showResult message
+    console.warn('[Floating Icon] No update from job', jobId, 'for', maxWait / 1000, 's, no longer polling');
+    if (window.SGProgressIndicator) {
+      window.SGProgressIndicator.hide();
+    }
+    showFloatingButton();
   } catch (error) {
     // Handle extension context invalidated error during polling
     if (error.message && error.message.includes('Extension context invalidated')) {
@@ -534,11 +630,11 @@ async function pollForCaptureResult() {
   }
 }
 
-async function updateProgress(state) {
+async function updateProgress(job) {
   if (!window.SGProgressIndicator) return;
 
   try {
-    switch (state.status) {
+    switch (job.status) {
       case 'capturing':
         // Don't show progress during capture - wait for analysis
         break;
@@ -547,12 +643,12 @@ async function updateProgress(state) {
         break;
       case 'processing':
         // Show progress when processing starts (after area selection)
-        await window.SGProgressIndicator.show();
+        await window.SGProgressIndicator.show({ jobId: job.id, mode: job.mode });
         await window.SGProgressIndicator.update(1, 40, 'Processing', 'Processing screenshot...');
         break;
       case 'analyzing':
         // Show progress when analysis starts (after capture is complete)
-        await window.SGProgressIndicator.show();
+        await window.SGProgressIndicator.show({ jobId: job.id, mode: job.mode });
         await window.SGProgressIndicator.update(2, 70, 'Analyzing', 'AI Analysis in progress...');
         break;
     }
@@ -560,15 +656,15 @@ async function updateProgress(state) {
   }
 }
 
-async function handleComplete(result) {
+async function handleComplete(jobId, result) {
 
   // Hide progress
   if (window.SGProgressIndicator) {
     window.SGProgressIndicator.hide();
   }
 
-  // Reset state
-  await CaptureQueue.reset();
+  // The result has been picked up, forget the job
+  await CaptureQueue.removeJob(jobId);
 
   // Show result
   await showResultOnPage(result);
@@ -577,15 +673,15 @@ async function handleComplete(result) {
   showFloatingButton();
 }
 
-async function handleError(error) {
+async function handleError(jobId, error) {
 
   // Hide progress
   if (window.SGProgressIndicator) {
     window.SGProgressIndicator.hide();
   }
 
-  // Reset state
-  await CaptureQueue.reset();
+  // The error has been picked up, forget the job
+  await CaptureQueue.removeJob(jobId);
 
   // Show error
   const errorHtml = `<div class="error" style="padding: 20px; border-left: 4px solid #ef4444; background: #fef2f2; border-radius: 4px;">
@@ -598,15 +694,15 @@ async function handleError(error) {
   showFloatingButton();
 }
 
-async function handleCancelled() {
+async function handleCancelled(jobId) {
 
   // Hide progress
   if (window.SGProgressIndicator) {
     window.SGProgressIndicator.hide();
   }
 
-  // Reset state
-  await CaptureQueue.reset();
+  // Forget the job
+  await CaptureQueue.removeJob(jobId);
 
   // Show button (no error message needed for cancellation)
   showFloatingButton();
@@ -710,12 +806,12 @@ async function handleFollowUpQuestion(question, conversationHistory, displayInst
       resultDisplay.setFollowUpLoading(true);
     }
 
-    await CaptureQueue.requestFollowUp(question, conversationHistory);
+    const requestId = await CaptureQueue.requestFollowUp(question, conversationHistory);
 
     // Add delay to allow background service worker to start processing
     await new Promise(resolve => setTimeout(resolve, 300));
 
-    await pollForFollowUpResponse(resultDisplay);
+    await pollForFollowUpResponse(resultDisplay, requestId);
   } catch (error) {
     if (resultDisplay) {
       resultDisplay.setFollowUpLoading(false);
@@ -724,15 +820,26 @@ async function handleFollowUpQuestion(question, conversationHistory, displayInst
   }
 }
 
-async function pollForFollowUpResponse(resultDisplay) {
+// A partial response is the answer streamed so far; the wait restarts
+// whenever more of it arrives
+async function pollForFollowUpResponse(resultDisplay, requestId) {
   const maxWait = 120000;
-  const pollInterval = 500;
+  const pollInterval = 250;
   let elapsed = 0;
+  let streamed = '';
 
   while (elapsed < maxWait) {
     const response = await CaptureQueue.getFollowUpResponse();
 
-    if (response) {
+    if (response?.partial) {
+      if (resultDisplay && response.response !== streamed) {
+        streamed = response.response;
+        elapsed = 0;
+        resultDisplay.updateFollowUpStream(streamed, () => {
+          chrome.runtime.sendMessage({ action: 'stopStream', followUpId: requestId }).catch(() => {});
+        });
+      }
+    } else if (response) {
       await CaptureQueue.clearFollowUpResponse();
 
       if (resultDisplay) {
@@ -779,6 +886,43 @@ async function checkEnabled() {
   }
 }
 
+// ============================================================================
+// CONTEXT MENU TARGET
+// ============================================================================
+
+// Remember the <img>/<canvas> under the last right-click so background.js can
+// locate it for the "Analyze this image" menu items. Canvases are often
+// covered by a transparent overlay, so everything under the click point is
+// checked, not only the clicked element.
+const isContextImage = el => el instanceof HTMLImageElement || el instanceof HTMLCanvasElement;
+
+function findContextImage(e) {
+  const path = e.composedPath ? e.composedPath() : [e.target];
+  return path.find(isContextImage)
+    || document.elementsFromPoint(e.clientX, e.clientY).find(isContextImage)
+    || null;
+}
+
+// Canvases, and images under an overlay, get no "image" menu context of
+// their own, so background.js shows a page menu item for them. It is toggled
+// on the right-button pointerdown, ahead of the contextmenu event, so the
+// update lands before Chrome builds the menu; contextmenu repeats it for
+// menus opened from the keyboard.
+function updateCanvasMenuItem(e, target) {
+  const visible = !!target && !(e.target instanceof HTMLImageElement);
+  CaptureQueue.safeRuntimeMessage({ action: 'contextMenuTarget', canvas: visible });
+}
+
+document.addEventListener('pointerdown', (e) => {
+  if (e.button !== 2) return;
+  updateCanvasMenuItem(e, findContextImage(e));
+}, true);
+
+document.addEventListener('contextmenu', (e) => {
+  window.__sg_contextTarget = findContextImage(e);
+  updateCanvasMenuItem(e, window.__sg_contextTarget);
+}, true);
+
 // ============================================================================
 // MESSAGE HANDLERS
 // ============================================================================
@@ -0,0 +1,125 @@
+/**
+ * Image Store - IndexedDB blob storage shared by the service worker and
+ * the offscreen document.
+ *
+ * Runtime messages can only carry JSON, so large images would otherwise have
+ * to travel as base64 data URLs. Instead, captured tiles are stored here as
+ * Blobs and only their keys are passed between contexts. Capture jobs also
+ * keep their captured images here so an interrupted analysis can resume.
+ */
+
+const ImageStore = {
+    DB_NAME: 'screengrabImages',
+    STORE_NAME: 'images',
+
+    _dbPromise: null,
+
+    /**
+     * Open (or create) the database
+     */
+    _open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this._dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this._dbPromise;
+    },
+
+    /**
+     * Run a single request against the object store
+     */
+    async _run(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE_NAME, mode);
+            const request = operation(tx.objectStore(this.STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Store a Blob and return its key
+     */
+    async put(blob) {
+        const key = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        await this._run('readwrite', store => store.put(blob, key));
+        return key;
+    },
+
+    /**
+     * Store a data URL as a Blob and return its key
+     */
+    async putDataUrl(dataUrl) {
+        const blob = await (await fetch(dataUrl)).blob();
+        return this.put(blob);
+    },
+
+    /**
+     * Get a stored Blob (or undefined if missing)
+     */
+    async get(key) {
+        return this._run('readonly', store => store.get(key));
+    },
+
+    /**
+     * Get a stored image back as a data URL (or null if missing)
+     */
+    async getDataUrl(key) {
+        const blob = await this.get(key);
+        if (!blob) return null;
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    /**
+     * Keys of all stored images
+     */
+    async keys() {
+        return this._run('readonly', store => store.getAllKeys());
+    },
+
+    /**
+     * Delete one or more stored images
+     */
+    async delete(keys) {
+        const list = Array.isArray(keys) ? keys : [keys];
+        if (list.length === 0) return;
+        const db = await this._open();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE_NAME, 'readwrite');
+            const store = tx.objectStore(this.STORE_NAME);
+            list.forEach(key => store.delete(key));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Remove all stored images
+     */
+    async clear() {
+        await this._run('readwrite', store => store.clear());
+    }
+};
+
+// Export for different contexts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageStore;
+}
@@ -0,0 +1,171 @@
+// Offscreen document for image operations (stitching, cropping, resizing).
+// Runs on OffscreenCanvas so captures never need to be drawn in the host page.
+// Images come and go as ImageStore keys: every operation reads its input from
+// IndexedDB and stores its output there, so no image crosses runtime messaging.
+
+// Listen for messages from background script
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  try {
+    if (request.action === 'stitchImages') {
+      stitchImages(request).then(sendResponse).catch(error => {
+        console.error('stitchImages error in offscreen:', error);
+        sendResponse({ error: error.message });
+      });
+      return true;
+    } else if (request.action === 'cropImage') {
+      cropImage(request).then(sendResponse).catch(error => {
+        console.error('cropImage error in offscreen:', error);
+        sendResponse({ error: error.message });
+      });
+      return true;
+    } else if (request.action === 'resizeImage') {
+      resizeImage(request).then(sendResponse).catch(error => {
+        console.error('resizeImage error in offscreen:', error);
+        sendResponse({ error: error.message });
+      });
+      return true;
+    } else if (request.action === 'loadImage') {
+      loadImage(request).then(sendResponse).catch(error => {
+        console.error('loadImage error in offscreen:', error);
+        sendResponse({ error: error.message });
+      });
+      return true;
+    }
+    // Not ours (e.g. content script messages for the service worker)
+    return false;
+  } catch (error) {
+    console.error('Offscreen message handler error:', error);
+    try {
+      sendResponse({ error: error.message });
+    } catch (e) {
+      console.error('Failed to send error response:', e);
+    }
+    return true;
+  }
+});
+
+// Stitch tiles stored in ImageStore onto one canvas.
+// Each tile is { key, sx, sy, sw, sh, dx, dy } in device pixels: the source rect
+// inside the stored capture and where it lands on the output. Tiles are decoded
+// one at a time and released immediately, so memory stays bounded by the
+// output canvas plus a single capture. Returns the stored result's key.
+async function stitchImages({ tiles, width, height }) {
+  try {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Fill with white background (not transparent)
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    for (const tile of tiles) {
+      const blob = await ImageStore.get(tile.key);
+      if (!blob) {
+        throw new Error('Captured image is no longer available');
+      }
+
+      const bitmap = await createImageBitmap(blob, tile.sx, tile.sy, tile.sw, tile.sh);
+      try {
+        ctx.drawImage(bitmap, tile.dx, tile.dy);
+      } finally {
+        bitmap.close();
+      }
+    }
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return { key: await ImageStore.put(blob) };
+  } catch (error) {
+    console.error('stitchImages internal error:', error);
+    throw error;
+  }
+}
+
+// Crop the stored image `key` to selection (CSS px) and store the result
+async function cropImage({ key, selection, devicePixelRatio }) {
+  try {
+    const source = await ImageStore.get(key);
+    if (!source) {
+      throw new Error('Captured image is no longer available');
+    }
+    const img = await createImageBitmap(source);
+
+    const scale = devicePixelRatio;
+    const x = Math.round(selection.x * scale);
+    const y = Math.round(selection.y * scale);
+    const width = Math.round(selection.width * scale);
+    const height = Math.round(selection.height * scale);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.drawImage(img, x, y, width, height, 0, 0, width, height);
+    img.close();
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return { key: await ImageStore.put(blob) };
+  } catch (error) {
+    console.error('cropImage internal error:', error);
+    throw error;
+  }
+}
+
+// Fetch an image by URL (host permissions skip CORS here) and re-encode it as
+// PNG, so JPEG/WebP/GIF sources reach the providers in the format they expect.
+// The PNG is stored; returns its key.
+async function loadImage({ url }) {
+  try {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`Image request failed (${response.status})`);
+    }
+
+    const img = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(img.width, img.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    img.close();
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return { key: await ImageStore.put(blob) };
+  } catch (error) {
+    console.error('loadImage internal error:', error);
+    throw error;
+  }
+}
+
+// Scale the stored image `key` down to fit maxSize. Returns the key of the
+// resized copy, or the same key when it already fits.
+async function resizeImage({ key, maxSize }) {
+  try {
+    const source = await ImageStore.get(key);
+    if (!source) {
+      throw new Error('Captured image is no longer available');
+    }
+    const img = await createImageBitmap(source);
+
+    const { width, height } = img;
+
+    // Check if resize needed
+    if (width <= maxSize && height <= maxSize) {
+      img.close();
+      return { key };
+    }
+
+    // Calculate new dimensions
+    const ratio = Math.min(maxSize / width, maxSize / height);
+    const newWidth = Math.round(width * ratio);
+    const newHeight = Math.round(height * ratio);
+
+    // Resize using OffscreenCanvas
+    const canvas = new OffscreenCanvas(newWidth, newHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, newWidth, newHeight);
+    img.close();
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return { key: await ImageStore.put(blob) };
+  } catch (error) {
+    console.error('resizeImage internal error:', error);
+    throw error;
+  }
+}
@@ -7,10 +7,34 @@ let settings = {
     openaiApiKey: '',
     grokApiKey: '',
     geminiApiKey: '',
+    openaiCompatibleApiKey: '',
+    // Ollama host (empty = localhost:11434) and reverse-proxy auth: 'none' | 'basic' | 'bearer'
+    ollamaLocalUrl: '',
+    ollamaAuthType: 'none',
+    ollamaAuthUsername: '',
+    ollamaAuthSecret: '',
+    // Self-hosted OpenAI-compatible server (LM Studio, vLLM, llama.cpp)
+    openaiCompatibleBaseUrl: '',
+    openaiCompatibleHeaders: '',
     visionModel: 'qwen3-vl:4b',
-    textModel: 'qwen3-coder:480b-cloud',
+    textModel: 'qwen3:8b',
     floatingIconEnabled: true,
     useRedirectMode: false,
+    // Fixed/sticky elements during stitched captures: 'first' | 'hide' | 'keep'
+    stickyElements: 'first',
+    // Capture engine: 'scroll' (captureVisibleTab loop) | 'debugger' (DevTools protocol)
+    captureBackend: 'scroll',
+    // Full-page lazy-load pre-pass and height cap (CSS px)
+    lazyLoadPrepass: true,
+    maxCaptureHeight: 30000,
+    // Send DOM text, links, alt text and aria-labels with area captures (default, can be toggled per capture)
+    pageTextContext: false,
+    // Jobs analysed at once per AI provider (see CaptureQueue.PROVIDER_CONCURRENCY)
+    providerConcurrency: { ...CaptureQueue.PROVIDER_CONCURRENCY },
+    // Providers tried in order when a step's provider fails (see AIService.withFallback)
+    providerFallbacks: { vision: [], text: [], unified: [] },
+    // Skip cloud providers and redirect mode, for sensitive captures
+    neverSendToCloud: false,
     // Unified multimodal model settings (for single-step analysis)
     useUnifiedModel: false,
     unifiedApiProvider: '',
@@ -37,7 +61,8 @@ async function loadSettings() {
         'googleApiKey',
         'openaiApiKey',
         'grokApiKey',
-        'geminiApiKey'
+        'geminiApiKey',
+        'openaiCompatibleApiKey'
     ]);
     const storedSettings = stored.screengrabSettings || {};
 
@@ -49,10 +74,25 @@ async function loadSettings() {
         openaiApiKey: stored.openaiApiKey || '',
         grokApiKey: stored.grokApiKey || '',
         geminiApiKey: stored.geminiApiKey || '',
+        openaiCompatibleApiKey: stored.openaiCompatibleApiKey || '',
+        ollamaLocalUrl: storedSettings.ollamaLocalUrl || '',
+        ollamaAuthType: storedSettings.ollamaAuthType || 'none',
+        ollamaAuthUsername: storedSettings.ollamaAuthUsername || '',
+        ollamaAuthSecret: storedSettings.ollamaAuthSecret || '',
+        openaiCompatibleBaseUrl: storedSettings.openaiCompatibleBaseUrl || '',
+        openaiCompatibleHeaders: storedSettings.openaiCompatibleHeaders || '',
         visionModel: storedSettings.visionModel || 'qwen3-vl:4b',
-        textModel: storedSettings.textModel || 'qwen3-coder:480b-cloud',
+        textModel: storedSettings.textModel || 'qwen3:8b',
         floatingIconEnabled: storedSettings.floatingIconEnabled !== false,
         useRedirectMode: storedSettings.useRedirectMode || false,
+        stickyElements: storedSettings.stickyElements || 'first',
+        captureBackend: storedSettings.captureBackend || 'scroll',
+        lazyLoadPrepass: storedSettings.lazyLoadPrepass !== false,
+        maxCaptureHeight: storedSettings.maxCaptureHeight || 30000,
+        pageTextContext: storedSettings.pageTextContext || false,
+        providerConcurrency: { ...CaptureQueue.PROVIDER_CONCURRENCY, ...storedSettings.providerConcurrency },
+        providerFallbacks: { vision: [], text: [], unified: [], ...storedSettings.providerFallbacks },
+        neverSendToCloud: storedSettings.neverSendToCloud || false,
         // Unified multimodal model settings (for single-step analysis)
         useUnifiedModel: storedSettings.useUnifiedModel || false,
         unifiedApiProvider: storedSettings.unifiedApiProvider || '',
@@ -86,14 +126,18 @@ function initNavigation() {
 }
 
 function setupUI() {
-    // Provider information for display
-    const providerInfo = {
-        'ollama': { name: 'Ollama (Local)', desc: 'Vision provider optimized for your hardware', needsKey: false },
-        'ollama-cloud': { name: 'Ollama (Cloud)', desc: 'Cloud-hosted Ollama models', needsKey: true, keyName: 'ollamaApiKey', keyUrl: 'https://ollama.com' },
-        'openai': { name: 'OpenAI', desc: 'High-performance cloud LLM for analysis', needsKey: true, keyName: 'openaiApiKey', keyUrl: 'https://platform.openai.com/api-keys' },
-        'grok': { name: 'Grok', desc: 'xAI\'s advanced reasoning model', needsKey: true, keyName: 'grokApiKey', keyUrl: 'https://console.x.ai' },
-        'google-gemini': { name: 'Google Gemini', desc: 'Google\'s multimodal AI model', needsKey: true, keyName: 'geminiApiKey', keyUrl: 'https://aistudio.google.com/app/apikey' },
-        'google-vision': { name: 'Google Cloud Vision', desc: 'Powerful optical character recognition', needsKey: true, keyName: 'googleApiKey', keyUrl: 'https://console.cloud.google.com/apis/credentials' }
+    // Provider information for display, from the provider's registry entry.
+    // A key is optional for self-hosted servers; their base URL is what's required
+    const providerInfo = (provider) => {
+        const { name, description, auth } = ProviderRegistry.require(provider);
+        return {
+            name,
+            desc: description,
+            needsKey: !!auth.keyName,
+            optionalKey: !!auth.keyName && !auth.required,
+            keyName: auth.keyName,
+            keyUrl: auth.keyUrl
+        };
     };
 
     // Modal elements
@@ -129,6 +173,22 @@ function setupUI() {
 
     const floatingIconEnabled = document.getElementById('floating-icon-enabled');
     const redirectModeEnabled = document.getElementById('redirect-mode-enabled');
+    const stickyElements = document.getElementById('sticky-elements');
+    const captureBackend = document.getElementById('capture-backend');
+    const lazyLoadPrepass = document.getElementById('lazy-load-prepass');
+    const maxCaptureHeight = document.getElementById('max-capture-height');
+    const pageTextContext = document.getElementById('page-text-context');
+    const ollamaLocalUrl = document.getElementById('ollama-local-url');
+    const ollamaAuthType = document.getElementById('ollama-auth-type');
+    const ollamaAuthUsername = document.getElementById('ollama-auth-username');
+    const ollamaAuthSecret = document.getElementById('ollama-auth-secret');
+    const ollamaTestBtn = document.getElementById('ollama-test-btn');
+    const compatibleBaseUrl = document.getElementById('openai-compatible-base-url');
+    const compatibleHeaders = document.getElementById('openai-compatible-headers');
+    const concurrencyInputs = document.querySelectorAll('[data-concurrency-provider]');
+    const fallbackLists = document.querySelectorAll('[data-fallback-step]');
+    const neverSendToCloud = document.getElementById('never-send-to-cloud');
+    const editShortcutsLink = document.getElementById('edit-shortcuts');
     const saveSettingsBtn = document.getElementById('save-settings');
     const saveIndicator = document.getElementById('save-indicator');
 
@@ -185,6 +245,67 @@ function setupUI() {
     // Models will be set after fetch
     floatingIconEnabled.checked = settings.floatingIconEnabled;
     redirectModeEnabled.checked = settings.useRedirectMode;
+    stickyElements.value = settings.stickyElements;
+    captureBackend.value = settings.captureBackend;
+    lazyLoadPrepass.checked = settings.lazyLoadPrepass;
+    maxCaptureHeight.value = settings.maxCaptureHeight;
+    pageTextContext.checked = settings.pageTextContext;
+    ollamaLocalUrl.value = settings.ollamaLocalUrl;
+    ollamaAuthType.value = settings.ollamaAuthType;
+    ollamaAuthUsername.value = settings.ollamaAuthUsername;
+    ollamaAuthSecret.value = settings.ollamaAuthSecret;
+    compatibleBaseUrl.value = settings.openaiCompatibleBaseUrl;
+    compatibleHeaders.value = settings.openaiCompatibleHeaders;
+    concurrencyInputs.forEach(input => {
+        input.value = settings.providerConcurrency[input.dataset.concurrencyProvider];
+    });
+    neverSendToCloud.checked = settings.neverSendToCloud;
+
+    // Fallback chains: a provider and an optional model per slot, offering
+    // the providers that can do the step
+    const FALLBACK_SLOTS = 3;
+    fallbackLists.forEach(list => {
+        const step = list.dataset.fallbackStep;
+        const { capability, modelType } = AIService.STEPS[step];
+        const providerOptions = ProviderRegistry.list(capability)
+            .map(provider => `<option value="${provider.id}">${provider.name}</option>`)
+            .join('');
+
+        list.innerHTML = Array.from({ length: FALLBACK_SLOTS }, (_, i) => `
+            <li>
+                <span>${i + 1}.</span>
+                <select class="setting-select" data-fallback-provider>
+                    <option value="">None</option>${providerOptions}
+                </select>
+                <input type="text" class="setting-input" data-fallback-model>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('li').forEach((row, i) => {
+            const select = row.querySelector('[data-fallback-provider]');
+            const model = row.querySelector('[data-fallback-model]');
+            // Show the model used when the field is left empty
+            const updatePlaceholder = () => {
+                model.placeholder = ProviderRegistry.get(select.value)?.defaultModels[modelType] || 'Default model';
+            };
+            select.addEventListener('change', updatePlaceholder);
+
+            const saved = settings.providerFallbacks[step][i];
+            select.value = saved?.provider || '';
+            model.value = saved?.model || '';
+            updatePlaceholder();
+        });
+    });
+
+    const readFallbacks = () => Object.fromEntries([...fallbackLists].map(list => [
+        list.dataset.fallbackStep,
+        [...list.querySelectorAll('li')]
+            .map(row => ({
+                provider: row.querySelector('[data-fallback-provider]').value,
+                model: row.querySelector('[data-fallback-model]').value.trim()
+            }))
+            .filter(entry => entry.provider)
+    ]));
 
     const showSaveSuccess = () => {
         saveIndicator.classList.add('visible');
@@ -193,7 +314,7 @@ function setupUI() {
 
     // Update provider card display
     const updateProviderCard = (type, provider) => {
-        const info = providerInfo[provider];
+        const info = providerInfo(provider);
         const nameEl = type === 'vision' ? visionProviderName : textProviderName;
         const descEl = type === 'vision' ? visionProviderDesc : textProviderDesc;
         const statusBadge = type === 'vision' ? visionStatusBadge : textStatusBadge;
@@ -203,7 +324,12 @@ function setupUI() {
         descEl.textContent = info.desc;
 
         // Update status and add key button visibility
-        if (info.needsKey) {
+        if (info.optionalKey) {
+            const hasUrl = settings.openaiCompatibleBaseUrl;
+            statusBadge.textContent = hasUrl ? 'ACTIVE' : 'NEEDS URL';
+            statusBadge.className = hasUrl ? 'status-badge saved' : 'status-badge';
+            addKeyBtn.style.display = 'inline-flex';
+        } else if (info.needsKey) {
             const hasKey = settings[info.keyName];
             statusBadge.textContent = hasKey ? 'ACTIVE' : 'NEEDS KEY';
             statusBadge.className = hasKey ? 'status-badge saved' : 'status-badge';
@@ -217,18 +343,11 @@ function setupUI() {
 
     // Update keys overview badges
     const updateKeysOverview = () => {
-        const keyMapping = {
-            'openai': { key: 'openaiApiKey', badge: 'overview-openai-status', provider: 'openai' },
-            'grok': { key: 'grokApiKey', badge: 'overview-grok-status', provider: 'grok' },
-            'google-gemini': { key: 'geminiApiKey', badge: 'overview-gemini-status', provider: 'google-gemini' },
-            'ollama-cloud': { key: 'ollamaApiKey', badge: 'overview-ollama-status', provider: 'ollama-cloud' },
-            'google-vision': { key: 'googleApiKey', badge: 'overview-google-status', provider: 'google-vision' }
-        };
-
-        Object.values(keyMapping).forEach(({ key, badge }) => {
-            const badgeEl = document.getElementById(badge);
+        document.querySelectorAll('.configure-key-btn').forEach(btn => {
+            const { keyName } = providerInfo(btn.dataset.provider);
+            const badgeEl = btn.parentElement.querySelector('.status-badge');
             if (badgeEl) {
-                if (settings[key]) {
+                if (settings[keyName]) {
                     badgeEl.textContent = 'Configured';
                     badgeEl.classList.add('saved');
                 } else {
@@ -239,15 +358,20 @@ function setupUI() {
         });
     };
 
+    // Self-hosted servers have no key page to link to
+    const keyHelpHtml = (info) => info.keyUrl
+        ? `Get your key from <a href="${info.keyUrl}" target="_blank">${new URL(info.keyUrl).hostname}</a>`
+        : 'Optional. Only needed if your server requires an API key.';
+
     // Modal functions
     const openModal = (type, provider) => {
-        const info = providerInfo[provider];
+        const info = providerInfo(provider);
         currentProviderType = type;
         currentProviderInfo = info;
 
         modalTitle.textContent = `Add API Key for ${info.name}`;
         modalInput.value = settings[info.keyName] || '';
-        modalHelpText.innerHTML = `Get your key from <a href="${info.keyUrl}" target="_blank">${new URL(info.keyUrl).hostname}</a>`;
+        modalHelpText.innerHTML = keyHelpHtml(info);
         modal.classList.add('visible');
         modalInput.focus();
     };
@@ -263,7 +387,8 @@ function setupUI() {
         if (!currentProviderInfo) return;
 
         const value = modalInput.value.trim();
-        if (!value) {
+        // An optional key can be cleared by saving it empty
+        if (!value && !currentProviderInfo.optionalKey) {
             alert('Please enter an API key');
             return;
         }
@@ -317,14 +442,14 @@ function setupUI() {
 
     // Verify button handlers
     const verifyApiKey = async (type, provider) => {
-        const info = providerInfo[provider];
+        const info = providerInfo(provider);
         if (!info.needsKey) {
             showVerifyToast('This provider does not require an API key.', false);
             return;
         }
 
         const key = settings[info.keyName];
-        if (!key) {
+        if (!key && !info.optionalKey) {
             showVerifyToast('No API key found. Please add a key first.', false);
             return;
         }
@@ -335,55 +460,16 @@ function setupUI() {
         btn.disabled = true;
 
         try {
-            let isValid = false;
-
-            // Make a simple test call to verify the key
-            if (provider === 'openai') {
-                const response = await fetch('https://api.openai.com/v1/models', {
-                    headers: { 'Authorization': `Bearer ${key}` }
-                });
-                isValid = response.ok;
-                if (!isValid) {
-                    const error = await response.json();
-                    throw new Error(error.error?.message || 'Invalid API key');
-                }
-            } else if (provider === 'grok') {
-                const response = await fetch('https://api.x.ai/v1/models', {
-                    headers: { 'Authorization': `Bearer ${key}` }
-                });
-                isValid = response.ok;
-                if (!isValid) {
-                    const error = await response.json();
-                    throw new Error(error.error?.message || 'Invalid API key');
-                }
-            } else if (provider === 'google-gemini') {
-                const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${key}`);
-                isValid = response.ok;
-                if (!isValid) {
-                    const error = await response.json();
-                    throw new Error(error.error?.message || 'Invalid API key');
-                }
-            } else if (provider === 'google-vision') {
-                // Google Vision requires a more complex test - we'll just validate format
-                if (key.startsWith('AIza')) {
-                    isValid = true;
-                } else {
-                    throw new Error('Invalid Google Cloud Vision API key format');
-                }
-            } else if (provider === 'ollama-cloud') {
-                // Ollama Cloud - try to get models
-                const response = await fetch('https://ollama.com/api/tags', {
-                    headers: { 'Authorization': `Bearer ${key}` }
-                });
-                isValid = response.ok;
-                if (!isValid) {
-                    throw new Error('Invalid Ollama Cloud API key');
-                }
+            // Providers without a cheap key check are verified by listing models
+            const definition = ProviderRegistry.require(provider);
+            if (definition.verifyKey) {
+                await definition.verifyKey(settings);
+            } else {
+                definition.validate?.(settings);
+                await definition.listModels(settings);
             }
 
-            if (isValid) {
-                showVerifyToast('API key is valid!', true);
-            }
+            showVerifyToast(info.optionalKey ? 'Server is reachable!' : 'API key is valid!', true);
         } catch (error) {
             showVerifyToast(`Verification failed: ${error.message}`, false);
         } finally {
@@ -406,13 +492,13 @@ function setupUI() {
         btn.addEventListener('click', () => {
             const provider = btn.dataset.provider;
             // Open modal directly for the provider
-            const info = providerInfo[provider];
+            const info = providerInfo(provider);
             currentProviderType = 'overview';
             currentProviderInfo = info;
 
             modalTitle.textContent = `Add API Key for ${info.name}`;
             modalInput.value = settings[info.keyName] || '';
-            modalHelpText.innerHTML = `Get your key from <a href="${info.keyUrl}" target="_blank">${new URL(info.keyUrl).hostname}</a>`;
+            modalHelpText.innerHTML = keyHelpHtml(info);
             modal.classList.add('visible');
             modalInput.focus();
         });
@@ -429,13 +515,88 @@ function setupUI() {
         fetchAndPopulateModels('text', textApiProvider.value);
     });
 
+    // Refresh the cards and model lists that show this provider
+    const refreshProvider = (provider) => {
+        [['vision', visionApiProvider], ['text', textApiProvider]].forEach(([type, select]) => {
+            if (select.value !== provider) return;
+            updateProviderCard(type, select.value);
+            fetchAndPopulateModels(type, select.value);
+        });
+    };
+
+    // Server addresses, credentials and headers apply right away so the model lists can load
+    const updateCompatibleServer = () => {
+        settings.openaiCompatibleBaseUrl = compatibleBaseUrl.value.trim();
+        settings.openaiCompatibleHeaders = compatibleHeaders.value;
+        refreshProvider('openai-compatible');
+    };
+    compatibleBaseUrl.addEventListener('change', updateCompatibleServer);
+    compatibleHeaders.addEventListener('change', updateCompatibleServer);
+
+    // Username only applies to basic auth, and the secret is a password or a token
+    const updateOllamaAuthFields = () => {
+        const type = ollamaAuthType.value;
+        document.getElementById('ollama-auth-username-group').style.display = type === 'basic' ? '' : 'none';
+        document.getElementById('ollama-auth-secret-group').style.display = type === 'none' ? 'none' : '';
+        document.getElementById('ollama-auth-secret-label').textContent = type === 'bearer' ? 'Token' : 'Password';
+    };
+
+    const updateOllamaServer = () => {
+        settings.ollamaLocalUrl = ollamaLocalUrl.value.trim();
+        settings.ollamaAuthType = ollamaAuthType.value;
+        settings.ollamaAuthUsername = ollamaAuthUsername.value.trim();
+        settings.ollamaAuthSecret = ollamaAuthSecret.value;
+        updateOllamaAuthFields();
+        refreshProvider('ollama');
+    };
+    [ollamaLocalUrl, ollamaAuthType, ollamaAuthUsername, ollamaAuthSecret].forEach(input => {
+        input.addEventListener('change', updateOllamaServer);
+    });
+
+    ollamaTestBtn.addEventListener('click', async () => {
+        updateOllamaServer();
+        const originalText = ollamaTestBtn.textContent;
+        ollamaTestBtn.textContent = 'Testing...';
+        ollamaTestBtn.disabled = true;
+
+        try {
+            const data = await AIService.checkLocalHealth(settings);
+            const count = data.models?.length || 0;
+            showVerifyToast(`Connected to Ollama at ${AIService.getBaseUrl(AIService.PROVIDERS.OLLAMA_LOCAL, settings)} (${count} model${count === 1 ? '' : 's'})`, true);
+        } catch (error) {
+            showVerifyToast(`Connection failed: ${error.message}`, false);
+        } finally {
+            ollamaTestBtn.textContent = originalText;
+            ollamaTestBtn.disabled = false;
+        }
+    });
+
     redirectModeEnabled.addEventListener('change', () => {
         settings.useRedirectMode = redirectModeEnabled.checked;
         fetchAndPopulateModels('vision', visionApiProvider.value);
         fetchAndPopulateModels('text', textApiProvider.value);
     });
 
+    // The DevTools protocol engine needs the optional "debugger" permission,
+    // which can only be requested from a user gesture like this change event
+    captureBackend.addEventListener('change', async () => {
+        if (captureBackend.value !== 'debugger') return;
+
+        const granted = await chrome.permissions.request({ permissions: ['debugger'] }).catch(() => false);
+        if (!granted) {
+            captureBackend.value = 'scroll';
+            showVerifyToast('Debugger permission is required for the DevTools protocol engine', false);
+        }
+    });
+
     saveSettingsBtn.addEventListener('click', async () => {
+        try {
+            AIService.parseCustomHeaders(compatibleHeaders.value);
+        } catch (error) {
+            showVerifyToast(error.message, false);
+            return;
+        }
+
         const newSettings = {
             visionApiProvider: visionApiProvider.value,
             textApiProvider: textApiProvider.value,
@@ -443,6 +604,23 @@ function setupUI() {
             textModel: textModel.value,
             floatingIconEnabled: floatingIconEnabled.checked,
             useRedirectMode: redirectModeEnabled.checked,
+            stickyElements: stickyElements.value,
+            captureBackend: captureBackend.value,
+            lazyLoadPrepass: lazyLoadPrepass.checked,
+            maxCaptureHeight: Math.max(1000, parseInt(maxCaptureHeight.value, 10) || 30000),
+            pageTextContext: pageTextContext.checked,
+            ollamaLocalUrl: ollamaLocalUrl.value.trim(),
+            ollamaAuthType: ollamaAuthType.value,
+            ollamaAuthUsername: ollamaAuthUsername.value.trim(),
+            ollamaAuthSecret: ollamaAuthSecret.value,
+            openaiCompatibleBaseUrl: compatibleBaseUrl.value.trim(),
+            openaiCompatibleHeaders: compatibleHeaders.value,
+            providerConcurrency: Object.fromEntries([...concurrencyInputs].map(input => [
+                input.dataset.concurrencyProvider,
+                Math.min(8, Math.max(1, parseInt(input.value, 10) || 1))
+            ])),
+            providerFallbacks: readFallbacks(),
+            neverSendToCloud: neverSendToCloud.checked,
             // Note: useUnifiedModel, unifiedApiProvider, unifiedModel are set via separate UI
             // They will be included when those UI elements are saved
             ...settings.useUnifiedModel !== undefined ? { useUnifiedModel: settings.useUnifiedModel } : {},
@@ -469,7 +647,8 @@ function setupUI() {
     exportBtn.addEventListener('click', () => {
         // Create a copy of settings with masked API keys
         const exportSettings = { ...settings };
-        ['ollamaApiKey', 'googleApiKey', 'openaiApiKey', 'grokApiKey', 'geminiApiKey'].forEach(k => {
+        // Ollama proxy credentials and custom headers often carry access tokens too
+        ['ollamaApiKey', 'googleApiKey', 'openaiApiKey', 'grokApiKey', 'geminiApiKey', 'openaiCompatibleApiKey', 'openaiCompatibleHeaders', 'ollamaAuthSecret'].forEach(k => {
             if (exportSettings[k]) exportSettings[k] = 'xxxxxxxxxx';
         });
 
@@ -501,14 +680,49 @@ function setupUI() {
         reader.readAsText(file);
     });
 
+    // chrome:// pages can't be opened from a plain link
+    editShortcutsLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    // Bindings may have changed in the shortcut editor
+    window.addEventListener('focus', renderShortcuts);
+
     // Initial updates
     updateKeysOverview();
+    updateOllamaAuthFields();
+    renderShortcuts();
 
     // Initialize provider cards
     updateProviderCard('vision', visionApiProvider.value);
     updateProviderCard('text', textApiProvider.value);
 }
 
+/**
+ * List the extension's keyboard shortcuts and their current bindings
+ */
+async function renderShortcuts() {
+    const list = document.getElementById('shortcut-list');
+    const commands = await chrome.commands.getAll();
+
+    list.innerHTML = '';
+    commands.forEach(command => {
+        // _execute_action has no description and isn't one of ours
+        if (!command.description) return;
+
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = command.description;
+        const keys = document.createElement('kbd');
+        keys.textContent = command.shortcut || 'Not set';
+        if (!command.shortcut) keys.classList.add('unset');
+
+        item.append(name, keys);
+        list.appendChild(item);
+    });
+}
+
 /**
  * Dynamically fetch and populate models for a given type and provider
  */
@@ -520,54 +734,48 @@ async function fetchAndPopulateModels(type, provider) {
     select.innerHTML = '<option>Loading models...</option>';
     select.disabled = true;
 
+    const definition = ProviderRegistry.require(provider);
+
     // Special case for Google Vision (no models to select)
-    if (provider === 'google-vision') {
+    if (!ProviderRegistry.supports(definition, 'models')) {
         select.innerHTML = '<option value="default" selected>Default Model</option>';
         select.disabled = true;
         return;
     }
 
     try {
-        let apiKey = '';
-        if (provider === 'openai') apiKey = settings.openaiApiKey;
-        if (provider === 'grok') apiKey = settings.grokApiKey;
-        if (provider === 'google-gemini') apiKey = settings.geminiApiKey;
-        if (provider === 'ollama-cloud') apiKey = settings.ollamaApiKey;
-
-        // processing for local ollama doesn't need key
-        const isLocal = provider === 'ollama';
+        // Local ollama doesn't need a key, self-hosted servers may not either
+        const { keyName, required } = definition.auth;
+        const apiKey = keyName ? settings[keyName] : '';
         const isRedirect = settings.useRedirectMode; // Local setting state
 
         // In redirect mode, no API Key is needed OR models for that matter (for web providers)
-        if (isRedirect && ['openai', 'grok'].includes(provider)) {
+        if (isRedirect && definition.redirect) {
             select.innerHTML = `<option value="${originalValue || 'default'}">Provider Chat (Redirect Mode)</option>`;
             select.disabled = true;
             return;
         }
 
-        if (!apiKey && !isLocal) {
+        try {
+            definition.validate?.(settings);
+        } catch (error) {
+            select.innerHTML = `<option value="">${error.message}</option>`;
+            return;
+        }
+
+        if (!apiKey && required) {
             select.innerHTML = '<option value="">Please enter API Key first</option>';
-            select.disabled = false;
             return;
         }
 
-        const models = await AIService.getModels(provider, apiKey);
+        const models = await AIService.getModels(provider, apiKey, settings);
 
-        // Filter based on type if needed (rudimentary filtering)
+        // For vision, prefer vision-capable models, falling back to the
+        // full list when the provider can't tell them apart
         let filteredModels = models;
         if (type === 'vision') {
-            // For vision, we try to prefer vision-capable models
-            // But strict filtering is hard without metadata
-            if (provider === 'ollama' || provider === 'ollama-cloud') {
-                const categorized = await AIService.categorizeModels(models);
-                filteredModels = categorized.multimodal.length > 0 ? categorized.multimodal : models;
-            } else if (provider === 'openai') {
-                filteredModels = models.filter(m => m.id.includes('gpt-4') || m.id.includes('vision'));
-            } else if (provider === 'grok') {
-                filteredModels = models.filter(m => m.id.includes('vision'));
-            }
-        } else {
-            // For text, all models usually work, but we might filter out vision-only if known
+            const categorized = await AIService.categorizeModels(models, provider, settings);
+            filteredModels = categorized.multimodal.length > 0 ? categorized.multimodal : models;
         }
 
         if (filteredModels.length === 0) {
@@ -583,13 +791,10 @@ async function fetchAndPopulateModels(type, provider) {
         console.error(`Error fetching models for ${provider}:`, error);
         select.innerHTML = `<option value="">Error: ${error.message}</option>`;
 
-        // Restore defaults for Ollama if fetch fails
-        if (provider === 'ollama' || provider === 'ollama-cloud') {
-            if (type === 'vision') {
-                select.innerHTML += '<option value="qwen3-vl:4b">qwen3-vl:4b (Local)</option>';
-            } else {
-                select.innerHTML += '<option value="qwen3-coder:480b-cloud">qwen3-coder:480b-cloud (Ollama)</option>';
-            }
+        // Offer the provider's default model if fetch fails
+        const defaultModel = definition.defaultModels[type];
+        if (defaultModel) {
+            select.innerHTML += `<option value="${defaultModel}">${defaultModel} (Default)</option>`;
         }
     } finally {
         select.disabled = false;
@@ -12,8 +12,9 @@ let settings = {
   openaiApiKey: '',
   grokApiKey: '',
   geminiApiKey: '',
+  openaiCompatibleApiKey: '',
   visionModel: 'qwen3-vl:4b',
-  textModel: 'qwen3-coder:480b-cloud',
+  textModel: 'qwen3:8b',
   floatingIconEnabled: true
 };
 
@@ -41,6 +42,7 @@ let settings = {
 
   await loadSettings();
   setupSettingsUI();
+  await updateRepeatButton();
 
   console.log('[Popup] Initialization complete');
 })();
@@ -54,7 +56,8 @@ async function loadSettings() {
     'googleApiKey',
     'openaiApiKey',
     'grokApiKey',
-    'geminiApiKey'
+    'geminiApiKey',
+    'openaiCompatibleApiKey'
   ]);
   const storedSettings = stored.screengrabSettings || {};
 
@@ -66,8 +69,9 @@ async function loadSettings() {
     openaiApiKey: stored.openaiApiKey || '',
     grokApiKey: stored.grokApiKey || '',
     geminiApiKey: stored.geminiApiKey || '',
+    openaiCompatibleApiKey: stored.openaiCompatibleApiKey || '',
     visionModel: storedSettings.visionModel || 'qwen3-vl:4b',
-    textModel: storedSettings.textModel || 'qwen3-coder:480b-cloud',
+    textModel: storedSettings.textModel || 'qwen3:8b',
     floatingIconEnabled: storedSettings.floatingIconEnabled !== false,
     useRedirectMode: storedSettings.useRedirectMode || false,
     // Unified multimodal model settings (for single-step analysis)
@@ -80,6 +84,20 @@ async function loadSettings() {
 
 }
 
+// Enable "Repeat Region" only when the last area selection was made on this page
+async function updateRepeatButton() {
+  const repeatBtn = document.querySelector('.mode-btn[data-mode="repeat"]');
+  if (!repeatBtn) return;
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const last = await CaptureQueue.getLastAreaSelection();
+
+  if (tab && last && last.url === tab.url) {
+    repeatBtn.disabled = false;
+    repeatBtn.title = 'Capture the same region again';
+  }
+}
+
 function setupSettingsUI() {
   const settingsBtn = document.getElementById('settings-btn');
 
@@ -101,16 +119,17 @@ document.querySelectorAll('.mode-btn').forEach(btn => {
     const selectedMode = btn.dataset.mode;
     currentMode = selectedMode;
 
-    // Immediately start area selection when clicking Select Area mode
+    // Immediately start selection when clicking Select Area, Pick Element or Scroll Region
     // Then close the popup so it doesn't interfere with the selection
-    if (selectedMode === 'area') {
-      console.log('[Popup] Area mode selected, starting selection...');
+    if (['area', 'element', 'scrollable'].includes(selectedMode)) {
+      console.log(`[Popup] ${selectedMode} mode selected, starting selection...`);
 
       chrome.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
         // Send message to background to start area selection
         // Wait for response to ensure it started before closing popup
         chrome.runtime.sendMessage({
           action: 'startAreaSelection',
+          mode: selectedMode,
           tabId: tab.id,
           url: tab.url
         }, (response) => {
@@ -142,7 +161,7 @@ document.getElementById('capture').addEventListener('click', async () => {
   });
 
   // Don't start if already selecting area
-  if (currentMode === 'area' && button.disabled) {
+  if (['area', 'element', 'scrollable'].includes(currentMode) && button.disabled) {
     console.log('[Popup] Already selecting area, returning');
     return;
   }
@@ -162,17 +181,42 @@ document.getElementById('capture').addEventListener('click', async () => {
   }, 100);
 });
 
+// Capture all tabs in this window as one batch (full page if selected, else visible)
+document.getElementById('capture-all-tabs').addEventListener('click', async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  await CaptureQueue.enqueue({
+    mode: 'batch',
+    captureMode: currentMode === 'full' ? 'full' : 'visible',
+    windowId: tab.windowId,
+    url: tab.url,
+    tabId: tab.id
+  });
+
+  window.close();
+});
+
+// Delayed visible capture - the countdown runs on the page, so close right away
+document.querySelectorAll('.delay-btn').forEach(btn => {
+  btn.addEventListener('click', async () => {
+    await startCapture('visible', Number(btn.dataset.delay));
+    window.close();
+  });
+});
+
 // Cancel button handler - removed, cancellation now done via floating progress indicator
 
-// Start capture using CaptureQueue (works for all modes: visible, full, area)
-async function startCapture(mode) {
+// Start capture using CaptureQueue (works for all modes: visible, full, area, element, scrollable)
+// delay: seconds to count down before a visible capture (0 = immediately)
+async function startCapture(mode, delay = 0) {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
   // Enqueue request via CaptureQueue (same as floating icon)
   await CaptureQueue.enqueue({
     mode: mode,
     url: tab.url,
-    tabId: tab.id
+    tabId: tab.id,
+    ...(delay > 0 ? { delay } : {})
   });
 
   // Note: We don't poll for results in the popup anymore
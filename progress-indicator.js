@@ -13,8 +13,24 @@
   const STATS_TEXT_ID = 'sg_stats_text_' + randomSuffix;
   const CANCEL_BTN_ID = 'sg_cancel_btn_' + randomSuffix;
 
+  const COUNTDOWN_ID = 'sg_countdown_' + randomSuffix;
+
   let container = null;
   let isVisible = false;
+  let countdown = null;
+  // Job shown by the indicator ({ jobId, mode }); Cancel and Esc apply to it
+  let currentJob = {};
+  let countdownJobId = null;
+
+  // Cancel a job via storage (works even when service worker is suspended);
+  // without a job id, ask background.js to cancel this tab's jobs
+  async function cancelJob(jobId) {
+    if (jobId) {
+      await CaptureQueue.cancel(jobId);
+    } else {
+      await CaptureQueue.safeRuntimeMessage({ action: 'cancelCapture' });
+    }
+  }
 
   // Create the progress indicator
   function createProgressIndicator() {
@@ -222,8 +238,7 @@
       cancelBtn.textContent = 'Cancelling...';
 
       try {
-        // Use CaptureQueue for reliable cancellation (works even when service worker is suspended)
-        await CaptureQueue.cancel();
+        await cancelJob(currentJob.jobId);
 
         // Wait a moment for cancellation to take effect
         await new Promise(resolve => setTimeout(resolve, 500));
@@ -256,8 +271,11 @@
     });
   }
 
-  // Show the progress indicator
-  async function showProgress() {
+  // Show the progress indicator for job ({ jobId, mode }, optional)
+  async function showProgress(job) {
+    if (job && job.jobId) {
+      currentJob = job;
+    }
     createProgressIndicator();
     if (container) {
       container.classList.add('visible');
@@ -269,6 +287,7 @@
 
   // Hide the progress indicator
   function hideProgress() {
+    currentJob = {};
     if (container) {
       container.classList.remove('visible');
       isVisible = false;
@@ -285,9 +304,14 @@
   // Get step labels based on analysis mode
   async function getStepLabels() {
     try {
-      const result = await chrome.storage.local.get('screengrabSettings');
+      const result = await chrome.storage.local.get(['screengrabSettings']);
       const settings = result.screengrabSettings || {};
 
+      // Page text mode: Single step (text read from the DOM, no OCR)
+      if (currentJob.mode === 'text') {
+        return ['Initializing...', 'Text Analysis', 'Complete'];
+      }
+
       // Redirect mode: Single step (opens provider website)
       if (settings.useRedirectMode) {
         return ['Initializing...', 'Opening AI Provider', 'Complete'];
@@ -385,14 +409,74 @@
     }
   }
 
+  // Countdown badge for delayed captures. It ignores the pointer so hover
+  // menus and tooltips stay open underneath; Esc cancels the capture.
+  function countdownKeyHandler(e) {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    e.stopPropagation();
+    const jobId = countdownJobId;
+    hideCountdown();
+    cancelJob(jobId).catch(() => {});
+  }
+
+  function showCountdown(seconds, jobId) {
+    countdownJobId = jobId || null;
+    if (!countdown) {
+      document.querySelectorAll('[id^="sg_countdown_"]').forEach(el => el.remove());
+
+      countdown = document.createElement('div');
+      countdown.id = COUNTDOWN_ID;
+      countdown.style.cssText = `
+        position: fixed !important;
+        top: 20px !important;
+        right: 20px !important;
+        display: flex !important;
+        align-items: center !important;
+        gap: 10px !important;
+        padding: 10px 16px !important;
+        background: rgba(26, 26, 46, 0.95) !important;
+        border: 2px solid rgba(139, 92, 246, 0.6) !important;
+        border-radius: 999px !important;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4) !important;
+        color: #e4e4e7 !important;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+        font-size: 13px !important;
+        z-index: 2147483647 !important;
+        pointer-events: none !important;
+      `;
+      document.body.appendChild(countdown);
+      document.addEventListener('keydown', countdownKeyHandler, true);
+    }
+
+    countdown.innerHTML = `
+      <strong style="font-size: 20px; color: #a78bfa; min-width: 20px; text-align: center;">${Number(seconds)}</strong>
+      <span>Capturing soon · <kbd style="padding: 1px 6px; border: 1px solid rgba(139, 92, 246, 0.4); border-radius: 4px; font-size: 11px;">Esc</kbd> to cancel</span>
+    `;
+  }
+
+  function hideCountdown() {
+    document.removeEventListener('keydown', countdownKeyHandler, true);
+    if (countdown) {
+      countdown.remove();
+      countdown = null;
+    }
+  }
+
   // Listen for messages from background script
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'showProgress') {
-      showProgress().then(() => sendResponse({ success: true }));
+      showProgress({ jobId: message.jobId, mode: message.mode }).then(() => sendResponse({ success: true }));
       return true; // Keep channel open for async response
     } else if (message.action === 'hideProgress') {
       hideProgress();
       sendResponse({ success: true });
+    } else if (message.action === 'showCountdown') {
+      showCountdown(message.seconds, message.jobId);
+      sendResponse({ success: true });
+    } else if (message.action === 'hideCountdown') {
+      hideCountdown();
+      sendResponse({ success: true });
     } else if (message.action === 'updateProgress') {
       updateProgress(
         message.step || 0,
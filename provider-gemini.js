@@ -0,0 +1,84 @@
+/**
+ * Google Gemini provider (Generative Language API). The key goes in the
+ * query string; streamed answers use streamGenerateContent with alt=sse.
+ */
+
+const GeminiProvider = {
+    id: 'google-gemini',
+    name: 'Google Gemini',
+    aliases: ['gemini'],
+    description: 'Google\'s multimodal AI model',
+    cloud: true,
+    capabilities: { vision: true, text: true, streaming: true, models: true },
+    redirect: null,
+    auth: { scheme: 'query', keyName: 'geminiApiKey', required: true, keyUrl: 'https://aistudio.google.com/app/apikey' },
+    defaultModels: { vision: 'gemini-2.0-flash-exp', text: 'gemini-2.0-flash-exp' },
+
+    baseUrl() {
+        return 'https://generativelanguage.googleapis.com/v1beta';
+    },
+
+    /**
+     * Gemini has 'user' and 'model' roles and no system message here, so
+     * the system prompt is put in front of the first user message
+     */
+    buildChatRequest({ model, messages, stream }, settings) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const contents = messages.filter(m => m.role !== 'system').map(({ role, content, images }, index) => ({
+            role: role === 'assistant' ? 'model' : 'user',
+            parts: [
+                { text: index === 0 && system && role === 'user' ? `${system}\n\n${content}` : content },
+                ...(images || []).map(image => {
+                    const { mimeType, data } = AIService.splitDataUri(image);
+                    return { inline_data: { mime_type: mimeType, data } };
+                })
+            ]
+        }));
+
+        const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+        return {
+            url: `${this.baseUrl(settings)}/models/${model}:${method}key=${settings.geminiApiKey}`,
+            headers: AIService.buildHeaders(this.id, settings),
+            body: { contents }
+        };
+    },
+
+    parseResponse(data) {
+        return (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    },
+
+    // streamGenerateContent (alt=sse) line
+    parseStreamLine(line) {
+        if (!line.startsWith('data:')) return '';
+
+        const data = JSON.parse(line.slice(5).trim());
+        if (data.error) throw new Error(data.error.message || JSON.stringify(data.error));
+
+        const candidate = data.candidates?.[0];
+        const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+        // Surface a blocked answer (e.g. SAFETY, RECITATION) instead of an empty one
+        if (!text && candidate?.finishReason && !['STOP', 'MAX_TOKENS'].includes(candidate.finishReason)) {
+            throw new Error(`Gemini returned no text (finishReason: ${candidate.finishReason})`);
+        }
+        return text;
+    },
+
+    async listModels(settings) {
+        const response = await AIService.request(this.name, `${this.baseUrl(settings)}/models?key=${settings.geminiApiKey}`);
+        if (!response.ok) throw new Error(`Failed to fetch ${this.name} models (${response.status})`);
+        const data = await response.json();
+        return (data.models || [])
+            .filter(m => m.name.includes('gemini'))
+            .map(m => {
+                const id = m.name.replace('models/', '');
+                return { id, name: m.displayName || id };
+            });
+    },
+
+    // Gemini models are multimodal
+    isVisionModel(id) {
+        return id.includes('gemini');
+    }
+};
+
+ProviderRegistry.register(GeminiProvider);
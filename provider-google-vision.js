@@ -0,0 +1,96 @@
+/**
+ * Google Cloud Vision provider - OCR only (TEXT_DETECTION), so it can be the
+ * vision step of the two-step pipeline but not a text or unified model.
+ */
+
+const GoogleVisionProvider = {
+    id: 'google-vision',
+    name: 'Google Cloud Vision',
+    description: 'Powerful optical character recognition',
+    cloud: true,
+    capabilities: { vision: true, text: false, streaming: false, models: false },
+    redirect: null,
+    auth: { scheme: 'query', keyName: 'googleApiKey', required: true, keyUrl: 'https://console.cloud.google.com/apis/credentials' },
+    defaultModels: { vision: 'default' },
+
+    baseUrl() {
+        return 'https://vision.googleapis.com/v1';
+    },
+
+    /**
+     * Extract the text in an image with images:annotate
+     */
+    async describeImage(base64Image, settings, { signal, onProgress, onRetry } = {}) {
+        const { googleApiKey } = settings;
+
+        const result = await AIService.withTimeout(async (requestSignal, resetTimeout) => {
+            const retryOptions = AIService.retryOptions(resetTimeout, onRetry);
+
+            const requestBody = {
+                requests: [{
+                    image: {
+                        content: AIService.splitDataUri(base64Image).data
+                    },
+                    features: [{
+                        type: 'TEXT_DETECTION' // This is the OCR feature
+                    }]
+                }]
+            };
+
+            const response = await AIService.request(this.name, `${this.baseUrl(settings)}/images:annotate?key=${googleApiKey}`, {
+                method: 'POST',
+                headers: AIService.buildHeaders(this.id, settings),
+                body: JSON.stringify(requestBody),
+                signal: requestSignal
+            }, retryOptions);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                let errorMessage = `Google Vision analysis failed (${response.status}): ${errorText}`;
+
+                try {
+                    const errorJson = JSON.parse(errorText);
+                    const error = errorJson.error;
+                    if (error) {
+                        if (error.code === 403) {
+                            if (error.status === 'PERMISSION_DENIED') {
+                                errorMessage = `Google Vision API access denied (403). Possible reasons:\n1. Cloud Vision API is not enabled in your Google Cloud Project.\n2. Your API key is restricted and doesn't allow "Cloud Vision API".\n3. Billing might not be enabled for your project.\n\nTechnical details: ${error.message}`;
+                            } else {
+                                errorMessage = `Google Vision API 403 error: ${error.message}`;
+                            }
+                        } else if (error.message) {
+                            errorMessage = `Google Vision API error: ${error.message}`;
+                        }
+                    }
+                } catch (e) {
+                    // Keep original errorMessage if JSON parsing fails
+                }
+
+                throw AIService.providerError(errorMessage, { status: response.status });
+            }
+
+            const data = await response.json();
+
+            // Extract the full text annotation from the response
+            const fullTextAnnotation = data.responses?.[0]?.fullTextAnnotation;
+            if (!fullTextAnnotation) {
+                return 'No text detected in image';
+            }
+
+            const extractedText = fullTextAnnotation.text || '';
+
+            if (onProgress) onProgress(extractedText, extractedText.length);
+            return extractedText;
+        }, signal, 'Google Vision analysis timeout (120s)');
+        return result || 'No text extracted from image';
+    },
+
+    // There is no cheap authenticated call - check the key's format
+    async verifyKey(settings) {
+        if (!settings.googleApiKey?.startsWith('AIza')) {
+            throw new Error('Invalid Google Cloud Vision API key format');
+        }
+    }
+};
+
+ProviderRegistry.register(GoogleVisionProvider);
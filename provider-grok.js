@@ -0,0 +1,29 @@
+/**
+ * Grok (xAI) provider. The xAI API is OpenAI-compatible, so requests and
+ * stream parsing are OpenAIProvider's (provider-openai.js is loaded first).
+ */
+
+const GrokProvider = {
+    ...OpenAIProvider,
+    id: 'grok',
+    name: 'Grok',
+    description: 'xAI\'s advanced reasoning model',
+    redirect: { url: 'https://grok.com/', name: 'Grok', pasteDelay: 2000 },
+    auth: { scheme: 'bearer', keyName: 'grokApiKey', required: true, keyUrl: 'https://console.x.ai' },
+    defaultModels: { vision: 'grok-2-vision-1212', text: 'grok-3-mini' },
+
+    baseUrl() {
+        return 'https://api.x.ai/v1';
+    },
+
+    isListedModel(id) {
+        return id.includes('grok');
+    },
+
+    // grok-2-vision and newer
+    isVisionModel(id) {
+        return id.includes('vision');
+    }
+};
+
+ProviderRegistry.register(GrokProvider);
@@ -0,0 +1,321 @@
+/**
+ * Ollama providers: a local (or LAN) Ollama at the host configured in
+ * settings, with optional reverse-proxy auth, and Ollama Cloud at ollama.com
+ * with an API key. Both use the native /api/chat endpoint.
+ */
+
+const OllamaProvider = {
+    id: 'ollama_local',
+    name: 'Ollama (Local)',
+    aliases: ['ollama'],
+    description: 'Vision provider optimized for your hardware',
+    cloud: false,
+    capabilities: { vision: true, text: true, streaming: true, models: true },
+    redirect: null,
+    auth: { scheme: 'ollama', required: false },
+    defaultModels: { vision: 'qwen3-vl:4b', text: 'qwen3:8b' },
+
+    // Accept "192.168.1.20:11434" as well as "http://gpu-box:11434/"
+    baseUrl(settings = {}) {
+        let host = (settings.ollamaLocalUrl || '').trim().replace(/\/+$/, '');
+        if (!host) return 'http://localhost:11434';
+        if (!/^https?:\/\//i.test(host)) host = `http://${host}`;
+        return host;
+    },
+
+    /**
+     * Data leaves the machine for "-cloud" / ":cloud" models, which the
+     * daemon runs on ollama.com, and for an Ollama host other than this
+     * machine
+     */
+    isCloudModel(model, settings) {
+        return /[-:]cloud$/i.test(model || '') || !AIService.isLoopbackUrl(this.baseUrl(settings));
+    },
+
+    // Fail with a clear message when the local server is down
+    async preflight(settings) {
+        if (this.id !== OllamaProvider.id) return;
+        try {
+            await AIService.checkLocalHealth(settings);
+        } catch (healthError) {
+            if (!healthError.network) throw healthError;
+            throw AIService.providerError(`Ollama is not running at ${this.baseUrl(settings)}. Please start Ollama or check the host in Settings.`, { network: true });
+        }
+    },
+
+    /**
+     * /api/chat request; images are sent as raw base64 next to the message
+     */
+    buildChatRequest({ model, messages, stream }, settings) {
+        return {
+            url: `${this.baseUrl(settings)}/api/chat`,
+            headers: AIService.buildHeaders(this.id, settings),
+            body: {
+                model,
+                messages: messages.map(({ role, content, images }) => ({
+                    role,
+                    content,
+                    ...images?.length ? { images: images.map(image => AIService.splitDataUri(image).data) } : {}
+                })),
+                stream: !!stream,
+                options: {
+                    num_predict: 16384
+                }
+            }
+        };
+    },
+
+    parseResponse(data) {
+        return data.message?.content || '';
+    },
+
+    // /api/chat NDJSON line
+    parseStreamLine(line) {
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(data.error);
+        return data.message?.content || '';
+    },
+
+    /**
+     * OCR through the OpenAI-compatible chat endpoint, which handles vision
+     * models like qwen-vl better, falling back to /api/generate
+     */
+    async describeImage(base64Image, settings, { signal, onProgress, onRetry } = {}) {
+        const { visionModel } = settings;
+        const baseUrl = this.baseUrl(settings);
+
+        // Check local availability if using local
+        if (this.id === OllamaProvider.id) {
+            const hasModel = await AIService.hasLocalModel(visionModel, settings);
+            if (!hasModel) {
+                throw new Error(`${visionModel} model not found. Run: ollama pull ${visionModel}`);
+            }
+        }
+
+        const headers = AIService.buildHeaders(this.id, settings);
+
+        // Try chat completions API first (better for vision models)
+        const result = await AIService.withTimeout(async (requestSignal, resetTimeout) => {
+            const retryOptions = AIService.retryOptions(resetTimeout, onRetry);
+
+            // Try chat completions API first (OpenAI-compatible, better for vision models like qwen-vl)
+            const chatRequestBody = {
+                model: visionModel,
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            {
+                                type: 'text',
+                                text: AIService.OCR_PROMPT
+                            },
+                            {
+                                type: 'image_url',
+                                image_url: {
+                                    url: AIService.toDataUri(base64Image)
+                                }
+                            }
+                        ]
+                    }
+                ],
+                stream: false
+            };
+
+            try {
+                const chatResponse = await AIService.request(this.name, `${baseUrl}/v1/chat/completions`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(chatRequestBody),
+                    signal: requestSignal
+                }, retryOptions);
+
+                if (chatResponse.ok) {
+                    const chatData = await chatResponse.json();
+                    const content = chatData.choices?.[0]?.message?.content;
+
+                    // Validate that we got a real response, not an error or API documentation
+                    // Some models respond with their own API docs when they don't understand the request
+                    if (content && typeof content === 'string' && content.length > 0) {
+                        // Check for common error responses or API documentation patterns
+                        const errorPatterns = [
+                            '/v1/chat/completions',
+                            'OpenAI-compatible',
+                            'API endpoint',
+                            'POST /v1/',
+                            '{"error":'
+                        ];
+
+                        const hasErrorPattern = errorPatterns.some(pattern => content.includes(pattern));
+
+                        if (!hasErrorPattern) {
+                            // Valid response - return it
+                            if (onProgress) onProgress(content, content.length);
+                            return content;
+                        }
+
+                        // If we hit this, the model likely doesn't support vision via chat completions
+                        console.warn('[AIService] Chat completions API returned unexpected response - model may not support vision. Falling back to generate API.');
+                    }
+                }
+            } catch (chatError) {
+                if (requestSignal.aborted) throw chatError;
+                // Chat API failed, will fall back to generate API
+                console.warn('[AIService] Chat completions API failed:', chatError.message);
+            }
+
+            // Fallback to generate API
+            const requestBody = {
+                model: visionModel,
+                prompt: AIService.OCR_PROMPT,
+                images: [AIService.splitDataUri(base64Image).data],
+                stream: false,
+                options: {
+                    num_predict: 16384
+                }
+            };
+
+            const response = await AIService.request(this.name, `${baseUrl}/api/generate`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(requestBody),
+                signal: requestSignal
+            }, retryOptions);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw AIService.providerError(`Vision analysis failed (${response.status}): ${errorText}`, { status: response.status });
+            }
+
+            // Non-streaming response - parse JSON directly
+            const data = await response.json();
+
+            if (!data.response) {
+                throw new Error('Model returned empty response. Try a different vision model.');
+            }
+
+            if (onProgress) onProgress(data.response, data.response.length);
+            return data.response;
+        }, signal, 'Vision analysis timeout (120s)');
+        return result || 'No text extracted from image';
+    },
+
+    async listModels(settings) {
+        const baseUrl = this.baseUrl(settings);
+        const response = await AIService.request(this.name, `${baseUrl}/api/tags`, {
+            headers: AIService.buildHeaders(this.id, settings)
+        });
+        if (!response.ok) throw new Error(`Failed to fetch models from Ollama at ${baseUrl} (${response.status})`);
+        const data = await response.json();
+        return (data.models || []).map(m => ({ id: m.name, name: m.name }));
+    },
+
+    /**
+     * Sort models into vision and text-only by asking the server, since
+     * Ollama models are user-installed and names say little
+     */
+    async categorizeModels(models, settings) {
+        const baseUrl = this.baseUrl(settings);
+        const headers = AIService.buildHeaders(this.id, settings);
+        const results = await Promise.allSettled(
+            models.map(model =>
+                this.queryIsMultimodal(model.id, baseUrl, headers)
+                    .then(isVision => ({ model, isVision }))
+            )
+        );
+
+        const multimodal = [];
+        const textOnly = [];
+
+        for (const result of results) {
+            if (result.status === 'fulfilled') {
+                (result.value.isVision ? multimodal : textOnly).push(result.value.model);
+            }
+        }
+
+        return { multimodal, textOnly };
+    },
+
+    /**
+     * Ask /api/show whether a model has vision capability.
+     *
+     * Ollama reports capabilities in two ways depending on version:
+     *   - Newer (>=0.3):  response.capabilities array contains "vision"
+     *   - Older:          response.details.families array contains a family
+     *                     like "clip" which signals multimodal support
+     *
+     * Results are cached in chrome.storage.session, which survives service
+     * worker restarts, under "ollama_cap::<baseUrl>::<modelId>" - so each
+     * server (localhost, a LAN box) has its own entries. /api/show only reads
+     * model info, so the POST is retried like a GET.
+     */
+    async queryIsMultimodal(modelId, baseUrl, headers) {
+        const cacheKey = `ollama_cap::${baseUrl}::${modelId}`;
+        const cached = await this.getCachedCapability(cacheKey);
+        if (cached !== undefined) return cached;
+
+        let data;
+        try {
+            const response = await AIService.request(this.name, `${baseUrl}/api/show`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ name: modelId })
+            }, { idempotent: true });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            data = await response.json();
+        } catch {
+            // If Ollama is unreachable, assume text-only - don't crash the UI
+            await this.setCachedCapability(cacheKey, false);
+            return false;
+        }
+
+        // Newer Ollama: explicit capabilities array
+        const hasVisionCapability =
+            Array.isArray(data?.capabilities) &&
+            data.capabilities.includes('vision');
+
+        // Older Ollama: presence of a CLIP projector in the model families
+        // indicates multimodal (image encoder) support
+        const hasClipFamily =
+            Array.isArray(data?.details?.families) &&
+            data.details.families.some(f => typeof f === 'string' && f.toLowerCase().includes('clip'));
+
+        const result = hasVisionCapability || hasClipFamily;
+        await this.setCachedCapability(cacheKey, result);
+        return result;
+    },
+
+    async getCachedCapability(cacheKey) {
+        try {
+            const result = await chrome.storage.session.get(cacheKey);
+            // Returns {} if key absent; undefined means not cached yet
+            return Object.prototype.hasOwnProperty.call(result, cacheKey) ? result[cacheKey] : undefined;
+        } catch {
+            return undefined;
+        }
+    },
+
+    async setCachedCapability(cacheKey, value) {
+        try {
+            await chrome.storage.session.set({ [cacheKey]: value });
+        } catch {
+            // Non-fatal - the next call just asks again
+        }
+    }
+};
+
+const OllamaCloudProvider = {
+    ...OllamaProvider,
+    id: 'ollama_cloud',
+    name: 'Ollama (Cloud)',
+    aliases: ['ollama-cloud'],
+    description: 'Cloud-hosted Ollama models',
+    cloud: true,
+    auth: { scheme: 'bearer', keyName: 'ollamaApiKey', required: true, keyUrl: 'https://ollama.com' },
+
+    baseUrl() {
+        return 'https://ollama.com';
+    }
+};
+
+ProviderRegistry.register(OllamaProvider);
+ProviderRegistry.register(OllamaCloudProvider);
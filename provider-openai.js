@@ -0,0 +1,117 @@
+/**
+ * OpenAI provider, and the OpenAI-compatible provider for self-hosted
+ * servers (LM Studio, vLLM, llama.cpp server) that speak the same
+ * /v1/chat/completions and /v1/models API from a configurable base URL.
+ */
+
+const OpenAIProvider = {
+    id: 'openai',
+    name: 'OpenAI',
+    description: 'High-performance cloud LLM for analysis',
+    cloud: true,
+    capabilities: { vision: true, text: true, streaming: true, models: true },
+    redirect: { url: 'https://chat.openai.com/', name: 'ChatGPT', pasteDelay: 1000 },
+    auth: { scheme: 'bearer', keyName: 'openaiApiKey', required: true, keyUrl: 'https://platform.openai.com/api-keys' },
+    defaultModels: { vision: 'gpt-4o', text: 'gpt-4o' },
+
+    baseUrl() {
+        return 'https://api.openai.com/v1';
+    },
+
+    /**
+     * Chat completions request; images go in as image_url parts after the text
+     */
+    buildChatRequest({ model, messages, stream, maxTokens }, settings) {
+        return {
+            url: `${this.baseUrl(settings)}/chat/completions`,
+            headers: AIService.buildHeaders(this.id, settings),
+            body: {
+                model,
+                messages: messages.map(({ role, content, images }) => ({
+                    role,
+                    content: images?.length
+                        ? [
+                            { type: 'text', text: content },
+                            ...images.map(url => ({ type: 'image_url', image_url: { url } }))
+                        ]
+                        : content
+                })),
+                max_tokens: maxTokens,
+                ...stream ? { stream: true } : {}
+            }
+        };
+    },
+
+    parseResponse(data) {
+        return data.choices?.[0]?.message?.content || '';
+    },
+
+    // SSE line: "data: {...}" with a delta, ending with "data: [DONE]"
+    parseStreamLine(line) {
+        if (!line.startsWith('data:')) return '';
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return '';
+
+        const data = JSON.parse(payload);
+        if (data.error) throw new Error(data.error.message || JSON.stringify(data.error));
+        return data.choices?.[0]?.delta?.content || '';
+    },
+
+    async listModels(settings) {
+        const response = await AIService.request(this.name, `${this.baseUrl(settings)}/models`, {
+            headers: AIService.buildHeaders(this.id, settings)
+        });
+        if (!response.ok) throw new Error(`Failed to fetch ${this.name} models (${response.status})`);
+        const data = await response.json();
+        return (data.data || [])
+            .filter(m => this.isListedModel(m.id))
+            .map(m => ({ id: m.id, name: m.id }));
+    },
+
+    // /models also lists embedding, audio and image models
+    isListedModel(id) {
+        return id.includes('gpt');
+    },
+
+    isVisionModel(id) {
+        return ['gpt-4o', 'gpt-4-turbo', 'vision'].some(part => id.includes(part));
+    }
+};
+
+const OpenAICompatibleProvider = {
+    ...OpenAIProvider,
+    id: 'openai-compatible',
+    name: 'OpenAI-compatible',
+    description: 'Self-hosted server such as LM Studio, vLLM or llama.cpp',
+    cloud: false,
+    redirect: null,
+    // The key is optional: many self-hosted servers run without one
+    auth: { scheme: 'bearer', keyName: 'openaiCompatibleApiKey', required: false },
+
+    // Accept "http://localhost:1234" as well as ".../v1"
+    baseUrl(settings = {}) {
+        const baseUrl = (settings.openaiCompatibleBaseUrl || '').trim().replace(/\/+$/, '');
+        return /\/v\d+$/.test(baseUrl) ? baseUrl : `${baseUrl}/v1`;
+    },
+
+    extraHeaders(settings = {}) {
+        return AIService.parseCustomHeaders(settings.openaiCompatibleHeaders);
+    },
+
+    validate(settings) {
+        if (!settings.openaiCompatibleBaseUrl) throw new Error('OpenAI-compatible Base URL is required');
+    },
+
+    // Self-hosted servers list whatever is loaded
+    isListedModel() {
+        return true;
+    },
+
+    // /v1/models carries no capability info - leave the choice to the user
+    isVisionModel() {
+        return true;
+    }
+};
+
+ProviderRegistry.register(OpenAIProvider);
+ProviderRegistry.register(OpenAICompatibleProvider);
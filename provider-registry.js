@@ -0,0 +1,88 @@
+/**
+ * Provider Registry - the single list of AI providers
+ *
+ * Each provider module (provider-*.js) registers one definition:
+ * - id, name, aliases: stable ID, display name, and older IDs that resolve to it
+ *   (settings saved by earlier versions use e.g. 'ollama' and 'google-gemini')
+ * - description: one line for the options page
+ * - cloud: whether requests leave the user's machine or network for a hosted
+ *   service ("Never send to cloud" skips these), plus optional
+ *   isCloudModel(model, settings) where that depends on the model or host
+ * - capabilities: { vision, text, streaming, models }. Vision without text
+ *   means OCR only; vision + text is a multimodal model usable in unified mode
+ * - redirect: { url, name, pasteDelay } for redirect mode, or null
+ * - auth: { scheme, keyName, required, keyUrl }. scheme is 'bearer' (key sent
+ *   as a bearer token), 'query' (the request builder puts it in the URL) or
+ *   'ollama' (the Ollama proxy credentials from settings)
+ * - defaultModels: { vision, text }
+ * - baseUrl(settings), plus optional extraHeaders(settings), validate(settings)
+ *   and preflight(settings), run before each chat request
+ * - buildChatRequest(request, settings) -> { url, headers, body } for a chat
+ *   request (see AIService.chat), with parseResponse(data) for a JSON answer
+ *   and parseStreamLine(line) for one line of a streamed answer
+ * - listModels(settings), and isVisionModel(modelId) or an async
+ *   categorizeModels(models, settings) for providers that have to ask the server
+ * - describeImage(base64Image, settings, options), only where OCR is not a
+ *   plain chat request (Ollama's fallbacks, Google Cloud Vision)
+ * - verifyKey(settings), only where listing models can't check the key
+ *
+ * AIService, analyzeImage and the options page look providers up here
+ * instead of switching on provider IDs.
+ */
+
+const ProviderRegistry = {
+    providers: new Map(),
+    aliases: new Map(),
+
+    /**
+     * Add a provider definition
+     */
+    register(provider) {
+        this.providers.set(provider.id, provider);
+        (provider.aliases || []).forEach(alias => this.aliases.set(alias, provider.id));
+        return provider;
+    },
+
+    /**
+     * Look up a provider by ID or alias; null if unknown
+     */
+    get(id) {
+        return this.providers.get(this.aliases.get(id) || id) || null;
+    },
+
+    /**
+     * Like get(), but throws for an unknown provider
+     */
+    require(id) {
+        const provider = this.get(id);
+        if (!provider) {
+            throw new Error(`Unknown provider "${id}". Valid providers: ${[...this.providers.keys()].join(', ')}`);
+        }
+        return provider;
+    },
+
+    /**
+     * Whether a provider can do something: a capability flag, or 'multimodal'
+     * (one chat request with images, as unified mode sends)
+     */
+    supports(provider, capability) {
+        if (!provider) return false;
+        if (capability === 'multimodal') {
+            return !!(provider.capabilities.vision && provider.capabilities.text && provider.buildChatRequest);
+        }
+        return !!provider.capabilities[capability];
+    },
+
+    /**
+     * All providers, or those that support a capability
+     */
+    list(capability) {
+        const providers = [...this.providers.values()];
+        return capability ? providers.filter(provider => this.supports(provider, capability)) : providers;
+    }
+};
+
+// Export for different contexts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProviderRegistry;
+}
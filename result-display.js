@@ -15,6 +15,7 @@ class ResultDisplay {
     this.FOLLOWUP_ID = generateRandomId('sg_followup');
     this.INPUT_ID = generateRandomId('sg_input');
     this.SUBMIT_ID = generateRandomId('sg_submit');
+    this.STOP_BTN_ID = generateRandomId('sg_stop');
 
     this.panel = null;
     this.backdrop = null;
@@ -24,6 +25,9 @@ class ResultDisplay {
     this.onCloseCallback = null;
     this.onFollowUpCallback = null;
     this.conversationHistory = [];
+    // Set while an answer is streaming in (see showStreaming)
+    this.streaming = false;
+    this.streamingMessage = null;
     this.init();
   }
 
@@ -131,6 +135,7 @@ class ResultDisplay {
       return;
     }
 
+    this.endStreaming();
     this.content.innerHTML = html;
 
     // Trigger animation
@@ -142,6 +147,70 @@ class ResultDisplay {
     });
   }
 
+  // Show an answer that is still streaming in (markdown so far), with a Stop
+  // button that calls onStop. showResult replaces it with the final result.
+  showStreaming(markdown, onStop) {
+    if (!this.panel || !this.content) return;
+
+    const followsEnd = this.isScrolledToEnd();
+    this.content.innerHTML = parseMarkdown(markdown);
+    this.startStreaming(onStop);
+    // Follow-ups need the final result
+    this.followUpInput.disabled = true;
+    this.followUpSubmit.disabled = true;
+    if (followsEnd) this.content.scrollTop = this.content.scrollHeight;
+
+    requestAnimationFrame(() => {
+      if (this.backdrop && this.panel) {
+        this.backdrop.classList.add('sg-visible');
+        this.panel.classList.add('sg-visible');
+      }
+    });
+  }
+
+  // Show a follow-up answer that is still streaming in; appendFollowUpResponse
+  // fills in the final answer
+  updateFollowUpStream(markdown, onStop) {
+    if (!this.panel || !this.content) return;
+
+    const followsEnd = this.isScrolledToEnd();
+    if (!this.streamingMessage) {
+      this.streamingMessage = this.appendMessage('assistant', '');
+    }
+    this.streamingMessage.querySelector('.screengrab-message-content').innerHTML = parseMarkdown(markdown);
+    this.startStreaming(onStop);
+    if (followsEnd) this.content.scrollTop = this.content.scrollHeight;
+  }
+
+  // Don't pull the user back down while they scroll up to read
+  isScrolledToEnd() {
+    return this.content.scrollHeight - this.content.scrollTop - this.content.clientHeight < 40;
+  }
+
+  startStreaming(onStop) {
+    if (this.streaming) return;
+    this.streaming = true;
+
+    const stopBtn = document.createElement('button');
+    stopBtn.id = this.STOP_BTN_ID;
+    stopBtn.className = 'sg-stop';
+    stopBtn.title = 'Stop generating (keeps the answer so far)';
+    stopBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="currentColor">
+      <rect x="6" y="6" width="12" height="12" rx="2" ry="2" />
+    </svg>`;
+    stopBtn.addEventListener('click', () => {
+      stopBtn.disabled = true;
+      onStop();
+    });
+    document.getElementById(this.ACTIONS_ID).prepend(stopBtn);
+  }
+
+  endStreaming() {
+    this.streaming = false;
+    const stopBtn = document.getElementById(this.STOP_BTN_ID);
+    if (stopBtn) stopBtn.remove();
+  }
+
   async copyToClipboard() {
     const text = this.content.textContent;
     try {
@@ -212,12 +281,20 @@ class ResultDisplay {
 
     // Scroll to bottom
     this.content.scrollTop = this.content.scrollHeight;
+
+    return messageDiv;
   }
 
   appendFollowUpResponse(response) {
-    // Parse markdown and add response to content
+    // Parse markdown and add response to content (in place of the streamed answer)
     const htmlResponse = parseMarkdown(response);
-    this.appendMessage('assistant', htmlResponse);
+    if (this.streamingMessage) {
+      this.streamingMessage.querySelector('.screengrab-message-content').innerHTML = htmlResponse;
+      this.streamingMessage = null;
+    } else {
+      this.appendMessage('assistant', htmlResponse);
+    }
+    this.endStreaming();
 
     // Store original markdown in conversation history
     this.conversationHistory.push({ role: 'assistant', content: response });
@@ -297,6 +374,8 @@ class ResultDisplay {
     this.followUpSubmit = null;
     this.conversationHistory = [];
     this.onFollowUpCallback = null;
+    this.streaming = false;
+    this.streamingMessage = null;
 
     document.removeEventListener('keydown', this.keydownHandler);
   }
@@ -321,10 +400,10 @@ async function handleFollowUpQuestion(question, conversationHistory, displayInst
     }
 
     // Use CaptureQueue to send follow-up question
-    await CaptureQueue.requestFollowUp(question, conversationHistory);
+    const requestId = await CaptureQueue.requestFollowUp(question, conversationHistory);
 
     // Poll for response
-    await pollForFollowUpResponse(resultDisplay);
+    await pollForFollowUpResponse(resultDisplay, requestId);
 
   } catch (error) {
     if (resultDisplay) {
@@ -334,16 +413,26 @@ async function handleFollowUpQuestion(question, conversationHistory, displayInst
   }
 }
 
-// Poll for follow-up response
-async function pollForFollowUpResponse(resultDisplay) {
+// Poll for follow-up response. A partial response is the answer streamed so
+// far; the wait restarts whenever more of it arrives.
+async function pollForFollowUpResponse(resultDisplay, requestId) {
   const maxWait = 120000;
-  const pollInterval = 500;
+  const pollInterval = 250;
   let elapsed = 0;
+  let streamed = '';
 
   while (elapsed < maxWait) {
     const response = await CaptureQueue.getFollowUpResponse();
 
-    if (response) {
+    if (response?.partial) {
+      if (resultDisplay && response.response !== streamed) {
+        streamed = response.response;
+        elapsed = 0;
+        resultDisplay.updateFollowUpStream(streamed, () => {
+          chrome.runtime.sendMessage({ action: 'stopStream', followUpId: requestId }).catch(() => {});
+        });
+      }
+    } else if (response) {
       await CaptureQueue.clearFollowUpResponse();
 
       if (resultDisplay) {
@@ -369,8 +458,40 @@ async function pollForFollowUpResponse(resultDisplay) {
   }
 }
 
-// Listen for showResult messages from background.js
+// Live answer while a job's analysis streams in (streamResult from
+// background.js). One panel is reused for every update; once it is closed the
+// rest of that job's stream is ignored, and showResult brings the final result.
+// Every update is noted in __sg_lastStream, which keeps pollForCaptureResult
+// (floating-icon.js) waiting while a long answer streams in.
+function showStreamingResult(jobId, text) {
+  window.__sg_lastStream = { jobId, at: Date.now() };
+  if (window.__sg_dismissedStreamJob === jobId) return;
+
+  let display = window.__sg_current_result_display;
+  if (!display || display.streamingJobId !== jobId) {
+    if (display) display.destroy();
+
+    display = new ResultDisplay();
+    display.streamingJobId = jobId;
+    display.setOnClose(() => {
+      window.__sg_dismissedStreamJob = jobId;
+    });
+    window.__sg_current_result_display = display;
+  }
+
+  display.showStreaming(text, () => {
+    chrome.runtime.sendMessage({ action: 'stopStream', jobId }).catch(() => {});
+  });
+}
+
+// Listen for showResult and streamResult messages from background.js
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'streamResult') {
+    showStreamingResult(message.jobId, message.text);
+    sendResponse({ success: true });
+    return true;
+  }
+
   if (message.action === 'showResult') {
     // Hide any existing result display
     if (window.__sg_current_result_display) {
@@ -382,13 +503,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     // Register cleanup callback
     window.__sg_current_result_display.setOnClose(() => {
-      // Clear storage state when modal is closed
-      chrome.storage.local.remove([
-        'currentCapture',
-        'captureRequest',
-        'areaSelection',
-        'activeCaptureTabId'
-      ]).catch(() => {});
+      // Finished jobs are pruned by CaptureQueue, and jobs still running in
+      // other tabs must not be touched, so there is no storage to clear here
 
       // Ensure floating icon is visible
       const floatBtn = document.querySelector('[id^="sg_float_btn"]');
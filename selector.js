@@ -11,6 +11,32 @@
   const SELECTION_BOX_ID = 'sg_selection_' + randomSuffix;
   const INSTRUCTIONS_ID = 'sg_instr_' + randomSuffix;
 
+  // Smallest selection that can be captured (px)
+  const MIN_SELECTION_SIZE = 11;
+
+  // Aspect ratio presets offered while adjusting a selection (width / height)
+  const ASPECT_PRESETS = [
+    { label: 'Free', ratio: null },
+    { label: '1:1', ratio: 1 },
+    { label: '4:3', ratio: 4 / 3 },
+    { label: '3:2', ratio: 3 / 2 },
+    { label: '16:9', ratio: 16 / 9 },
+    { label: '9:16', ratio: 9 / 16 }
+  ];
+  const RESIZE_HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+  // Report the selection (null when cancelled) for the capture job that
+  // opened the overlay; background.js picks it up from storage
+  function storeAreaSelection(jobId, selection, callback) {
+    chrome.storage.local.set({ areaSelection: { jobId, selection } }, callback);
+  }
+
+  // Whether a storage change means the selector's job was cancelled or finished
+  function isJobClosed(changes, jobId) {
+    const change = changes[CaptureQueue.jobKey(jobId)];
+    return !!change && (!change.newValue || CaptureQueue.isFinished(change.newValue));
+  }
+
   // Clean up any existing selector elements
   document.querySelectorAll('[id^="sg_overlay_"], [id^="sg_selection_"], [id^="sg_instr_"]').forEach(el => el.remove());
 
@@ -22,7 +48,13 @@
   }
 
   class AreaSelector {
-    constructor() {
+    // options.jobId: capture job the selection is reported for
+    // options.includePageText: initial state of the toolbar's "Page text" toggle
+    // options.pageTextToggle: show that toggle (default true)
+    constructor(options = {}) {
+      this.jobId = options.jobId;
+      this.includePageText = !!options.includePageText;
+      this.pageTextToggle = options.pageTextToggle !== false;
       this.isSelecting = false;
       this.overlay = null;
       this.selectionBox = null;
@@ -30,6 +62,22 @@
       this.dimensionsTooltip = null;
       this.destroyed = false;
 
+      // Multi-region batch (Shift+drag adds, Enter confirms) - document coordinates
+      this.regions = [];
+      this.regionBoxes = [];
+      this.addingRegion = false;
+
+      // Adjust phase: after the first drag the box can be moved/resized before
+      // capturing. box is in document coordinates so scrolling is safe.
+      this.adjusting = false;
+      this.box = null;
+      this.dragMode = null;      // 'move' | 'resize'
+      this.dragHandle = null;    // one of RESIZE_HANDLES
+      this.dragStart = null;
+      this.aspectRatio = null;
+      this.handles = [];
+      this.toolbar = null;
+
       // Coordinate space: DOCUMENT/PAGE space
       this.startX = 0;
       this.startY = 0;
@@ -122,7 +170,8 @@
         max-width: 420px !important;
         backdrop-filter: blur(8px) !important;
       `;
-      this.instructions.innerHTML = '<strong>Click and drag to select area</strong><br><span style="opacity:0.7;font-size:13px;margin-top:8px;display:block;">Press <kbd style="display:inline-block;padding:3px 8px;background:rgba(139,92,246,0.2);border:1px solid rgba(139,92,246,0.4);border-radius:4px;font-family:\'Consolas\',\'Monaco\',monospace;font-size:12px;color:#a78bfa;margin:0 2px;">ESC</kbd> to cancel</span>';
+      this.kbdStyle = 'display:inline-block;padding:3px 8px;background:rgba(139,92,246,0.2);border:1px solid rgba(139,92,246,0.4);border-radius:4px;font-family:\'Consolas\',\'Monaco\',monospace;font-size:12px;color:#a78bfa;margin:0 2px;';
+      this.instructions.innerHTML = `<strong>Click and drag to select area</strong><br><span style="opacity:0.7;font-size:13px;margin-top:8px;display:block;">Adjust the box, then press <kbd style="${this.kbdStyle}">Enter</kbd> to capture<br>Hold <kbd style="${this.kbdStyle}">Shift</kbd> to select several regions, then <kbd style="${this.kbdStyle}">Enter</kbd><br>Press <kbd style="${this.kbdStyle}">ESC</kbd> to cancel</span>`;
       this.overlay.appendChild(this.instructions);
 
       // Setup event listeners
@@ -135,7 +184,7 @@
       // Listen for cleanup signals
       this.storageListener = (changes, areaName) => {
         if (areaName !== 'local') return;
-        if (changes.activeCaptureTabId && changes.activeCaptureTabId.newValue === undefined) {
+        if (isJobClosed(changes, this.jobId)) {
           this.destroy();
         }
       };
@@ -160,11 +209,37 @@
       const clickedOnOverlay = path.some(el => el === this.overlay);
       if (!clickedOnOverlay) return;
 
+      // Toolbar controls handle their own clicks
+      if (this.toolbar && path.includes(this.toolbar)) return;
+
+      if (this.adjusting) {
+        const handle = e.target && e.target.dataset ? e.target.dataset.sgHandle : null;
+        if (handle || this.isInsideBox(e.clientX, e.clientY)) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.dragMode = handle ? 'resize' : 'move';
+          this.dragHandle = handle || null;
+          this.dragStart = { x: e.clientX, y: e.clientY, box: { ...this.box } };
+          return;
+        }
+
+        // Outside the box: Shift+drag turns the adjusted box into region 1 of a
+        // batch, a plain drag replaces it
+        if (e.shiftKey) {
+          this.regions.push({ ...this.box });
+          this.renderRegionBoxes();
+        }
+        this.exitAdjustPhase();
+      }
+
       e.preventDefault();
       e.stopPropagation();
 
       this.isSelecting = true;
 
+      // Shift+drag starts (or continues) a multi-region batch
+      this.addingRegion = e.shiftKey || this.regions.length > 0;
+
       // Store starting position in viewport coordinates
       this.startX = e.clientX;
       this.startY = e.clientY;
@@ -181,6 +256,20 @@
     }
 
     handlePointerMove(e) {
+      if (this.dragMode) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.applyDrag(e.clientX, e.clientY);
+        return;
+      }
+
+      if (this.adjusting) {
+        // Hint that the box can be dragged
+        const inside = this.isInsideBox(e.clientX, e.clientY);
+        this.overlay.style.setProperty('cursor', inside ? 'move' : 'crosshair', 'important');
+        return;
+      }
+
       if (!this.isSelecting) return;
 
       e.preventDefault();
@@ -194,6 +283,15 @@
     }
 
     handlePointerUp(e) {
+      if (this.dragMode) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.dragMode = null;
+        this.dragHandle = null;
+        this.dragStart = null;
+        return;
+      }
+
       if (!this.isSelecting) return;
 
       e.preventDefault();
@@ -215,32 +313,71 @@
       const docTop = viewportTop + scrollY;
 
       // Check minimum selection size
-      const meetsMinimumSize = width > 10 && height > 10;
+      const meetsMinimumSize = width >= MIN_SELECTION_SIZE && height >= MIN_SELECTION_SIZE;
 
-      // Destroy overlay
-      this.destroy();
+      // Multi-region batch: keep the overlay open for more regions
+      if (this.addingRegion) {
+        this.selectionBox.style.setProperty('display', 'none', 'important');
+        if (meetsMinimumSize) {
+          this.regions.push({ x: docLeft, y: docTop, width: width, height: height });
+          this.renderRegionBoxes();
+        }
+        this.updateBatchInstructions();
+        return;
+      }
 
-      // Store selection result
-      const selectionData = meetsMinimumSize
-        ? { x: docLeft, y: docTop, width: width, height: height }
-        : null;
+      // A click or tiny drag - keep waiting for a real selection
+      if (!meetsMinimumSize) {
+        this.selectionBox.style.setProperty('display', 'none', 'important');
+        this.instructions.style.opacity = '1';
+        this.instructions.style.transform = 'translate(-50%, -50%)';
+        return;
+      }
 
-      chrome.storage.local.set({ areaSelection: selectionData }, () => {
-        if (chrome.runtime.lastError) {
-          console.error('[AreaSelector] Failed to store area selection:', chrome.runtime.lastError);
-        }
-      });
+      // Phase 2: let the user adjust the box before capturing
+      this.enterAdjustPhase({ x: docLeft, y: docTop, width: width, height: height });
     }
 
     handleKeyDown(e) {
+      // Typing in the toolbar's size inputs: Enter applies, other keys type
+      const inToolbarField = this.toolbar && e.target && this.toolbar.contains(e.target) &&
+        (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT');
+      if (inToolbarField && e.key !== 'Escape') {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          e.target.blur();
+        }
+        return;
+      }
+
+      if (this.adjusting && e.key.startsWith('Arrow')) {
+        e.preventDefault();
+        e.stopPropagation();
+        const step = e.shiftKey ? 10 : 1;
+        const dx = e.key === 'ArrowLeft' ? -step : e.key === 'ArrowRight' ? step : 0;
+        const dy = e.key === 'ArrowUp' ? -step : e.key === 'ArrowDown' ? step : 0;
+        this.box = { ...this.box, x: this.box.x + dx, y: this.box.y + dy };
+        this.clampBox();
+        this.updateAdjustUI();
+        return;
+      }
+
       if (e.key === 'Escape') {
         this.destroy();
 
-        chrome.storage.local.set({ areaSelection: null }, () => {
+        storeAreaSelection(this.jobId, null, () => {
           if (chrome.runtime.lastError) {
             console.error('[AreaSelector] Failed to cancel area selection:', chrome.runtime.lastError);
           }
         });
+      } else if (e.key === 'Enter' && this.adjusting && !this.dragMode) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.confirmAdjusted();
+      } else if (e.key === 'Enter' && !this.isSelecting && this.regions.length > 0) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.confirmRegions();
       }
     }
 
@@ -248,8 +385,362 @@
       if (this.isSelecting) {
         // Cancel selection on scroll to avoid coordinate confusion
         this.destroy();
-        chrome.storage.local.set({ areaSelection: null });
+        storeAreaSelection(this.jobId, null);
+        return;
+      }
+
+      // Scrolling between drags is fine - keep boxes on their regions
+      if (this.regions.length > 0) {
+        this.renderRegionBoxes();
+      }
+      if (this.adjusting) {
+        this.updateAdjustUI();
+      }
+    }
+
+    // Draw a numbered box for every region in the batch (viewport coordinates)
+    renderRegionBoxes() {
+      const scrollX = window.scrollX || document.documentElement.scrollLeft;
+      const scrollY = window.scrollY || document.documentElement.scrollTop;
+
+      this.regions.forEach((region, index) => {
+        let box = this.regionBoxes[index];
+        if (!box) {
+          box = document.createElement('div');
+          box.style.cssText = `
+            position: absolute !important;
+            border: 2px solid #8b5cf6 !important;
+            background: rgba(139, 92, 246, 0.15) !important;
+            pointer-events: none !important;
+            box-sizing: border-box !important;
+          `;
+
+          const badge = document.createElement('div');
+          badge.textContent = String(index + 1);
+          badge.style.cssText = `
+            position: absolute !important;
+            top: -12px !important;
+            left: -12px !important;
+            width: 24px !important;
+            height: 24px !important;
+            line-height: 24px !important;
+            border-radius: 50% !important;
+            background: #8b5cf6 !important;
+            color: #fff !important;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+            font-size: 12px !important;
+            font-weight: 700 !important;
+            text-align: center !important;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4) !important;
+          `;
+          box.appendChild(badge);
+
+          this.overlay.appendChild(box);
+          this.regionBoxes[index] = box;
+        }
+
+        box.style.setProperty('left', (region.x - scrollX) + 'px', 'important');
+        box.style.setProperty('top', (region.y - scrollY) + 'px', 'important');
+        box.style.setProperty('width', region.width + 'px', 'important');
+        box.style.setProperty('height', region.height + 'px', 'important');
+      });
+    }
+
+    // Switch to the adjust phase for box (document coordinates)
+    enterAdjustPhase(box) {
+      this.adjusting = true;
+      this.box = box;
+      if (this.aspectRatio) {
+        this.box.height = this.box.width / this.aspectRatio;
+      }
+      this.clampBox();
+
+      if (this.handles.length === 0) {
+        this.createHandles();
+      }
+      this.handles.forEach(handle => handle.style.setProperty('display', 'block', 'important'));
+
+      if (!this.toolbar) {
+        this.createToolbar();
+      }
+      this.toolbar.style.setProperty('display', 'flex', 'important');
+
+      this.instructions.style.opacity = '0';
+      this.updateAdjustUI();
+    }
+
+    exitAdjustPhase() {
+      this.adjusting = false;
+      this.box = null;
+      this.handles.forEach(handle => handle.style.setProperty('display', 'none', 'important'));
+      this.toolbar.style.setProperty('display', 'none', 'important');
+      this.overlay.style.setProperty('cursor', 'crosshair', 'important');
+      this.selectionBox.style.setProperty('display', 'none', 'important');
+    }
+
+    // Eight resize handles on the selection box edges and corners
+    createHandles() {
+      const cursors = {
+        nw: 'nwse-resize', se: 'nwse-resize',
+        ne: 'nesw-resize', sw: 'nesw-resize',
+        n: 'ns-resize', s: 'ns-resize',
+        e: 'ew-resize', w: 'ew-resize'
+      };
+
+      RESIZE_HANDLES.forEach(name => {
+        const top = name.includes('n') ? '-6px' : name.includes('s') ? 'calc(100% - 6px)' : 'calc(50% - 6px)';
+        const left = name.includes('w') ? '-6px' : name.includes('e') ? 'calc(100% - 6px)' : 'calc(50% - 6px)';
+
+        const handle = document.createElement('div');
+        handle.dataset.sgHandle = name;
+        handle.style.cssText = `
+          position: absolute !important;
+          top: ${top} !important;
+          left: ${left} !important;
+          width: 12px !important;
+          height: 12px !important;
+          background: #fff !important;
+          border: 2px solid #8b5cf6 !important;
+          border-radius: 3px !important;
+          box-sizing: border-box !important;
+          cursor: ${cursors[name]} !important;
+          pointer-events: auto !important;
+          display: none !important;
+        `;
+        this.selectionBox.appendChild(handle);
+        this.handles.push(handle);
+      });
+    }
+
+    // Toolbar with aspect presets, exact size inputs and Capture / Cancel
+    createToolbar() {
+      this.toolbar = document.createElement('div');
+      this.toolbar.style.cssText = `
+        position: absolute !important;
+        display: none !important;
+        align-items: center !important;
+        gap: 8px !important;
+        background: rgba(26, 26, 46, 0.98) !important;
+        color: #e4e4e7 !important;
+        padding: 8px 10px !important;
+        border-radius: 10px !important;
+        border: 1px solid rgba(139, 92, 246, 0.4) !important;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5) !important;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+        font-size: 12px !important;
+        white-space: nowrap !important;
+        cursor: default !important;
+        pointer-events: auto !important;
+      `;
+
+      const fieldStyle = 'background:#1a1a2e;color:#e4e4e7;border:1px solid rgba(139,92,246,0.4);border-radius:6px;padding:4px 6px;font-size:12px;font-family:inherit;';
+      const buttonStyle = 'border:none;border-radius:6px;padding:5px 12px;font-size:12px;font-weight:600;cursor:pointer;font-family:inherit;';
+
+      this.toolbar.innerHTML = `
+        <select data-sg-aspect title="Aspect ratio" style="${fieldStyle}">
+          ${ASPECT_PRESETS.map((preset, i) => `<option value="${i}">${preset.label}</option>`).join('')}
+        </select>
+        <input data-sg-width type="number" min="${MIN_SELECTION_SIZE}" title="Width (px)" style="${fieldStyle}width:64px;">
+        <span style="opacity:0.6;">×</span>
+        <input data-sg-height type="number" min="${MIN_SELECTION_SIZE}" title="Height (px)" style="${fieldStyle}width:64px;">
+        ${this.pageTextToggle ? `<label title="Also send the page's text, links and labels inside the box" style="display:flex;align-items:center;gap:4px;cursor:pointer;">
+          <input data-sg-page-text type="checkbox" style="margin:0;accent-color:#8b5cf6;"${this.includePageText ? ' checked' : ''}>
+          Page text
+        </label>` : ''}
+        <button data-sg-cancel style="${buttonStyle}background:rgba(255,255,255,0.1);color:#e4e4e7;">Cancel</button>
+        <button data-sg-capture style="${buttonStyle}background:#8b5cf6;color:#fff;">Capture</button>
+      `;
+
+      this.aspectSelect = this.toolbar.querySelector('[data-sg-aspect]');
+      this.widthInput = this.toolbar.querySelector('[data-sg-width]');
+      this.heightInput = this.toolbar.querySelector('[data-sg-height]');
+
+      const pageTextCheckbox = this.toolbar.querySelector('[data-sg-page-text]');
+      if (pageTextCheckbox) {
+        pageTextCheckbox.addEventListener('change', (e) => {
+          this.includePageText = e.target.checked;
+        });
+      }
+
+      this.aspectSelect.addEventListener('change', () => {
+        this.aspectRatio = ASPECT_PRESETS[Number(this.aspectSelect.value)].ratio;
+        if (this.aspectRatio) {
+          this.box.height = this.box.width / this.aspectRatio;
+        }
+        this.clampBox();
+        this.updateAdjustUI();
+      });
+
+      this.widthInput.addEventListener('change', () => {
+        const width = parseInt(this.widthInput.value, 10);
+        if (!width) return;
+        this.box.width = width;
+        if (this.aspectRatio) {
+          this.box.height = width / this.aspectRatio;
+        }
+        this.clampBox();
+        this.updateAdjustUI();
+      });
+
+      this.heightInput.addEventListener('change', () => {
+        const height = parseInt(this.heightInput.value, 10);
+        if (!height) return;
+        this.box.height = height;
+        if (this.aspectRatio) {
+          this.box.width = height * this.aspectRatio;
+        }
+        this.clampBox();
+        this.updateAdjustUI();
+      });
+
+      this.toolbar.querySelector('[data-sg-capture]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.confirmAdjusted();
+      });
+
+      this.toolbar.querySelector('[data-sg-cancel]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.destroy();
+        storeAreaSelection(this.jobId, null);
+      });
+
+      this.overlay.appendChild(this.toolbar);
+    }
+
+    isInsideBox(clientX, clientY) {
+      if (!this.box) return false;
+      const left = this.box.x - (window.scrollX || document.documentElement.scrollLeft);
+      const top = this.box.y - (window.scrollY || document.documentElement.scrollTop);
+      return clientX >= left && clientX <= left + this.box.width &&
+        clientY >= top && clientY <= top + this.box.height;
+    }
+
+    // Move or resize the box by the pointer delta since the drag started
+    applyDrag(clientX, clientY) {
+      const dx = clientX - this.dragStart.x;
+      const dy = clientY - this.dragStart.y;
+      const start = this.dragStart.box;
+
+      if (this.dragMode === 'move') {
+        this.box = { ...start, x: start.x + dx, y: start.y + dy };
+      } else {
+        const handle = this.dragHandle;
+        let left = start.x;
+        let top = start.y;
+        let right = start.x + start.width;
+        let bottom = start.y + start.height;
+
+        if (handle.includes('w')) left = Math.min(left + dx, right - MIN_SELECTION_SIZE);
+        if (handle.includes('e')) right = Math.max(right + dx, left + MIN_SELECTION_SIZE);
+        if (handle.includes('n')) top = Math.min(top + dy, bottom - MIN_SELECTION_SIZE);
+        if (handle.includes('s')) bottom = Math.max(bottom + dy, top + MIN_SELECTION_SIZE);
+
+        let width = right - left;
+        let height = bottom - top;
+
+        // Keep the preset ratio: n/s handles drive the height, the rest drive the width
+        if (this.aspectRatio) {
+          if (handle === 'n' || handle === 's') {
+            width = height * this.aspectRatio;
+          } else {
+            height = width / this.aspectRatio;
+            if (handle.includes('n')) top = bottom - height;
+          }
+        }
+
+        this.box = { x: left, y: top, width, height };
+      }
+
+      this.clampBox();
+      this.updateAdjustUI();
+    }
+
+    // Keep the box on the page and above the minimum size
+    clampBox() {
+      const pageWidth = Math.max(document.body.scrollWidth, document.documentElement.scrollWidth);
+      const pageHeight = Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
+
+      this.box.width = Math.max(MIN_SELECTION_SIZE, Math.min(this.box.width, pageWidth));
+      this.box.height = Math.max(MIN_SELECTION_SIZE, Math.min(this.box.height, pageHeight));
+      this.box.x = Math.max(0, Math.min(this.box.x, pageWidth - this.box.width));
+      this.box.y = Math.max(0, Math.min(this.box.y, pageHeight - this.box.height));
+    }
+
+    // Draw the adjusted box and place the toolbar (viewport coordinates)
+    updateAdjustUI() {
+      const scrollX = window.scrollX || document.documentElement.scrollLeft;
+      const scrollY = window.scrollY || document.documentElement.scrollTop;
+      const left = this.box.x - scrollX;
+      const top = this.box.y - scrollY;
+
+      this.selectionBox.style.setProperty('display', 'block', 'important');
+      this.setSelectionBoxRect(left, top, this.box.width, this.box.height);
+
+      // Don't overwrite a value while it's being typed
+      if (document.activeElement !== this.widthInput) {
+        this.widthInput.value = Math.round(this.box.width);
+      }
+      if (document.activeElement !== this.heightInput) {
+        this.heightInput.value = Math.round(this.box.height);
       }
+
+      // Below the box (clear of the size tooltip), else above it, else inside
+      const toolbarHeight = this.toolbar.offsetHeight || 40;
+      const toolbarWidth = this.toolbar.offsetWidth || 360;
+      let toolbarTop = top + this.box.height + 40;
+      if (toolbarTop + toolbarHeight > window.innerHeight - 8) {
+        toolbarTop = top - toolbarHeight - 10;
+      }
+      if (toolbarTop < 8) {
+        toolbarTop = Math.max(8, top + 8);
+      }
+      const toolbarLeft = Math.max(8, Math.min(left, window.innerWidth - toolbarWidth - 8));
+
+      this.toolbar.style.setProperty('top', toolbarTop + 'px', 'important');
+      this.toolbar.style.setProperty('left', toolbarLeft + 'px', 'important');
+    }
+
+    // Store the adjusted box as the area selection
+    confirmAdjusted() {
+      const selectionData = {
+        x: Math.round(this.box.x),
+        y: Math.round(this.box.y),
+        width: Math.round(this.box.width),
+        height: Math.round(this.box.height),
+        includePageText: this.includePageText
+      };
+      this.destroy();
+
+      storeAreaSelection(this.jobId, selectionData, () => {
+        if (chrome.runtime.lastError) {
+          console.error('[AreaSelector] Failed to store area selection:', chrome.runtime.lastError);
+        }
+      });
+    }
+
+    // Move the instructions to the top and show the batch status
+    updateBatchInstructions() {
+      const count = this.regions.length;
+      this.instructions.style.setProperty('top', '16px', 'important');
+      this.instructions.style.setProperty('transform', 'translateX(-50%)', 'important');
+      this.instructions.style.opacity = '1';
+      this.instructions.innerHTML = `<strong>${count} region${count === 1 ? '' : 's'} selected</strong><br><span style="opacity:0.7;font-size:13px;margin-top:8px;display:block;">Drag to add another · <kbd style="${this.kbdStyle}">Enter</kbd> capture · <kbd style="${this.kbdStyle}">ESC</kbd> cancel</span>`;
+    }
+
+    // Store the whole batch as one selection
+    confirmRegions() {
+      const regions = this.regions.slice();
+      this.destroy();
+
+      // A batch of one is just a normal area selection
+      const selectionData = regions.length === 1 ? { ...regions[0] } : { regions };
+      selectionData.includePageText = this.includePageText;
+
+      storeAreaSelection(this.jobId, selectionData, () => {
+        if (chrome.runtime.lastError) {
+          console.error('[AreaSelector] Failed to store area selection:', chrome.runtime.lastError);
+        }
+      });
     }
 
     updateSelectionBox() {
@@ -259,6 +750,10 @@
       const width = Math.abs(this.currentX - this.startX);
       const height = Math.abs(this.currentY - this.startY);
 
+      this.setSelectionBoxRect(left, top, width, height);
+    }
+
+    setSelectionBoxRect(left, top, width, height) {
       // Update selection box (viewport coordinates)
       this.selectionBox.style.setProperty('left', left + 'px', 'important');
       this.selectionBox.style.setProperty('top', top + 'px', 'important');
@@ -307,9 +802,285 @@
     }
   }
 
-  // Export the class globally so background.js can instantiate it on demand
+  // Element Selector - highlights the DOM element under the cursor and
+  // reports its bounding box (in document coordinates) as the area selection.
+  // Reuses the same areaSelection storage contract as AreaSelector so
+  // background.js can capture it through the existing area pipeline.
+  //
+  // With { scrollableOnly: true } it only picks scroll containers
+  // (overflow:auto/scroll elements) and tags the chosen one so background.js
+  // can scroll it instead of the window.
+  class ElementSelector {
+    constructor(options = {}) {
+      this.jobId = options.jobId;
+      this.scrollableOnly = !!options.scrollableOnly;
+      this.highlight = null;
+      this.label = null;
+      this.instructions = null;
+      this.target = null;
+      // Stack of descendants visited while walking up with ArrowUp
+      this.childStack = [];
+      this.destroyed = false;
+
+      // Bind event handlers
+      this.pointermoveHandler = this.handlePointerMove.bind(this);
+      this.clickHandler = this.handleClick.bind(this);
+      this.blockHandler = this.blockEvent.bind(this);
+      this.keydownHandler = this.handleKeyDown.bind(this);
+      this.scrollHandler = this.updateHighlight.bind(this);
+
+      this.init();
+    }
+
+    init() {
+      // Highlight box - pointer-events: none so elementFromPoint sees the page
+      this.highlight = document.createElement('div');
+      this.highlight.id = OVERLAY_ID;
+      this.highlight.style.cssText = `
+        position: fixed !important;
+        border: 2px solid #8b5cf6 !important;
+        background: rgba(139, 92, 246, 0.15) !important;
+        z-index: 2147483647 !important;
+        pointer-events: none !important;
+        box-sizing: border-box !important;
+        display: none !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        transition: all 0.05s ease !important;
+      `;
+      document.documentElement.appendChild(this.highlight);
+
+      // Element label (tag name + dimensions)
+      this.label = document.createElement('div');
+      this.label.style.cssText = `
+        position: absolute !important;
+        top: -26px !important;
+        left: -2px !important;
+        background: rgba(26, 26, 46, 0.95) !important;
+        color: #e4e4e7 !important;
+        padding: 3px 8px !important;
+        border-radius: 6px !important;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+        font-size: 11px !important;
+        font-weight: 600 !important;
+        white-space: nowrap !important;
+        border: 1px solid rgba(139, 92, 246, 0.3) !important;
+      `;
+      this.highlight.appendChild(this.label);
+
+      // Instructions banner (top of viewport so it never covers the target)
+      this.instructions = document.createElement('div');
+      this.instructions.id = INSTRUCTIONS_ID;
+      this.instructions.style.cssText = `
+        position: fixed !important;
+        top: 16px !important;
+        left: 50% !important;
+        transform: translateX(-50%) !important;
+        background: rgba(26, 26, 46, 0.98) !important;
+        color: #e4e4e7 !important;
+        padding: 12px 20px !important;
+        border-radius: 12px !important;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+        font-size: 13px !important;
+        font-weight: 600 !important;
+        z-index: 2147483648 !important;
+        pointer-events: none !important;
+        box-shadow: 0 12px 48px rgba(0, 0, 0, 0.5) !important;
+        border: 1px solid rgba(139, 92, 246, 0.4) !important;
+        text-align: center !important;
+      `;
+      const kbd = 'display:inline-block;padding:2px 6px;background:rgba(139,92,246,0.2);border:1px solid rgba(139,92,246,0.4);border-radius:4px;font-family:\'Consolas\',\'Monaco\',monospace;font-size:11px;color:#a78bfa;margin:0 2px;';
+      const title = this.scrollableOnly
+        ? 'Click a scrollable panel to capture its full contents'
+        : 'Click an element to capture it';
+      this.instructions.innerHTML = `<strong>${title}</strong><br><span style="opacity:0.7;font-size:12px;margin-top:6px;display:block;"><kbd style="${kbd}">↑</kbd> parent <kbd style="${kbd}">↓</kbd> child <kbd style="${kbd}">Enter</kbd> capture <kbd style="${kbd}">ESC</kbd> cancel</span>`;
+      document.documentElement.appendChild(this.instructions);
+
+      // Capture-phase listeners so the page never sees the picking clicks
+      document.addEventListener('mousemove', this.pointermoveHandler, true);
+      document.addEventListener('click', this.clickHandler, true);
+      document.addEventListener('mousedown', this.blockHandler, true);
+      document.addEventListener('mouseup', this.blockHandler, true);
+      document.addEventListener('keydown', this.keydownHandler, true);
+      window.addEventListener('scroll', this.scrollHandler, true);
+
+      // Listen for cleanup signals
+      this.storageListener = (changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (isJobClosed(changes, this.jobId)) {
+          this.destroy();
+        }
+      };
+      chrome.storage.onChanged.addListener(this.storageListener);
+
+      // Cleanup on page unload
+      this.unloadHandler = () => {
+        this.destroy();
+      };
+      window.addEventListener('beforeunload', this.unloadHandler);
+
+      // Ignore clicks for the first 100ms to prevent accidental selections
+      this._ignoreClicksUntil = performance.now() + 100;
+    }
+
+    handlePointerMove(e) {
+      const el = this.resolveTarget(document.elementFromPoint(e.clientX, e.clientY));
+      if (!el || el === this.target) return;
+      this.childStack = [];
+      this.setTarget(el);
+    }
+
+    blockEvent(e) {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+    }
+
+    handleClick(e) {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      if (performance.now() < this._ignoreClicksUntil) return;
+
+      const el = this.target || this.resolveTarget(document.elementFromPoint(e.clientX, e.clientY));
+      if (el) this.confirm(el);
+    }
+
+    handleKeyDown(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.destroy();
+
+        storeAreaSelection(this.jobId, null, () => {
+          if (chrome.runtime.lastError) {
+            console.error('[ElementSelector] Failed to cancel element selection:', chrome.runtime.lastError);
+          }
+        });
+      } else if (e.key === 'ArrowUp' && this.target) {
+        e.preventDefault();
+        e.stopPropagation();
+        const parent = this.resolveTarget(this.target.parentElement);
+        if (parent && parent !== document.documentElement) {
+          this.childStack.push(this.target);
+          this.setTarget(parent);
+        }
+      } else if (e.key === 'ArrowDown' && this.childStack.length > 0) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.setTarget(this.childStack.pop());
+      } else if (e.key === 'Enter' && this.target) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.confirm(this.target);
+      }
+    }
+
+    // In scrollable mode, walk up to the nearest element that scrolls its own content
+    resolveTarget(el) {
+      if (!this.scrollableOnly) return el;
+
+      while (el && el !== document.body && el !== document.documentElement) {
+        const style = window.getComputedStyle(el);
+        const scrollsY = ['auto', 'scroll', 'overlay'].includes(style.overflowY);
+        if (scrollsY && el.scrollHeight > el.clientHeight + 1) {
+          return el;
+        }
+        el = el.parentElement;
+      }
+      return null;
+    }
+
+    setTarget(el) {
+      this.target = el;
+      this.updateHighlight();
+    }
+
+    updateHighlight() {
+      if (!this.target || !this.highlight) return;
+
+      const rect = this.target.getBoundingClientRect();
+      this.highlight.style.setProperty('display', 'block', 'important');
+      this.highlight.style.setProperty('left', rect.left + 'px', 'important');
+      this.highlight.style.setProperty('top', rect.top + 'px', 'important');
+      this.highlight.style.setProperty('width', rect.width + 'px', 'important');
+      this.highlight.style.setProperty('height', rect.height + 'px', 'important');
+
+      const tag = this.target.tagName.toLowerCase();
+      this.label.textContent = `${tag} · ${Math.round(rect.width)} × ${Math.round(rect.height)}`;
+    }
+
+    confirm(el) {
+      const rect = el.getBoundingClientRect();
+
+      // Convert to document coordinates (account for scroll)
+      const scrollX = window.scrollX || document.documentElement.scrollLeft;
+      const scrollY = window.scrollY || document.documentElement.scrollTop;
+
+      // Clamp to the document so elements hanging off the top/left edge
+      // don't produce negative crop origins
+      const docLeft = Math.max(0, rect.left + scrollX);
+      const docTop = Math.max(0, rect.top + scrollY);
+      const width = Math.min(rect.right + scrollX, document.documentElement.scrollWidth) - docLeft;
+      const height = rect.bottom + scrollY - docTop;
+
+      this.destroy();
+
+      const selectionData = width > 10 && height > 10
+        ? { x: docLeft, y: docTop, width: width, height: height }
+        : null;
+
+      // Tag the scroll container so background.js can find it again
+      if (selectionData && this.scrollableOnly) {
+        const token = Math.random().toString(36).substr(2, 9);
+        el.setAttribute('data-sg-scroll-target', token);
+        selectionData.scrollContainer = token;
+      }
+
+      storeAreaSelection(this.jobId, selectionData, () => {
+        if (chrome.runtime.lastError) {
+          console.error('[ElementSelector] Failed to store element selection:', chrome.runtime.lastError);
+        }
+      });
+    }
+
+    destroy() {
+      if (this.destroyed) return;
+      this.destroyed = true;
+
+      document.removeEventListener('mousemove', this.pointermoveHandler, true);
+      document.removeEventListener('click', this.clickHandler, true);
+      document.removeEventListener('mousedown', this.blockHandler, true);
+      document.removeEventListener('mouseup', this.blockHandler, true);
+      document.removeEventListener('keydown', this.keydownHandler, true);
+      window.removeEventListener('scroll', this.scrollHandler, true);
+      window.removeEventListener('beforeunload', this.unloadHandler);
+
+      if (this.storageListener) {
+        chrome.storage.onChanged.removeListener(this.storageListener);
+        this.storageListener = null;
+      }
+
+      // Remove immediately (no fade) so the highlight can't end up in the capture
+      if (this.highlight && this.highlight.parentNode) {
+        this.highlight.parentNode.removeChild(this.highlight);
+      }
+      if (this.instructions && this.instructions.parentNode) {
+        this.instructions.parentNode.removeChild(this.instructions);
+      }
+      this.target = null;
+      this.childStack = [];
+
+      window._areaSelector = null;
+    }
+  }
+
+  // Export the classes globally so background.js can instantiate them on demand
   // Do NOT auto-instantiate here — selector.js is a content script that runs
-  // on every page load.  The AreaSelector should only be created when the user
-  // explicitly clicks "Select Area".
+  // on every page load.  The selectors should only be created when the user
+  // explicitly clicks "Select Area", "Pick Element" or "Scrollable Region".
   window.AreaSelector = AreaSelector;
+  window.ElementSelector = ElementSelector;
 })();